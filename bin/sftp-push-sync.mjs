@@ -15,9 +15,9 @@
  *  - dry-run mode
  *  - mirrors local → remote
  *  - adds, updates, deletes files
- *  - text diff detection
- *  - Binary files (images, video, audio, PDF, etc.): SHA-256 hash comparison
- *  - Hashes are cached in .sync-cache.json to save space.
+ *  - text diff detection, unified diffs of changed text files (--show-diff)
+ *  - Binary files (images, video, audio, PDF, etc.): hash comparison (hashAlgorithm, default SHA-256)
+ *  - Hashes are cached in .sync-cache.<target>.ndjson (cache.backend: ndjson, sqlite, memory, none).
  *  - Parallel uploads/deletes via worker pool
  *  - include/exclude patterns
  *
@@ -38,6 +38,7 @@
 // bin/sftp-push-sync.mjs
 import pc from "picocolors";
 import { SftpPushSyncApp } from "../src/core/SftpPushSyncApp.mjs";
+import { EXIT_CODES } from "../src/helpers/exit-codes.mjs";
 
 // ---------------------------------------------------------------------------
 // CLI-Arguments
@@ -48,10 +49,20 @@ import { SftpPushSyncApp } from "../src/core/SftpPushSyncApp.mjs";
 //   sftp-push-sync staging --dry-run
 //   sftp-push-sync live --sidecar-upload --skip-sync
 //   sftp-push-sync live --config ./config/sync.live.json
+//   sftp-push-sync live --rollback
+//   sftp-push-sync live --restore 20261019-112233
+//   sftp-push-sync live --restore --only data/index.json
+//   sftp-push-sync live --apply-plan plan.json
+//   sftp-push-sync live --resume
+//   sftp-push-sync live --verify hash
+//   sftp-push-sync live --dry-run --show-diff --diff-patch deploy.patch
+//   sftp-push-sync live cache stats
+//   sftp-push-sync live cache prune --dry-run
 //
 // Die Struktur:
 //   [0] = target
 //   [1..] = Flags
+//   oder: [1] = "cache", [2] = stats | prune | clear | verify, [3..] = Flags
 // ---------------------------------------------------------------------------
 
 const rawArgs = process.argv.slice(2);
@@ -63,7 +74,7 @@ if (
   rawArgs.includes("-h")
 ) {
   printUsage();
-  process.exit(rawArgs.length === 0 ? 1 : 0);
+  process.exit(rawArgs.length === 0 ? EXIT_CODES.CONFIG : EXIT_CODES.SUCCESS);
 }
 
 const TARGET = rawArgs[0];
@@ -72,7 +83,7 @@ const TARGET = rawArgs[0];
 if (!TARGET || TARGET.startsWith("-")) {
   console.error(pc.red("❌ Please specify a connection profile.\n"));
   printUsage();
-  process.exit(1);
+  process.exit(EXIT_CODES.CONFIG);
 }
 
 // Evaluate flags from position 1 onwards
@@ -80,11 +91,37 @@ let DRY_RUN = false;
 let RUN_UPLOAD_LIST = false;
 let RUN_DOWNLOAD_LIST = false;
 let SKIP_SYNC = false;
-let SIZE_ONLY = false;
+let COMPARE_MODE = null;
+let VERIFY_REMOTE = false;
+let VERIFY = null;
+let ROLLBACK = null;
+let RESTORE = null;
+const RESTORE_ONLY = [];
+let BANDWIDTH_LIMIT = null;
+let SHOW_DIFF = false;
+let DIFF_PATCH = null;
+let PLAN_JSON = null;
+let APPLY_PLAN = null;
+let RESUME = false;
+let FORCE = false;
+let FORMAT = "text";
 let cliLogLevel = null;
 let configPath = undefined;
 
-const rest = rawArgs.slice(1);
+// Subcommand: sftp-push-sync <target> cache <stats|prune|clear|verify>
+const CACHE_COMMANDS = ["stats", "prune", "clear", "verify"];
+let CACHE_COMMAND = null;
+if (rawArgs[1] === "cache") {
+  CACHE_COMMAND = rawArgs[2];
+  if (!CACHE_COMMANDS.includes(CACHE_COMMAND)) {
+    console.error(
+      pc.red(`❌ cache expects one of: ${CACHE_COMMANDS.join(", ")} (e.g. ${TARGET} cache stats)`)
+    );
+    process.exit(EXIT_CODES.CONFIG);
+  }
+}
+
+const rest = rawArgs.slice(CACHE_COMMAND ? 3 : 1);
 
 for (let i = 0; i < rest.length; i += 1) {
   const a = rest[i];
@@ -94,8 +131,86 @@ for (let i = 0; i < rest.length; i += 1) {
       DRY_RUN = true;
       break;
     case "--size-only":
-      SIZE_ONLY = true;
+    case "--size-and-mtime": {
+      const mode = a === "--size-only" ? "size" : "size-mtime";
+      if (COMPARE_MODE && COMPARE_MODE !== mode) {
+        console.error(
+          pc.red("❌ --size-only and --size-and-mtime cannot be combined.")
+        );
+        process.exit(EXIT_CODES.CONFIG);
+      }
+      COMPARE_MODE = mode;
+      break;
+    }
+    case "--verify-remote":
+      VERIFY_REMOTE = true;
+      break;
+    case "--verify": {
+      // optionaler Modus: size (Standard) | hash
+      const next = rest[i + 1];
+      if (next === "size" || next === "hash") {
+        VERIFY = next;
+        i += 1;
+      } else {
+        VERIFY = "size";
+      }
+      break;
+    }
+    case "--show-diff":
+      SHOW_DIFF = true;
+      break;
+    case "--diff-patch": {
+      const next = rest[i + 1];
+      if (!next || next.startsWith("-")) {
+        console.error(
+          pc.red("❌ --diff-patch expects a file path (e.g. --diff-patch deploy.patch)")
+        );
+        process.exit(EXIT_CODES.CONFIG);
+      }
+      DIFF_PATCH = next;
+      i += 1;
+      break;
+    }
+    case "--force":
+      FORCE = true;
+      break;
+    case "--resume":
+      RESUME = true;
       break;
+    case "--rollback": {
+      // optionale Release-ID, sonst das vorherige Release
+      const next = rest[i + 1];
+      if (next && !next.startsWith("-")) {
+        ROLLBACK = next;
+        i += 1;
+      } else {
+        ROLLBACK = true;
+      }
+      break;
+    }
+    case "--restore": {
+      // optionale Trash-Run-ID, sonst der letzte Run
+      const next = rest[i + 1];
+      if (next && !next.startsWith("-")) {
+        RESTORE = next;
+        i += 1;
+      } else {
+        RESTORE = true;
+      }
+      break;
+    }
+    case "--only": {
+      const next = rest[i + 1];
+      if (!next || next.startsWith("-")) {
+        console.error(
+          pc.red("❌ --only expects a path or glob (e.g. --only data/index.json)")
+        );
+        process.exit(EXIT_CODES.CONFIG);
+      }
+      RESTORE_ONLY.push(next);
+      i += 1;
+      break;
+    }
     case "--sidecar-upload":
       RUN_UPLOAD_LIST = true;
       break;
@@ -111,6 +226,52 @@ for (let i = 0; i < rest.length; i += 1) {
     case "--laconic":
       cliLogLevel = "laconic";
       break;
+    case "--bandwidth-limit": {
+      const next = rest[i + 1];
+      if (!next || next.startsWith("-")) {
+        console.error(
+          pc.red("❌ --bandwidth-limit expects a rate (e.g. --bandwidth-limit 2MB/s)")
+        );
+        process.exit(EXIT_CODES.CONFIG);
+      }
+      BANDWIDTH_LIMIT = next;
+      i += 1;
+      break;
+    }
+    case "--plan-json": {
+      const next = rest[i + 1];
+      if (!next || next.startsWith("-")) {
+        console.error(
+          pc.red("❌ --plan-json expects a file path (e.g. --plan-json plan.json)")
+        );
+        process.exit(EXIT_CODES.CONFIG);
+      }
+      PLAN_JSON = next;
+      i += 1;
+      break;
+    }
+    case "--apply-plan": {
+      const next = rest[i + 1];
+      if (!next || next.startsWith("-")) {
+        console.error(
+          pc.red("❌ --apply-plan expects a file path (e.g. --apply-plan plan.json)")
+        );
+        process.exit(EXIT_CODES.CONFIG);
+      }
+      APPLY_PLAN = next;
+      i += 1;
+      break;
+    }
+    case "--format": {
+      const next = rest[i + 1];
+      if (next !== "text" && next !== "json") {
+        console.error(pc.red("❌ --format expects 'text' or 'json'"));
+        process.exit(EXIT_CODES.CONFIG);
+      }
+      FORMAT = next;
+      i += 1;
+      break;
+    }
     case "--config":
     case "-c": {
       const next = rest[i + 1];
@@ -118,7 +279,7 @@ for (let i = 0; i < rest.length; i += 1) {
         console.error(
           pc.red("❌ --config expects a path argument (e.g. --config sync.config.json)")
         );
-        process.exit(1);
+        process.exit(EXIT_CODES.CONFIG);
       }
       configPath = next;
       i += 1; // Pfad überspringen
@@ -137,7 +298,72 @@ if (SKIP_SYNC && !RUN_UPLOAD_LIST && !RUN_DOWNLOAD_LIST) {
       "❌ --skip-sync requires at least --sidecar-upload or --sidecar-download."
     )
   );
-  process.exit(1);
+  process.exit(EXIT_CODES.CONFIG);
+}
+
+// --rollback only switches releases → no sync / sidecar
+if (ROLLBACK && (SKIP_SYNC || RUN_UPLOAD_LIST || RUN_DOWNLOAD_LIST)) {
+  console.error(
+    pc.red("❌ --rollback cannot be combined with sidecar options.")
+  );
+  process.exit(EXIT_CODES.CONFIG);
+}
+
+// --restore only moves files back from the remote trash
+if (
+  RESTORE &&
+  (ROLLBACK || SKIP_SYNC || RUN_UPLOAD_LIST || RUN_DOWNLOAD_LIST || PLAN_JSON || FORMAT === "json")
+) {
+  console.error(
+    pc.red(
+      "❌ --restore cannot be combined with --rollback, sidecar options, --plan-json or --format json."
+    )
+  );
+  process.exit(EXIT_CODES.CONFIG);
+}
+
+if (RESTORE_ONLY.length > 0 && !RESTORE) {
+  console.error(pc.red("❌ --only can only be used with --restore."));
+  process.exit(EXIT_CODES.CONFIG);
+}
+
+// --apply-plan runs a saved plan → no new plan, no rollback / sidecar
+if (
+  APPLY_PLAN &&
+  (ROLLBACK || RESTORE || SKIP_SYNC || RUN_UPLOAD_LIST || RUN_DOWNLOAD_LIST || PLAN_JSON || FORMAT === "json")
+) {
+  console.error(
+    pc.red(
+      "❌ --apply-plan cannot be combined with --rollback, --restore, sidecar options, --plan-json or --format json."
+    )
+  );
+  process.exit(EXIT_CODES.CONFIG);
+}
+
+// --resume continues an interrupted Phase 5 from the run journal
+if (
+  RESUME &&
+  (APPLY_PLAN || ROLLBACK || RESTORE || SKIP_SYNC || RUN_UPLOAD_LIST || RUN_DOWNLOAD_LIST || PLAN_JSON || FORMAT === "json")
+) {
+  console.error(
+    pc.red(
+      "❌ --resume cannot be combined with --apply-plan, --rollback, --restore, sidecar options, --plan-json or --format json."
+    )
+  );
+  process.exit(EXIT_CODES.CONFIG);
+}
+
+// cache <command> only takes --dry-run, --config and the log level
+if (
+  CACHE_COMMAND &&
+  (SKIP_SYNC || RUN_UPLOAD_LIST || RUN_DOWNLOAD_LIST || COMPARE_MODE || VERIFY_REMOTE || VERIFY ||
+    ROLLBACK || RESTORE || BANDWIDTH_LIMIT || PLAN_JSON || APPLY_PLAN || RESUME || FORCE ||
+    FORMAT === "json")
+) {
+  console.error(
+    pc.red("❌ cache commands only accept --dry-run, --config, --verbose and --laconic.")
+  );
+  process.exit(EXIT_CODES.CONFIG);
 }
 
 // ---------------------------------------------------------------------------
@@ -149,11 +375,19 @@ function printUsage() {
   console.log("");
   console.log(pc.bold("Usage:"));
   console.log("  sftp-push-sync <target> [options]");
+  console.log("  sftp-push-sync <target> cache <stats|prune|clear|verify> [--dry-run]");
   console.log("");
   console.log(pc.bold("Examples:"));
   console.log("  sftp-push-sync staging --dry-run");
   console.log("  sftp-push-sync live --sidecar-upload --skip-sync");
   console.log("  sftp-push-sync live --config ./sync.config.live.json");
+  console.log("  sftp-push-sync live --rollback");
+  console.log("  sftp-push-sync live --restore");
+  console.log("  sftp-push-sync live --dry-run --format json > plan.json");
+  console.log("  sftp-push-sync live --apply-plan plan.json");
+  console.log("  sftp-push-sync live --resume");
+  console.log("  sftp-push-sync live --verify hash");
+  console.log("  sftp-push-sync live cache stats");
   console.log("");
   console.log(pc.bold("Options:"));
   console.log("  --dry-run            Do not change anything, just simulate");
@@ -166,6 +400,51 @@ function printUsage() {
   console.log(
     "  --skip-sync         Skip normal sync, only run sidecar upload/download"
   );
+  console.log(
+    "  --size-only         Compare by file size only (no content/hash compare)"
+  );
+  console.log(
+    "  --size-and-mtime    Compare by size and modification time (no content/hash compare)"
+  );
+  console.log(
+    "  --verify-remote     Ignore the remote manifest, scan the server"
+  );
+  console.log(
+    "  --verify [size|hash] Check uploaded files on the server (size, or size + hash), upload mismatches again"
+  );
+  console.log(
+    "  --show-diff         Print a unified diff of changed text files (with --dry-run or --verbose)"
+  );
+  console.log(
+    "  --diff-patch <file> Write the diffs of changed text files to a .patch file"
+  );
+  console.log(
+    "  --rollback [id]     Switch 'current' back to the previous (or given) release"
+  );
+  console.log(
+    "  --restore [run-id]  Restore files from the remote trash / backup (default: latest run)"
+  );
+  console.log(
+    "  --only <glob>       With --restore: only matching files (repeatable)"
+  );
+  console.log(
+    "  --bandwidth-limit <rate>  Limit total transfer rate, e.g. 2MB/s (overrides config)"
+  );
+  console.log(
+    "  --plan-json <file>  Write the sync plan (adds/updates/deletes, reasons, totals) as JSON"
+  );
+  console.log(
+    "  --format json       Print the sync plan as JSON to stdout (all other output → stderr)"
+  );
+  console.log(
+    "  --force             Apply even if more files would be deleted than maxDeletes allows"
+  );
+  console.log(
+    "  --apply-plan <file> Run a saved plan without re-scanning (aborts if files changed since)"
+  );
+  console.log(
+    "  --resume            Continue an interrupted sync from its journal (remaining uploads/deletes)"
+  );
   console.log("  --verbose           Enable verbose logging");
   console.log("  --laconic           Minimal logging (overrides verbose)");
   console.log(
@@ -173,6 +452,16 @@ function printUsage() {
   );
   console.log("  --help, -h          Show this help");
   console.log("");
+  console.log(pc.bold("Cache commands:"));
+  console.log("  stats               Show entry counts and file size of the hash cache");
+  console.log("  prune               Drop entries of files that no longer exist (scans local + remote)");
+  console.log("  clear               Delete the hash cache");
+  console.log("  verify              Re-hash cached local files and correct wrong entries");
+  console.log("");
+  console.log(pc.bold("Exit codes:"));
+  console.log("  0 success, 1 error, 2 some operations failed, 3 connection failure,");
+  console.log("  4 config/usage error, 5 delete guard tripped");
+  console.log("");
   /* eslint-enable no-console */
 }
 
@@ -180,6 +469,12 @@ function printUsage() {
 // MAIN
 // ---------------------------------------------------------------------------
 
+// --format json: stdout gehört allein dem Plan, alle übrigen Ausgaben → stderr
+const writeStdout = process.stdout.write.bind(process.stdout);
+if (FORMAT === "json") {
+  process.stdout.write = process.stderr.write.bind(process.stderr);
+}
+
 async function main() {
   const app = new SftpPushSyncApp({
     target: TARGET,
@@ -187,11 +482,30 @@ async function main() {
     runUploadList: RUN_UPLOAD_LIST,
     runDownloadList: RUN_DOWNLOAD_LIST,
     skipSync: SKIP_SYNC,
+    compareMode: COMPARE_MODE,
+    verifyRemote: VERIFY_REMOTE,
+    verify: VERIFY,
+    showDiff: SHOW_DIFF,
+    diffPatch: DIFF_PATCH,
+    rollback: ROLLBACK,
+    restore: RESTORE,
+    restoreOnly: RESTORE_ONLY,
+    bandwidthLimit: BANDWIDTH_LIMIT,
+    planJson: PLAN_JSON,
+    applyPlan: APPLY_PLAN,
+    resume: RESUME,
+    cacheCommand: CACHE_COMMAND,
+    force: FORCE,
+    format: FORMAT,
     cliLogLevel,
     configPath,
   });
 
   await app.run();
+
+  if (FORMAT === "json" && app.plan) {
+    writeStdout(JSON.stringify(app.plan, null, 2) + "\n");
+  }
 }
 
 main().catch((err) => {
@@ -199,5 +513,5 @@ main().catch((err) => {
   if (process.env.DEBUG) {
     console.error(err);
   }
-  process.exit(1);
+  process.exit(EXIT_CODES.ERROR);
 });
@@ -0,0 +1,105 @@
+/**
+ * SftpConnectionPool.mjs
+ *
+ * @author Carsten Nichte, 2025 / https://carsten-nichte.de/
+ *
+ */
+// src/core/SftpConnectionPool.mjs
+
+/**
+ * Mehrere unabhängige SFTP-Sessions ("connections": N).
+ *
+ * Session 0 ist die bereits verbundene Haupt-Verbindung aus run().
+ * Jede Session hat ihre eigene SSH-Verbindung und reconnectet unabhängig
+ * von den anderen: fällt eine aus, arbeiten die übrigen weiter.
+ */
+export class SftpConnectionPool {
+  /**
+   * @param {Object} options
+   * @param {Object} options.primary - verbundener SftpClient (Session 0)
+   * @param {number} options.size - gewünschte Anzahl Sessions (inkl. primary)
+   * @param {Function} options.createClient - () => neuer SftpClient
+   * @param {Function} options.connect - async (sftp) → verbindet einen neuen Client
+   * @param {Function} options.reconnect - async (session, reason) → verbindet die Session neu
+   * @param {Function} options.isConnected - async (sftp) → boolean
+   */
+  constructor({ primary, size = 1, createClient, connect, reconnect, isConnected }) {
+    this.requestedSize = Math.max(1, size);
+    this.createClient = createClient;
+    this.connect = connect;
+    this.reconnect = reconnect;
+    this.isConnected = isConnected;
+    this.sessions = [this._session(0, primary)];
+  }
+
+  _session(id, sftp) {
+    return { id, sftp, reconnecting: null };
+  }
+
+  get size() {
+    return this.sessions.length;
+  }
+
+  /**
+   * Öffnet die zusätzlichen Sessions parallel.
+   * Sessions, die nicht verbunden werden können (z.B. MaxSessions/MaxStartups
+   * auf dem Server), werden weggelassen.
+   *
+   * @returns {Promise<string[]>} Fehlermeldungen der nicht geöffneten Sessions
+   */
+  async open() {
+    const extra = this.requestedSize - 1;
+    if (extra <= 0) return [];
+
+    const results = await Promise.allSettled(
+      Array.from({ length: extra }, async () => {
+        const sftp = this.createClient();
+        await this.connect(sftp);
+        return sftp;
+      })
+    );
+
+    const errors = [];
+    for (const result of results) {
+      if (result.status === "fulfilled") {
+        this.sessions.push(this._session(this.sessions.length, result.value));
+      } else {
+        errors.push(result.reason?.message || String(result.reason));
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Session für einen Worker (round robin)
+   */
+  sessionFor(index) {
+    return this.sessions[index % this.sessions.length];
+  }
+
+  /**
+   * Stellt sicher, dass die Session verbunden ist.
+   * Gleichzeitige Aufrufe für dieselbe Session teilen sich einen Reconnect,
+   * andere Sessions werden nicht blockiert.
+   */
+  async ensureConnected(session, reason) {
+    if (session.reconnecting) return session.reconnecting;
+    if (await this.isConnected(session.sftp)) return undefined;
+    // Ein anderer Worker kann während isConnected() begonnen haben
+    if (session.reconnecting) return session.reconnecting;
+
+    session.reconnecting = this.reconnect(session, reason).finally(() => {
+      session.reconnecting = null;
+    });
+    return session.reconnecting;
+  }
+
+  /**
+   * Schließt die zusätzlichen Sessions (Session 0 schließt run()).
+   */
+  async close() {
+    const extra = this.sessions.slice(1);
+    this.sessions = this.sessions.slice(0, 1);
+    await Promise.allSettled(extra.map((s) => s.sftp.end()));
+  }
+}
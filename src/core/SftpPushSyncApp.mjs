@@ -15,15 +15,111 @@ import { createRequire } from "module";
 
 import { SyncLogger } from "./SyncLogger.mjs";
 import { ScanProgressController } from "./ScanProgressController.mjs";
+import { SftpConnectionPool } from "./SftpConnectionPool.mjs";
 
 import { toPosix, shortenPathForProgress } from "../helpers/directory.mjs";
-import { createHashCacheNDJSON, migrateFromJsonCache } from "../helpers/hash-cache-ndjson.mjs";
+import { migrateFromJsonCache, hashRemoteFile } from "../helpers/hash-cache-ndjson.mjs";
+import {
+  CACHE_BACKENDS,
+  LOCAL_HASH_STORE,
+  cacheFileFor,
+  createHashCache,
+  migrateCache,
+} from "../helpers/hash-cache.mjs";
+import {
+  DEFAULT_HASH_ALGORITHM,
+  ensureHashAlgorithm,
+  hashAlgorithmLabel,
+} from "../helpers/hash-algorithm.mjs";
 import { walkLocal, walkRemote } from "../helpers/walkers.mjs";
+import { loadAuthConfig, buildConnectOptions } from "../helpers/connect-options.mjs";
+import { createHostKeyVerifier } from "../helpers/host-key.mjs";
+import { resolveConnectionSecrets } from "../helpers/secrets.mjs";
+import {
+  createRemoteExecHasher,
+  REMOTE_HASH_MODES,
+} from "../helpers/remote-exec-hash.mjs";
 import {
   analyseDifferences,
   computeRemoteDeletes,
+  COMPARE_MODES,
 } from "../helpers/compare.mjs";
 import { performBypassOnly as performSidecarBypass } from "../helpers/sidecar.mjs";
+import {
+  MAX_DIFF_BYTES,
+  createTextPatch,
+  formatPatchLines,
+  resolveShowDiff,
+} from "../helpers/text-diff.mjs";
+import {
+  buildPlan,
+  planChanges,
+  planDirectories,
+  planToChanges,
+  readPlanFile,
+  writePlanFile,
+} from "../helpers/plan.mjs";
+import {
+  MANIFEST_FILES,
+  readRemoteManifest,
+  manifestToRemoteMap,
+  writeRemoteManifest,
+  removeRemoteManifest,
+} from "../helpers/manifest.mjs";
+import {
+  tempPathFor,
+  partPathFor,
+  isAtomicTempFile,
+  parseAtomicTempFile,
+  renameOver,
+} from "../helpers/atomic-upload.mjs";
+import { uploadResumable } from "../helpers/resumable-upload.mjs";
+import {
+  parseBandwidth,
+  formatBandwidth,
+  createTokenBucket,
+  throttledReadStream,
+  limitedPut,
+  limitedGetBuffer,
+} from "../helpers/bandwidth.mjs";
+import {
+  readDeployConfig,
+  createReleaseId,
+  releaseLayout,
+  listReleases,
+  readCurrentRelease,
+  switchCurrentRelease,
+  hardlinkFile,
+  pruneReleases,
+} from "../helpers/releases.mjs";
+import {
+  parseMaxDeletes,
+  formatMaxDeletes,
+  checkDeleteLimit,
+} from "../helpers/delete-guard.mjs";
+import {
+  TRASH_INFO_NAME,
+  createRunId,
+  readTrashConfig,
+  isTrashPath,
+  trashRunPath,
+  listTrashRuns,
+  purgeTrash,
+  writeTrashRunInfo,
+  readTrashRunInfo,
+} from "../helpers/trash.mjs";
+import {
+  readBackupConfig,
+  backupRunPath,
+  backupFilePath,
+  listBackupRuns,
+  downloadBackup,
+  writeBackupIndex,
+  readBackupIndex,
+  purgeBackups,
+} from "../helpers/backup.mjs";
+import { journalPathFor, readJournal, openJournal } from "../helpers/journal.mjs";
+import { EXIT_CODES, isConnectionError } from "../helpers/exit-codes.mjs";
 import {
   hr1,
   hr2,
@@ -41,10 +137,25 @@ const CHA = pc.yellow("~");
 const DEL = pc.red("-");
 const EXC = pc.redBright("-");
 
+// Ab dieser Größe: Fortschritt im Log, fastPut bzw. fortsetzbarer Upload
+const LARGE_FILE_THRESHOLD = 5 * 1024 * 1024; // 5MB
+
+// Prüfung nach dem Upload (--verify), Anzeige abhängig vom Hash-Algorithmus
+const VERIFY_MODES = {
+  size: () => "size",
+  hash: (hashLabel) => `size + ${hashLabel}`,
+};
+
 // ---------------------------------------------------------------------------
 // Fehlerhilfe SFTP
 // ---------------------------------------------------------------------------
-function describeSftpError(err) {
+
+// Fehler des SSH-Agents (ssh2 lib/agent.js; level "agent" geht beim Umverpacken
+// durch ssh2-sftp-client teils verloren)
+const SSH_AGENT_ERROR_RE =
+  /failed to connect to agent|failed to retrieve identities from agent|failed to sign data with agent|agent responded with|pageant is not running/;
+
+function describeSftpError(err, { hostKeyRejection = null } = {}) {
   if (!err) return "";
 
   const code = err.code || err.errno || "";
@@ -69,6 +180,21 @@ function describeSftpError(err) {
   if (msg.includes("all configured authentication methods failed")) {
     return "Authentication failed – check your username/password or SSH keys.";
   }
+  if (msg.includes("host denied")) {
+    if (hostKeyRejection) {
+      const expected = hostKeyRejection.expected
+        ? ` Expected: ${hostKeyRejection.expected}.`
+        : "";
+      return `Host key verification failed (${hostKeyRejection.reason}) – server presented ${hostKeyRejection.presented}.${expected} Possible man-in-the-middle attack, or the server key was changed: update hostKey / knownHostsFile only if the change is expected.`;
+    }
+    return "Host key verification failed – check hostKey / knownHostsFile.";
+  }
+  if (msg.includes("cannot parse privatekey")) {
+    return "Private key could not be parsed – wrong passphrase or unsupported key format.";
+  }
+  if (err.level === "agent" || SSH_AGENT_ERROR_RE.test(msg)) {
+    return "SSH agent not usable – check SSH_AUTH_SOCK and that the agent holds a key.";
+  }
   if (msg.includes("permission denied")) {
     return "Access denied – check permissions on the server.";
   }
@@ -88,6 +214,8 @@ export class SftpPushSyncApp {
    *   runUploadList,
    *   runDownloadList,
    *   skipSync,
+   *   compareMode,
+   *   verifyRemote,
    *   cliLogLevel,
    *   configPath
    * }
@@ -112,6 +240,68 @@ export class SftpPushSyncApp {
     this.textExt = [];
     this.mediaExt = [];
 
+    // Vergleichsstrategie (content | size | size-mtime)
+    this.compareMode = "content";
+
+    // Remote-Hashing (stream | exec)
+    this.remoteHashMode = "stream";
+
+    // Hash-Algorithmus für den Vergleich (hash-algorithm.mjs)
+    this.hashAlgorithm = DEFAULT_HASH_ALGORITHM;
+
+    // Text-Diffs geänderter Dateien (--show-diff): null | { files, maxLines, patchFile }
+    this.showDiff = null;
+
+    // Remote-Manifest
+    this.remoteManifestEnabled = false;
+
+    // Atomare Uploads (Temp-Name + Rename)
+    this.atomicUploads = false;
+    this.renameState = {};
+    this.staleTempFiles = [];
+
+    // Fortsetzbare Uploads großer Dateien
+    this.resumableUploads = false;
+    this.resumeStats = { files: 0, bytes: 0 };
+    this.remoteExecHasher = null;
+
+    // Prüfung hochgeladener Dateien (--verify): null | "size" | "hash"
+    this.verifyMode = null;
+    this.verifyStats = { files: 0, retried: 0, failed: 0 };
+
+    // Fehlgeschlagene Operationen für den Abschlussbericht: { task, rel, error }
+    this.failures = [];
+
+    // Bandbreitenlimit (geteilter Token-Bucket) oder null
+    this.bandwidth = null;
+
+    // SFTP-Sessions (Connection-Pool, Session 0 = Haupt-Verbindung)
+    this.pool = null;
+
+    // Lösch-Schutz: maxDeletes (Anzahl oder Prozent) + protect-Globs
+    this.maxDeletes = null;
+    this.protectPatterns = [];
+    this.deleteGuard = null;
+
+    // Remote-Papierkorb (soft delete) oder null; trashRun = aktueller Lauf
+    this.trash = null;
+    this.trashRun = null;
+
+    // Lokales Backup überschriebener Dateien (backup.mode "local") oder null
+    this.backup = null;
+    this.backupRun = null;
+
+    // Run-Journal (Phase 5) für --resume; journal = offenes Journal des Laufs
+    this.journalPath = null;
+    this.journal = null;
+
+    // Maschinenlesbarer Plan (--plan-json / --format json), nach Phase 4
+    this.plan = null;
+
+    // Deploy-Strategie (mirror | releases)
+    this.deploy = readDeployConfig();
+    this.hardlinkSupported = undefined;
+
     // Log / Level
     this.logLevel = "normal";
     this.isVerbose = false;
@@ -138,6 +328,11 @@ export class SftpPushSyncApp {
 
     // Cache
     this.hashCache = null;
+    this.cacheBackend = "ndjson";
+    this.cachePath = null;
+
+    // Host key verification
+    this.hostKeyVerifier = null;
   }
 
   // ---------------------------------------------------------
@@ -188,6 +383,28 @@ export class SftpPushSyncApp {
     this._consoleAndLog("", ...msg);
   }
 
+  /**
+   * Remember a failed operation for the failure report at the end of the run.
+   */
+  _recordFailure(task, rel, err) {
+    this.failures.push({ task, rel: rel ?? "", error: err?.message || String(err) });
+  }
+
+  /**
+   * Failure report at the end of the summary (console + log file),
+   * sets exit code 2 (partial failure).
+   */
+  _reportFailures() {
+    if (this.failures.length === 0) return;
+    process.exitCode = EXIT_CODES.PARTIAL;
+
+    this.log("");
+    this.elog(pc.bold(pc.red(`❌ Failed operations (${this.failures.length}):`)));
+    for (const { task, rel, error } of this.failures) {
+      this.elog(pc.red(`${TAB_A}[${task}] ${rel}: ${error}`));
+    }
+  }
+
   // ---------------------------------------------------------
   // SFTP Connection Helpers
   // ---------------------------------------------------------
@@ -208,6 +425,26 @@ export class SftpPushSyncApp {
     }
   }
 
+  /**
+   * Connect a client with its own hostVerifier: a host key rejection is
+   * attached to the error of this attempt (err.hostKeyRejection), so
+   * sessions of the pool connecting at the same time do not mix them up.
+   */
+  async _connectSftp(client) {
+    const attempt = this.hostKeyVerifier?.forConnect() ?? null;
+    try {
+      await client.connect(
+        buildConnectOptions({ ...this.connection, hostVerifier: attempt?.hostVerifier })
+      );
+    } catch (err) {
+      const rejection = attempt?.getRejection();
+      if (rejection && err && typeof err === "object") {
+        err.hostKeyRejection = rejection;
+      }
+      throw err;
+    }
+  }
+
   /**
    * Reconnect to SFTP server with retry logic
    */
@@ -230,18 +467,7 @@ export class SftpPushSyncApp {
           await new Promise(r => setTimeout(r, waitTime));
         }
 
-        await sftp.connect({
-          host: this.connection.host,
-          port: this.connection.port,
-          username: this.connection.user,
-          password: this.connection.password,
-          keepaliveInterval: 5000,     // More frequent keepalive (5s instead of 10s)
-          keepaliveCountMax: 6,        // Disconnect after 30s of no response
-          readyTimeout: 60000,         // 60s timeout for initial connection
-          retries: 2,                  // Internal retries
-          retry_factor: 2,
-          retry_minTimeout: 2000,
-        });
+        await this._connectSftp(sftp);
 
         if (sftp.client) {
           sftp.client.setMaxListeners(50);
@@ -251,6 +477,14 @@ export class SftpPushSyncApp {
         return; // Success
       } catch (err) {
         const msg = err?.message || String(err);
+
+        // Host key mismatch: retrying won't help, abort immediately
+        const hostKeyRejection = err?.hostKeyRejection;
+        if (hostKeyRejection) {
+          this.elog(pc.red(`❌ ${describeSftpError(err, { hostKeyRejection })}`));
+          throw err;
+        }
+
         if (attempt === maxRetries) {
           this.elog(pc.red(`❌ Failed to reconnect after ${maxRetries} attempts: ${msg}`));
           throw err;
@@ -261,16 +495,114 @@ export class SftpPushSyncApp {
   }
 
   /**
-   * Upload a file with progress reporting for large files.
-   * Uses fastPut for files > threshold, with automatic fallback to put on failure.
+   * Short description of the configured auth methods (for the header)
+   */
+  _describeAuth() {
+    const { authMethods, agent, privateKey, privateKeyPath, password } = this.connection;
+    if (authMethods) return authMethods.join(" → ");
+
+    const methods = [];
+    if (agent !== undefined) methods.push("agent");
+    if (privateKey !== undefined) methods.push(`publickey (${privateKeyPath || "inline key"})`);
+    if (password !== undefined) methods.push("password");
+    return methods.join(", ");
+  }
+
+  /**
+   * Upload a file. With atomicUploads, the file is written to a temp name
+   * in the same directory and renamed over the target afterwards.
    */
   async _uploadFile(sftp, localPath, remotePath, rel, size) {
-    const LARGE_FILE_THRESHOLD = 5 * 1024 * 1024; // 5MB
+    if (this.resumableUploads && size >= LARGE_FILE_THRESHOLD) {
+      await this._uploadResumable(sftp, localPath, remotePath, rel, size);
+      return;
+    }
+
+    if (!this.atomicUploads) {
+      await this._transferFile(sftp, localPath, remotePath, rel, size);
+      return;
+    }
+
+    const tmpPath = tempPathFor(remotePath);
+    try {
+      await this._transferFile(sftp, localPath, tmpPath, rel, size);
+      await renameOver(sftp, tmpPath, remotePath, this.renameState);
+    } catch (err) {
+      try {
+        await sftp.delete(tmpPath);
+      } catch {
+        // Temp file may not exist, or connection is gone – cleaned up next run
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Upload a large file via a partial file next to the target.
+   * On errors the partial file is kept, so the retry (or the next run)
+   * continues where the transfer stopped. Renamed over the target when complete.
+   */
+  async _uploadResumable(sftp, localPath, remotePath, rel, size) {
+    const { mtimeMs } = await fsp.stat(localPath);
+    const partPath = partPathFor(remotePath, size, mtimeMs);
+    const toMB = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+    const sizeMB = toMB(size);
+    const shortRel = rel.length > 50 ? '...' + rel.slice(-47) : rel;
+    let lastReportedPercent = 0;
+
+    const { resumedFrom } = await uploadResumable({
+      sftp,
+      localPath,
+      partPath,
+      size,
+      hashPrefix: this.remoteExecHasher
+        ? (p, length) => this.remoteExecHasher.hashPrefix(p, length)
+        : null,
+      hashAlgorithm: this.hashAlgorithm,
+      bandwidth: this.bandwidth,
+      onResume: (offset, ok, method) => {
+        if (!ok) {
+          this.wlog(
+            pc.yellow(`${TAB_A}  ⚠ Partial upload does not match (${method} check), starting over: ${shortRel}`)
+          );
+          return;
+        }
+        const percent = Math.floor((offset / size) * 100);
+        lastReportedPercent = Math.floor(percent / 25) * 25;
+        this.log(
+          `${TAB_A}${pc.dim(`  ↻ Resuming at ${toMB(offset)}/${sizeMB}MB (${percent}%, ${method} check ok): ${shortRel}`)}`
+        );
+      },
+      onProgress: (transferred, total) => {
+        const percent = Math.floor((transferred / total) * 100);
+        // Only log at 25%, 50%, 75%, 100%
+        if (percent >= lastReportedPercent + 25) {
+          lastReportedPercent = Math.floor(percent / 25) * 25;
+          this.log(`${TAB_A}${pc.dim(`  ↑ ${sizeMB}MB ${percent}%: ${shortRel}`)}`);
+        }
+      },
+    });
+
+    if (resumedFrom > 0) {
+      this.resumeStats.files += 1;
+      this.resumeStats.bytes += resumedFrom;
+    }
+
+    await renameOver(sftp, partPath, remotePath, this.renameState);
+  }
+
+  /**
+   * Transfer a file with progress reporting for large files.
+   * Uses fastPut for files > threshold, with automatic fallback to put on failure.
+   * With a bandwidth limit, large files are streamed through the token bucket
+   * instead (fastPut's parallel reads cannot be throttled).
+   */
+  async _transferFile(sftp, localPath, remotePath, rel, size) {
     const sizeMB = (size / (1024 * 1024)).toFixed(1);
     
     // For small files, just use put
     if (size < LARGE_FILE_THRESHOLD) {
-      await sftp.put(localPath, remotePath);
+      await limitedPut(sftp, localPath, remotePath, this.bandwidth);
       return;
     }
 
@@ -278,16 +610,29 @@ export class SftpPushSyncApp {
     let lastReportedPercent = 0;
     const shortRel = rel.length > 50 ? '...' + rel.slice(-47) : rel;
 
+    const reportProgress = (transferred, total) => {
+      const percent = Math.floor((transferred / total) * 100);
+      // Only log at 25%, 50%, 75%, 100%
+      if (percent >= lastReportedPercent + 25) {
+        lastReportedPercent = Math.floor(percent / 25) * 25;
+        this.log(`${TAB_A}${pc.dim(`  ↑ ${sizeMB}MB ${percent}%: ${shortRel}`)}`);
+      }
+    };
+
+    if (this.bandwidth) {
+      let transferred = 0;
+      const reader = throttledReadStream(localPath, this.bandwidth);
+      reader.on("data", (chunk) => {
+        transferred += chunk.length;
+        reportProgress(transferred, size);
+      });
+      await sftp.put(reader, remotePath);
+      return;
+    }
+
     try {
       await sftp.fastPut(localPath, remotePath, {
-        step: (transferred, chunk, total) => {
-          const percent = Math.floor((transferred / total) * 100);
-          // Only log at 25%, 50%, 75%, 100%
-          if (percent >= lastReportedPercent + 25) {
-            lastReportedPercent = Math.floor(percent / 25) * 25;
-            this.log(`${TAB_A}${pc.dim(`  ↑ ${sizeMB}MB ${percent}%: ${shortRel}`)}`);
-          }
-        }
+        step: (transferred, chunk, total) => reportProgress(transferred, total),
       });
     } catch (fastPutErr) {
       // fastPut not supported by server, fall back to regular put
@@ -299,128 +644,2115 @@ export class SftpPushSyncApp {
     }
   }
 
-  // ---------------------------------------------------------
-  // Pattern-Helper
-  // ---------------------------------------------------------
+  /**
+   * Remote hashes via exec channel (remoteHash: "exec").
+   * Files with a valid cached remote hash are skipped, the rest is hashed
+   * server-side in batches and stored in the cache.
+   * Returns the set of rel paths whose remote hash is now cached.
+   */
+  async _prefetchRemoteHashes(hasher, items) {
+    const ready = new Set();
+    const missing = [];
 
-  matchesAny(patterns, relPath) {
-    if (!patterns || patterns.length === 0) return false;
-    return patterns.some((pattern) =>
-      minimatch(relPath, pattern, { dot: true })
+    for (const { rel, remote: r } of items) {
+      if (this.hashCache.peekRemoteHash(rel, r)) {
+        ready.add(rel);
+      } else {
+        missing.push({ rel, r });
+      }
+    }
+
+    if (missing.length === 0 || !hasher.isAvailable()) return ready;
+
+    const hashes = await hasher.hashFiles(
+      missing.map(({ r }) => r.remotePath),
+      (done, total, lastPath) =>
+        this.updateProgress2("Remote hash (exec): ", done, total, lastPath)
     );
-  }
 
-  isIncluded(relPath) {
-    if (
-      this.includePatterns.length > 0 &&
-      !this.matchesAny(this.includePatterns, relPath)
-    ) {
-      return false;
+    for (const { rel, r } of missing) {
+      const hash = hashes.get(r.remotePath);
+      if (hash) {
+        await this.hashCache.setRemoteHash(rel, r, hash);
+        ready.add(rel);
+      }
     }
 
-    if (
-      this.excludePatterns.length > 0 &&
-      this.matchesAny(this.excludePatterns, relPath)
-    ) {
-      if (
-        this.uploadList.includes(relPath) ||
-        this.downloadList.includes(relPath)
-      ) {
-        this.autoExcluded.add(relPath);
-      }
-      return false;
+    if (missing.length > 0) {
+      this.vlog(
+        `${TAB_A}${pc.dim(`Remote hash (exec): ${hashes.size}/${missing.length} files hashed on the server`)}`
+      );
     }
 
-    return true;
+    return ready;
   }
 
-  isTextFile(relPath) {
-    const ext = path.extname(relPath).toLowerCase();
-    return this.textExt.includes(ext);
-  }
+  /**
+   * Verification pass after Phase 5 (--verify): compare the remote size (and
+   * with "hash" the hash) of every uploaded file with the local file.
+   * Mismatches are uploaded once more and checked again; what still differs
+   * counts as failed. Verified remote hashes are stored in the cache.
+   *
+   * @param {Array} items - uploaded files ({ rel, local, remotePath })
+   * @returns {Promise<number>} files that failed verification
+   */
+  async _verifyUploads(items) {
+    if (items.length === 0) return 0;
+    const withHash = this.verifyMode === "hash";
 
-  isMediaFile(relPath) {
-    const ext = path.extname(relPath).toLowerCase();
-    return this.mediaExt.includes(ext);
-  }
+    this.log("");
+    this.log(
+      pc.bold(pc.cyan(`🔬 Verifying ${items.length} uploads (${this._modeLabel(VERIFY_MODES, this.verifyMode)}) …`))
+    );
 
-  // ---------------------------------------------------------
-  // Progress-Balken (Phase 3, Verzeichnisse, Cleanup)
-  // ---------------------------------------------------------
+    if (withHash && this.remoteHashMode === "exec" && !this.remoteExecHasher) {
+      this.remoteExecHasher = createRemoteExecHasher({
+        sftp: this.pool.sessionFor(0).sftp,
+        log: (msg) => this.log(`${TAB_A}${pc.dim(msg)}`),
+        algorithm: this.hashAlgorithm,
+      });
+    }
 
-  updateProgress2(prefix, current, total, rel = "", suffix = "Files") {
-    const short = rel ? shortenPathForProgress(rel) : "";
+    // liefert die Abweichungen: [{ item, why }]
+    const check = async (list) => {
+      const stats = new Map();
+      const mismatches = [];
+      const BATCH = 8;
 
-    const base =
-      total && total > 0
-        ? `${prefix}${current}/${total} ${suffix}`
-        : `${prefix}${current} ${suffix}`;
+      for (let i = 0; i < list.length; i += BATCH) {
+        await Promise.all(
+          list.slice(i, i + BATCH).map(async (item, j) => {
+            const session = this.pool.sessionFor(i + j).sftp;
+            try {
+              const stat = await session.stat(item.remotePath);
+              if (stat.size !== item.local.size) {
+                mismatches.push({ item, why: `remote size ${stat.size} ≠ local ${item.local.size}` });
+              } else {
+                stats.set(item.rel, stat);
+              }
+            } catch (e) {
+              mismatches.push({ item, why: `remote file missing (${e?.message || e})` });
+            }
+          })
+        );
+        const done = Math.min(i + BATCH, list.length);
+        if (done === list.length || (i / BATCH) % this.analyzeChunk === 0) {
+          this.updateProgress2("Verify size: ", done, list.length, list[done - 1].rel);
+        }
+      }
+      if (!withHash) return mismatches;
 
-    this._writeLogFile(
-      `[progress] ${base}${rel ? " – " + rel : ""}`
-    );
+      const sized = list.filter((item) => stats.has(item.rel));
+      const meta = (item) => ({
+        remotePath: item.remotePath,
+        size: stats.get(item.rel).size,
+        modifyTime: stats.get(item.rel).modifyTime,
+      });
 
-    const frame = SPINNER_FRAMES[this.spinnerIndex];
-    this.spinnerIndex = (this.spinnerIndex + 1) % SPINNER_FRAMES.length;
+      // serverseitig (exec) in Batches, der Rest per Streaming
+      const execHashes = this.remoteExecHasher
+        ? await this.remoteExecHasher.hashFiles(
+            sized.map((item) => item.remotePath),
+            (done, total, lastPath) => this.updateProgress2("Verify hash (exec): ", done, total, lastPath)
+          )
+        : new Map();
 
-    if (!process.stdout.isTTY) {
-      if (total && total > 0) {
-        const percent = ((current / total) * 100).toFixed(1);
-        console.log(
-          `${TAB_A}${frame} ${prefix}${current}/${total} ${suffix} (${percent}%) – ${short}`
-        );
-      } else {
-        console.log(
-          `${TAB_A}${frame} ${prefix}${current} ${suffix} – ${short}`
+      for (let i = 0; i < sized.length; i += BATCH) {
+        await Promise.all(
+          sized.slice(i, i + BATCH).map(async (item, j) => {
+            try {
+              const localHash = await this.hashCache.getLocalHash(item.rel, item.local);
+              // nie aus dem Cache: ein erneuter Upload kann dieselbe Größe + mtime haben
+              const { size } = meta(item);
+              const remoteHash =
+                execHashes.get(item.remotePath) ??
+                (await hashRemoteFile(
+                  this.pool.sessionFor(i + j).sftp,
+                  item.remotePath,
+                  60000,
+                  size,
+                  this.bandwidth,
+                  this.hashAlgorithm
+                ));
+              await this.hashCache.setRemoteHash(item.rel, meta(item), remoteHash);
+              if (remoteHash !== localHash) {
+                mismatches.push({ item, why: `${hashAlgorithmLabel(this.hashAlgorithm)} differs` });
+              }
+            } catch (e) {
+              mismatches.push({ item, why: `hash failed (${e?.message || e})` });
+            }
+          })
         );
+        const done = Math.min(i + BATCH, sized.length);
+        if (done === sized.length || (i / BATCH) % this.analyzeChunk === 0) {
+          this.updateProgress2("Verify hash: ", done, sized.length, sized[done - 1].rel);
+        }
       }
-      return;
+      return mismatches;
+    };
+
+    let mismatches = await check(items);
+    this.verifyStats.files += items.length;
+
+    if (mismatches.length > 0) {
+      for (const { item, why } of mismatches) {
+        this.wlog(pc.yellow(`${TAB_A}⚠ ${item.rel}: ${why} – uploading again`));
+      }
+      const retry = mismatches.map(({ item }) => item);
+      this.verifyStats.retried += retry.length;
+
+      await this.runTasks(
+        retry,
+        this.connection.workers,
+        async ({ local: l, remotePath, rel }, session) => {
+          await this._uploadFile(session, l.localPath, remotePath, rel, l.size);
+        },
+        "Verify: upload again",
+        this.pool.sessionFor(0).sftp
+      );
+      mismatches = await check(retry);
     }
 
-    const width = process.stdout.columns || 80;
+    for (const { item, why } of mismatches) {
+      this.elog(pc.red(`${TAB_A}❌ Verification failed: ${item.rel} (${why})`));
+      this._recordFailure("Verify", item.rel, why);
+      this.journal?.redo(item.rel);
+    }
+    this.verifyStats.failed += mismatches.length;
 
-    let line1;
-    if (total && total > 0) {
-      const percent = ((current / total) * 100).toFixed(1);
-      line1 = `${TAB_A}${frame} ${prefix}${current}/${total} ${suffix} (${percent}%)`;
-    } else {
-      line1 = `${TAB_A}${frame} ${prefix}${current} ${suffix}`;
+    if (mismatches.length === 0) {
+      this.log(`${TAB_A}${pc.green(`✔ ${items.length} uploads verified.`)}`);
     }
+    return mismatches.length;
+  }
 
-    let line2 = short || "";
+  /**
+   * Remove temp files left behind by aborted atomic uploads
+   * (found during the remote scan).
+   * Partial files of pending uploads (`keep`) stay, they are resumed.
+   * A `.sftp-old` file whose target is missing (run aborted between the two
+   * renames of the fallback) is the only copy of the live file: it is renamed
+   * back into place instead of deleted.
+   */
+  async _removeStaleTempFiles(sftp, keep = new Set()) {
+    const stale = this.staleTempFiles.filter((rel) => !keep.has(rel));
+    const resumable = this.staleTempFiles.length - stale.length;
 
-    if (line1.length > width) line1 = line1.slice(0, width - 1);
-    if (line2.length > width) line2 = line2.slice(0, width - 1);
+    if (resumable > 0) {
+      this.log(
+        `${TAB_A}${pc.dim(`Keeping ${resumable} partial uploads to resume …`)}`
+      );
+    }
+    if (stale.length === 0) return;
 
-    process.stdout.write("\r" + line1.padEnd(width) + "\n");
-    process.stdout.write(line2.padEnd(width));
-    process.stdout.write("\x1b[1A");
+    const remoteRoot = this.connection.remoteRoot;
+    const oldVersions = stale.filter((rel) => parseAtomicTempFile(rel)?.kind === "old");
+    const others = stale.filter((rel) => !oldVersions.includes(rel));
 
-    this.progressActive = true;
+    // nacheinander: mehrere .sftp-old desselben Ziels → nur eines wird zurückbenannt
+    for (const rel of oldVersions) {
+      const { target } = parseAtomicTempFile(rel);
+      const remotePath = path.posix.join(remoteRoot, rel);
+      const targetPath = path.posix.join(remoteRoot, target);
+      try {
+        if (await sftp.exists(targetPath)) {
+          await sftp.delete(remotePath);
+          this.vlog(`${TAB_A}${DEL} ${pc.dim("stale temp file:")} ${rel}`);
+        } else {
+          await sftp.rename(remotePath, targetPath);
+          this.wlog(
+            pc.yellow(`${TAB_A}⚠ Restored ${target} from an aborted replace (${path.posix.basename(rel)}).`)
+          );
+        }
+      } catch (e) {
+        this.wlog(
+          pc.yellow(`${TAB_A}⚠ Kept ${rel} (previous version of ${target}): ${e?.message || e}`)
+        );
+      }
+    }
+    if (others.length === 0) return;
+
+    this.log(
+      `${TAB_A}${pc.dim(`Removing ${others.length} stale temp files from aborted uploads …`)}`
+    );
+
+    await this.runTasks(
+      others.map((rel) => ({
+        rel,
+        remotePath: path.posix.join(remoteRoot, rel),
+      })),
+      this.connection.workers,
+      async ({ remotePath, rel }, session) => {
+        await session.delete(remotePath);
+        this.vlog(`${TAB_A}${DEL} ${pc.dim("stale temp file:")} ${rel}`);
+      },
+      "Stale temp files",
+      sftp
+    );
+  }
+
+  /**
+   * Anzeige eines Modus mit dem konfigurierten Algorithmus
+   * (COMPARE_MODES, VERIFY_MODES)
+   */
+  _modeLabel(modes, mode) {
+    return modes[mode](hashAlgorithmLabel(this.hashAlgorithm));
   }
 
   // ---------------------------------------------------------
-  // Worker-Pool with auto-reconnect
+  // Text-Diffs (--show-diff)
   // ---------------------------------------------------------
 
-  async runTasks(items, workerCount, handler, label = "Tasks", sftp = null) {
-    if (!items || items.length === 0) return;
+  /**
+   * Text-Datei, die zu showDiff.files passt (leer = alle Text-Dateien)?
+   */
+  _wantsDiff(rel) {
+    const { files } = this.showDiff;
+    return this.isTextFile(rel) && (files.length === 0 || this.matchesAny(files, rel));
+  }
 
-    const total = items.length;
-    let done = 0;
-    let index = 0;
-    let failedCount = 0;
-    const workers = [];
-    const actualWorkers = Math.max(1, Math.min(workerCount, total));
+  /**
+   * Unified diffs of the changed text files, printed in dry-run and verbose
+   * runs and/or written to showDiff.patchFile. Texts from the compare phase
+   * are reused; files decided by size or hash are downloaded once more
+   * (through the bandwidth limit, like the compare).
+   *
+   * @param {Array} toUpdate - changed files ({ rel, local, remote })
+   * @param {Map<string, { localText, remoteText }>} texts - from analyseDifferences
+   * @param {Object} options
+   * @param {boolean} options.print - show the diffs on the console
+   */
+  async _showTextDiffs(toUpdate, texts, { print }) {
+    const { maxLines, patchFile } = this.showDiff;
+    if (!print && !patchFile) return;
 
-    // Mutex for reconnection (only one worker reconnects at a time)
-    let reconnecting = false;
-    let reconnectWaiters = 0;
+    const items = toUpdate.filter((t) => this._wantsDiff(t.rel));
+    if (items.length === 0) return;
 
-    const worker = async () => {
-      // eslint-disable-next-line no-constant-condition
-      while (true) {
-        const i = index;
+    if (print) {
+      this.log("");
+      this.log(pc.bold(pc.cyan(`📝 Text diffs (${items.length} files, remote → local):`)));
+    }
+
+    const patches = [];
+    const BATCH = 8;
+    for (let i = 0; i < items.length; i += BATCH) {
+      const results = await Promise.all(
+        items.slice(i, i + BATCH).map(async (t, j) => {
+          if (t.local.size > MAX_DIFF_BYTES || t.remote.size > MAX_DIFF_BYTES) {
+            return { t, note: "too large for a diff" };
+          }
+          try {
+            let pair = texts.get(t.rel);
+            if (!pair) {
+              const [localBuf, remoteBuf] = await Promise.all([
+                fsp.readFile(t.local.localPath),
+                limitedGetBuffer(this.pool.sessionFor(i + j).sftp, t.remote.remotePath, this.bandwidth),
+              ]);
+              pair = {
+                localText: localBuf.toString("utf8"),
+                remoteText: remoteBuf.toString("utf8"),
+              };
+            }
+            const patch = createTextPatch(t.rel, pair.remoteText, pair.localText);
+            return patch ? { t, patch } : { t, note: "no text changes" };
+          } catch (e) {
+            return { t, note: `diff failed (${e?.message || e})` };
+          }
+        })
+      );
+
+      for (const { t, patch, note } of results) {
+        if (patch) patches.push(patch);
+        if (!print) continue;
+        this.log("");
+        this.log(`${TAB_A}${CHA} ${pc.yellow(t.rel)}${note ? pc.dim(` – ${note}`) : ""}`);
+        if (patch) {
+          formatPatchLines(patch, maxLines).forEach((line) => this.log(`${TAB_A}${line}`));
+        }
+      }
+    }
+
+    if (patchFile) {
+      const patchPath = path.resolve(patchFile);
+      await fsp.writeFile(patchPath, patches.join(""), "utf8");
+      this.log("");
+      this.log(`${TAB_A}${pc.green(`✔ Patch written (${patches.length} files): ${patchPath}`)}`);
+    }
+  }
+
+  // ---------------------------------------------------------
+  // Remote-Manifest
+  // ---------------------------------------------------------
+
+  /**
+   * Load the remote manifest as remote file map.
+   * Returns null (→ real scan) if there is none or it is unusable.
+   */
+  async _loadRemoteManifest(sftp, root) {
+    try {
+      const manifest = await readRemoteManifest(sftp, root);
+      if (!manifest) {
+        this.log(`${TAB_A}${pc.dim("No remote manifest found – scanning the server.")}`);
+        return null;
+      }
+      this.vlog(
+        `${TAB_A}${pc.dim(`Remote manifest from ${manifest.header.created} (${manifest.entries.size} files)`)}`
+      );
+      // Hashes eines anderen Algorithmus sind nicht vergleichbar
+      const manifestAlgorithm = manifest.header.hashAlgorithm ?? "sha256";
+      if (manifestAlgorithm !== this.hashAlgorithm) {
+        this.log(
+          `${TAB_A}${pc.dim(`Remote manifest uses ${manifestAlgorithm}, hashAlgorithm is ${this.hashAlgorithm} – scanning the server.`)}`
+        );
+        return null;
+      }
+      return manifestToRemoteMap(
+        manifest,
+        root,
+        (rel) => this.isIncluded(rel)
+      );
+    } catch (e) {
+      this.wlog(
+        pc.yellow(`${TAB_A}⚠ Remote manifest unusable (${e?.message || e}) – scanning the server.`)
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Write the remote manifest after a successful sync.
+   * Remote state = local files; uploaded files get the current time as modifyTime.
+   */
+  async _writeRemoteManifest(sftp, root, { local, remote, toAdd, toUpdate, kept = [], failedOps }) {
+    this.log("");
+    this.log(pc.bold(pc.cyan("📝 Writing remote manifest …")));
+
+    if (failedOps > 0) {
+      this.wlog(
+        pc.yellow(`${TAB_A}⚠ Manifest not written: ${failedOps} operations failed – the next run scans the server.`)
+      );
+      return;
+    }
+
+    const uploaded = new Set([...toAdd, ...toUpdate].map((t) => t.rel));
+    const now = Date.now();
+    const entries = new Map();
+    const rels = [...local.keys()];
+    const concurrency = 8;
+
+    for (let i = 0; i < rels.length; i += concurrency) {
+      const batch = rels.slice(i, i + concurrency);
+      await Promise.all(
+        batch.map(async (rel) => {
+          const l = local.get(rel);
+          const r = remote.get(rel);
+          const hash = await this.hashCache.getLocalHash(rel, l);
+          entries.set(rel, {
+            size: l.size,
+            hash,
+            modifyTime: uploaded.has(rel) || !r ? now : r.modifyTime,
+          });
+        })
+      );
+      const done = Math.min(i + batch.length, rels.length);
+      if (done === rels.length || (i / concurrency) % this.analyzeChunk === 0) {
+        this.updateProgress2("Manifest: ", done, rels.length, batch[batch.length - 1]);
+      }
+    }
+
+    // geschützte Remote-Dateien (protect) bleiben bekannt, ohne Hash
+    for (const t of kept) {
+      entries.set(t.rel, {
+        size: t.remote.size,
+        hash: t.remote.hash ?? null,
+        modifyTime: t.remote.modifyTime,
+      });
+    }
+
+    if (!await this._isConnected(sftp)) {
+      this.log(`${TAB_A}${pc.yellow("⚠ Connection lost, reconnecting…")}`);
+      await this._reconnect(sftp);
+    }
+
+    try {
+      await writeRemoteManifest(sftp, root, entries, {
+        version: pkg.version,
+        hashAlgorithm: this.hashAlgorithm,
+      });
+      this.log(`${TAB_A}${pc.green(`✔ Remote manifest written (${entries.size} files).`)}`);
+    } catch (e) {
+      this.wlog(
+        pc.yellow(`${TAB_A}⚠ Could not write remote manifest: ${e?.message || e}`)
+      );
+    }
+  }
+
+  // ---------------------------------------------------------
+  // Releases (blue/green)
+  // ---------------------------------------------------------
+
+  /**
+   * Determine the active release and the id of the new one.
+   */
+  async _prepareRelease(sftp) {
+    const layout = releaseLayout(this.connection.remoteRoot, this.deploy);
+    const previousId = await readCurrentRelease(sftp, layout.currentPath);
+    const id = createReleaseId();
+
+    if (await sftp.exists(layout.releasePath(id))) {
+      throw new Error(`Release ${id} already exists on the server – try again in a second.`);
+    }
+
+    this.log("");
+    this.log(`${TAB_A}Next release  : ${pc.green(id)}`);
+    this.log(
+      `${TAB_A}Active release: ${
+        previousId ? pc.green(previousId) : pc.dim("none (first deploy)")
+      }`
+    );
+
+    return {
+      layout,
+      id,
+      path: layout.releasePath(id),
+      previousId,
+      previousPath: previousId ? layout.releasePath(previousId) : null,
+      activated: false,
+    };
+  }
+
+  /**
+   * Take over an unchanged file from the previous release.
+   * Hardlink on the server; if the server lacks hardlink@openssh.com,
+   * the file is uploaded from local instead.
+   *
+   * @returns {Promise<boolean>} true if the file had to be uploaded
+   */
+  async _seedReleaseFile(sftp, { rel, local: l, fromPath, remotePath }) {
+    if (this.hardlinkSupported !== false) {
+      try {
+        await hardlinkFile(sftp, fromPath, remotePath);
+        this.hardlinkSupported = true;
+        return false;
+      } catch (err) {
+        const msg = (err?.message || "").toLowerCase();
+        if (!msg.includes("does not support")) throw err;
+        if (this.hardlinkSupported === undefined) {
+          this.wlog(
+            pc.yellow(`${TAB_A}⚠ Server does not support hardlinks – unchanged files are uploaded again.`)
+          );
+        }
+        this.hardlinkSupported = false;
+      }
+    }
+
+    if (!l) {
+      // nur remote vorhanden (protect): serverseitig über den Client kopieren
+      await sftp.put(sftp.createReadStream(fromPath), remotePath);
+      return true;
+    }
+
+    await this._uploadFile(sftp, l.localPath, remotePath, rel, l.size);
+    return true;
+  }
+
+  /**
+   * Point `current` to the new release and prune old releases.
+   * A release with failed operations is never activated and removed again.
+   */
+  async _activateRelease(sftp, release, failedOps) {
+    this.log("");
+    this.log(pc.bold(pc.cyan("🔀 Activating release …")));
+
+    if (!await this._isConnected(sftp)) {
+      this.log(`${TAB_A}${pc.yellow("⚠ Connection lost, reconnecting…")}`);
+      await this._reconnect(sftp);
+    }
+
+    if (failedOps > 0) {
+      this.elog(
+        pc.red(`${TAB_A}❌ Release ${release.id} not activated: ${failedOps} operations failed.`)
+      );
+      try {
+        await sftp.rmdir(release.path, true);
+        this.log(`${TAB_A}${pc.dim(`Incomplete release ${release.id} removed.`)}`);
+      } catch (e) {
+        this.wlog(
+          pc.yellow(`${TAB_A}⚠ Could not remove incomplete release ${release.id}: ${e?.message || e}`)
+        );
+      }
+      process.exitCode = EXIT_CODES.PARTIAL;
+      return;
+    }
+
+    await switchCurrentRelease(sftp, release.layout, release.id, this.renameState);
+    release.activated = true;
+    this.log(
+      `${TAB_A}${pc.green(`✔ ${this.deploy.currentLink} → ${release.layout.linkTarget(release.id)}`)}`
+    );
+
+    try {
+      await pruneReleases(
+        sftp,
+        release.layout,
+        this.deploy.keepReleases,
+        release.id,
+        (id) => this.log(`${TAB_A}${DEL} ${pc.dim("old release:")} ${id}`)
+      );
+    } catch (e) {
+      this.wlog(
+        pc.yellow(`${TAB_A}⚠ Could not prune old releases: ${e?.message || e}`)
+      );
+    }
+  }
+
+  /**
+   * Switch `current` back to an older release.
+   * Without id: the newest release older than the active one.
+   */
+  async _runRollback(sftp, targetId, dryRun) {
+    this.log("");
+    this.log(pc.bold(pc.cyan("⏪ Rollback …")));
+
+    const layout = releaseLayout(this.connection.remoteRoot, this.deploy);
+    const releases = await listReleases(sftp, layout.releasesRoot);
+    const currentId = await readCurrentRelease(sftp, layout.currentPath);
+
+    this.log(`${TAB_A}Releases      : ${releases.length ? releases.join(", ") : pc.dim("none")}`);
+    this.log(`${TAB_A}Active release: ${currentId ? pc.green(currentId) : pc.dim("none")}`);
+
+    let id = targetId;
+    if (id) {
+      if (!releases.includes(id)) {
+        throw new Error(`Release ${id} not found in ${layout.releasesRoot}.`);
+      }
+      if (id === currentId) {
+        this.log(`${TAB_A}Release ${id} is already active – nothing to do.`);
+        return;
+      }
+    } else {
+      const older = currentId
+        ? releases.filter((r) => r < currentId)
+        : [];
+      id = older[older.length - 1];
+      if (!id) {
+        throw new Error("No previous release to roll back to.");
+      }
+    }
+
+    if (dryRun) {
+      this.log(pc.yellow(`${TAB_A}DRY-RUN: would switch ${layout.currentPath} → ${layout.linkTarget(id)}`));
+      return;
+    }
+
+    await switchCurrentRelease(sftp, layout, id, this.renameState);
+    this.log(
+      `${TAB_A}${pc.green(`✔ ${this.deploy.currentLink} → ${layout.linkTarget(id)}`)}`
+    );
+  }
+
+  // ---------------------------------------------------------
+  // Remote-Papierkorb (soft delete)
+  // ---------------------------------------------------------
+
+  _startTrashRun(id = createRunId()) {
+    this.trashRun = {
+      id,
+      dirs: new Set(),
+      added: [],
+      updated: [],
+      deleted: [],
+    };
+  }
+
+  /**
+   * Move a remote file into the trash run instead of deleting/overwriting it.
+   * keepInPlace: hardlink instead of rename, so the live file stays until an
+   * atomic upload renames the new version over it (fallback: rename).
+   */
+  async _trashFile(sftp, remotePath, rel, kind, { keepInPlace = false } = {}) {
+    const run = this.trashRun;
+    const trashPath = path.posix.join(trashRunPath(this.trash, run.id), rel);
+    const dir = path.posix.dirname(trashPath);
+
+    if (!run.dirs.has(dir)) {
+      try {
+        await sftp.mkdir(dir, true);
+      } catch {
+        // ein anderer Worker legt gerade (einen Teil) desselben Pfads an → einmal wiederholen
+        if (!(await sftp.exists(dir))) await sftp.mkdir(dir, true);
+      }
+      run.dirs.add(dir);
+    }
+
+    if (keepInPlace && this.hardlinkSupported !== false) {
+      try {
+        await hardlinkFile(sftp, remotePath, trashPath);
+        this.hardlinkSupported = true;
+        run[kind].push(rel);
+        return;
+      } catch (err) {
+        const msg = (err?.message || "").toLowerCase();
+        if (!msg.includes("does not support")) throw err;
+        this.hardlinkSupported = false;
+      }
+    }
+
+    await sftp.rename(remotePath, trashPath);
+    run[kind].push(rel);
+  }
+
+  /**
+   * Write the run info and purge expired trash runs.
+   */
+  async _finishTrashRun(sftp, extraInfo = {}) {
+    const run = this.trashRun;
+    const moved = run.updated.length + run.deleted.length;
+
+    this.log("");
+    this.log(
+      pc.bold(pc.cyan(this.trash.onlyUpdates ? "💾 Backup (remote) …" : "🗑  Remote trash …"))
+    );
+
+    if (moved > 0 || run.added.length > 0) {
+      await writeTrashRunInfo(sftp, this.trash, run.id, {
+        created: new Date().toISOString(),
+        remoteRoot: this.connection.remoteRoot,
+        ...extraInfo,
+        added: [...run.added].sort(),
+        updated: [...run.updated].sort(),
+        deleted: [...run.deleted].sort(),
+      });
+      this.log(
+        `${TAB_A}${pc.green(`✔ ${moved} files moved to ${trashRunPath(this.trash, run.id)}`)} (restore: --restore ${run.id})`
+      );
+    } else {
+      this.log(`${TAB_A}Nothing moved.`);
+    }
+
+    await purgeTrash(sftp, this.trash, {
+      keep: [run.id],
+      log: (id) => this.log(`${TAB_A}${DEL} expired run: ${id}`),
+    });
+  }
+
+  /**
+   * --restore [run-id]: move the files of a trash run back into remoteRoot.
+   * Files the run had added are moved to the trash, current versions of
+   * restored files too – the restore itself can be undone with --restore.
+   * `only`: glob patterns, restores just the matching files (--only).
+   */
+  async _runRestore(sftp, targetId, dryRun, only = []) {
+    this.log("");
+    this.log(
+      pc.bold(pc.cyan(`♻️  Restore from ${this.trash.onlyUpdates ? "remote backup" : "remote trash"} …`))
+    );
+
+    const runs = await listTrashRuns(sftp, this.trash);
+    this.log(`${TAB_A}Runs: ${runs.length ? runs.join(", ") : pc.dim("none")}`);
+
+    const id = targetId ?? runs[runs.length - 1];
+    if (!id) {
+      throw new Error(`Remote trash is empty: ${this.trash.root}`);
+    }
+    if (!runs.includes(id)) {
+      throw new Error(`Trash run ${id} not found in ${this.trash.root}.`);
+    }
+
+    const runPath = trashRunPath(this.trash, id);
+    const info = await readTrashRunInfo(sftp, this.trash, id);
+    const files = await walkRemote(sftp, runPath, {
+      filterFn: (rel) => rel !== TRASH_INFO_NAME,
+    });
+    const selected = (rel) => only.length === 0 || this.matchesAny(only, rel);
+    const rels = [...files.keys()].filter(selected).sort();
+    const added = (info?.added ?? []).filter((rel) => !files.has(rel) && selected(rel));
+
+    this.log(`${TAB_A}Run ${pc.green(id)}: ${rels.length} files to move back, ${added.length} added files to remove`);
+    if (!info) {
+      this.wlog(pc.yellow(`${TAB_A}⚠ No ${TRASH_INFO_NAME} – files added by that run stay in place.`));
+    }
+    if (!this.isLaconic) {
+      rels.forEach((rel) => this.log(`${TAB_A}${ADD} ${pc.green("Restore:")} ${rel}`));
+      added.forEach((rel) => this.log(`${TAB_A}${DEL} ${pc.red("Remove:")} ${rel}`));
+    }
+
+    if (dryRun) {
+      this.log(pc.yellow(`${TAB_A}DRY-RUN: nothing moved.`));
+      return;
+    }
+
+    // Manifest passt danach nicht mehr zum Server
+    if (this.remoteManifestEnabled) {
+      await removeRemoteManifest(sftp, this.connection.remoteRoot);
+    }
+
+    this._startTrashRun();
+    if (this.trashRun.id === id) {
+      throw new Error(`Trash run ${id} was created just now – try again in a second.`);
+    }
+
+    const { remoteRoot, workers } = this.connection;
+    let failed = 0;
+
+    await this.runTasks(
+      added.map((rel) => ({ rel })),
+      workers,
+      async ({ rel }, session) => {
+        const remotePath = path.posix.join(remoteRoot, rel);
+        try {
+          if (await session.exists(remotePath)) {
+            await this._trashFile(session, remotePath, rel, "deleted");
+          }
+        } catch (e) {
+          failed += 1;
+          this._recordFailure("Remove added", rel, e);
+          this.elog(pc.red(`${TAB_A}⚠️ Could not remove ${rel}:`), e?.message || e);
+        }
+      },
+      "Remove added",
+      sftp
+    );
+
+    await this.runTasks(
+      rels.map((rel) => ({ rel })),
+      workers,
+      async ({ rel }, session) => {
+        const remotePath = path.posix.join(remoteRoot, rel);
+        try {
+          if (await session.exists(remotePath)) {
+            await this._trashFile(session, remotePath, rel, "updated");
+          } else {
+            await session.mkdir(path.posix.dirname(remotePath), true);
+            this.trashRun.added.push(rel);
+          }
+          await session.rename(files.get(rel).remotePath, remotePath);
+        } catch (e) {
+          failed += 1;
+          this._recordFailure("Restore", rel, e);
+          this.elog(pc.red(`${TAB_A}⚠️ Could not restore ${rel}:`), e?.message || e);
+        }
+      },
+      "Restore",
+      sftp
+    );
+
+    if (failed > 0) {
+      process.exitCode = EXIT_CODES.PARTIAL;
+      this.elog(pc.red(`${TAB_A}❌ ${failed} files could not be restored – ${runPath} is kept.`));
+    } else {
+      // Teil-Restore (--only): der Run behält die übrigen Dateien
+      if (only.length === 0) await sftp.rmdir(runPath, true);
+      this.log(`${TAB_A}${pc.green(`✔ ${rels.length} files restored from ${id}.`)}`);
+    }
+
+    await this._finishTrashRun(sftp, { restoredFrom: id });
+  }
+
+  // ---------------------------------------------------------
+  // Lokales Backup überschriebener Dateien
+  // ---------------------------------------------------------
+
+  _startBackupRun(id = createRunId()) {
+    this.backupRun = { id, files: [] };
+  }
+
+  /**
+   * Download the current remote version before it is overwritten.
+   */
+  async _backupFile(sftp, remotePath, rel, remote) {
+    const run = this.backupRun;
+    await downloadBackup(
+      sftp,
+      remotePath,
+      backupFilePath(this.backup, run.id, rel),
+      this.bandwidth
+    );
+    run.files.push({
+      rel,
+      size: remote?.size ?? null,
+      modifyTime: remote?.modifyTime ? new Date(remote.modifyTime).toISOString() : null,
+    });
+  }
+
+  /**
+   * Write the run index and purge expired local backup runs.
+   */
+  async _finishBackupRun(extraInfo = {}) {
+    const run = this.backupRun;
+
+    this.log("");
+    this.log(pc.bold(pc.cyan("💾 Backup (local) …")));
+
+    if (run.files.length > 0) {
+      await writeBackupIndex(this.backup, run.id, {
+        created: new Date().toISOString(),
+        remoteRoot: this.connection.remoteRoot,
+        ...extraInfo,
+        files: [...run.files].sort((a, b) => (a.rel < b.rel ? -1 : a.rel > b.rel ? 1 : 0)),
+      });
+      this.log(
+        `${TAB_A}${pc.green(`✔ ${run.files.length} old versions saved to ${backupRunPath(this.backup, run.id)}`)} (restore: --restore ${run.id})`
+      );
+    } else {
+      this.log(`${TAB_A}Nothing to back up.`);
+    }
+
+    await purgeBackups(this.backup, {
+      keep: [run.id],
+      log: (id) => this.log(`${TAB_A}${DEL} expired backup run: ${id}`),
+    });
+  }
+
+  /**
+   * --restore [run-id] with a local backup: upload the saved versions again.
+   * The versions they replace are backed up first (new run), so the
+   * restore can be undone. The restored run is kept.
+   */
+  async _runRestoreBackup(sftp, targetId, dryRun, only = []) {
+    this.log("");
+    this.log(pc.bold(pc.cyan("♻️  Restore from local backup …")));
+
+    const runs = await listBackupRuns(this.backup);
+    this.log(`${TAB_A}Backup runs: ${runs.length ? runs.join(", ") : pc.dim("none")}`);
+
+    const id = targetId ?? runs[runs.length - 1];
+    if (!id) {
+      throw new Error(`No backups in ${this.backup.root}`);
+    }
+    if (!runs.includes(id)) {
+      throw new Error(`Backup run ${id} not found in ${this.backup.root}.`);
+    }
+
+    const index = await readBackupIndex(this.backup, id);
+    if (!index) {
+      throw new Error(`Backup run ${id} has no index.json (incomplete run).`);
+    }
+
+    const files = index.files.filter(
+      ({ rel }) => only.length === 0 || this.matchesAny(only, rel)
+    );
+    this.log(`${TAB_A}Run ${pc.green(id)}: ${files.length} files to restore`);
+    if (!this.isLaconic) {
+      files.forEach(({ rel }) => this.log(`${TAB_A}${CHA} ${pc.yellow("Restore:")} ${rel}`));
+    }
+
+    if (dryRun) {
+      this.log(pc.yellow(`${TAB_A}DRY-RUN: nothing uploaded.`));
+      return;
+    }
+    if (files.length === 0) return;
+
+    // Manifest passt danach nicht mehr zum Server
+    if (this.remoteManifestEnabled) {
+      await removeRemoteManifest(sftp, this.connection.remoteRoot);
+    }
+
+    this._startBackupRun();
+    if (this.backupRun.id === id) {
+      throw new Error(`Backup run ${id} was created just now – try again in a second.`);
+    }
+
+    const { remoteRoot, workers } = this.connection;
+    let failed = 0;
+
+    await this.runTasks(
+      files,
+      workers,
+      async ({ rel }, session) => {
+        const remotePath = path.posix.join(remoteRoot, rel);
+        const localPath = backupFilePath(this.backup, id, rel);
+        try {
+          const current = await session.exists(remotePath);
+          if (current === "-") {
+            const stat = await session.stat(remotePath);
+            await this._backupFile(session, remotePath, rel, stat);
+          } else {
+            await session.mkdir(path.posix.dirname(remotePath), true);
+          }
+          const { size } = await fsp.stat(localPath);
+          await this._uploadFile(session, localPath, remotePath, rel, size);
+        } catch (e) {
+          failed += 1;
+          this._recordFailure("Restore", rel, e);
+          this.elog(pc.red(`${TAB_A}⚠️ Could not restore ${rel}:`), e?.message || e);
+        }
+      },
+      "Restore",
+      sftp
+    );
+
+    if (failed > 0) {
+      process.exitCode = EXIT_CODES.PARTIAL;
+      this.elog(pc.red(`${TAB_A}❌ ${failed} files could not be restored.`));
+    } else {
+      this.log(`${TAB_A}${pc.green(`✔ ${files.length} files restored from ${id}.`)}`);
+    }
+
+    await this._finishBackupRun({ restoredFrom: id });
+  }
+
+  // ---------------------------------------------------------
+  // Plan-Stage / Apply-Stage
+  // ---------------------------------------------------------
+
+  /**
+   * Entfernt geschützte Pfade (protect) aus den Deletes.
+   */
+  _applyDeleteProtection(candidates) {
+    const toDelete = [];
+    const protectedDeletes = [];
+    for (const t of candidates) {
+      (this.isProtected(t.rel) ? protectedDeletes : toDelete).push(t);
+    }
+    if (protectedDeletes.length > 0) {
+      this.log(
+        `${TAB_A}${pc.cyan(`🛡 ${protectedDeletes.length} protected remote files kept`)}`
+      );
+      if (this.isVerbose) {
+        protectedDeletes.forEach((t) => this.vlog(`${TAB_A}${pc.dim(`  keep: ${t.rel}`)}`));
+      }
+    }
+    return { toDelete, protectedDeletes };
+  }
+
+  /**
+   * Prüft die geplanten Deletes gegen maxDeletes (Ergebnis in this.deleteGuard).
+   * Ausgelöst → run() überspringt die Apply-Stage, außer mit --force.
+   */
+  _checkDeleteGuard(deleteCount, remoteCount, protectedDeletes) {
+    this.deleteGuard = {
+      ...checkDeleteLimit(this.maxDeletes, deleteCount, remoteCount),
+      protected: protectedDeletes.length,
+      forced: false,
+    };
+    const { tripped, allowed, deletes } = this.deleteGuard;
+    if (!tripped) return;
+
+    if (this.options.force) {
+      this.deleteGuard.forced = true;
+      this.wlog(
+        pc.yellow(
+          `${TAB_A}⚠ ${deletes} deletes exceed maxDeletes ${formatMaxDeletes(this.maxDeletes)} (${allowed} allowed) – continuing because of --force.`
+        )
+      );
+      return;
+    }
+
+    this.elog(
+      pc.red(
+        `${TAB_A}⛔ ${deletes} of ${remoteCount} remote files would be deleted – maxDeletes ${formatMaxDeletes(this.maxDeletes)} allows ${allowed}.`
+      )
+    );
+    this.elog(
+      pc.red(`${TAB_A}   Check localRoot / the build output, or run again with --force.`)
+    );
+  }
+
+  /**
+   * Phase 1 + 2: scan local files and remote files (or take the remote
+   * state from the manifest).
+   */
+  async _scanFiles(sftp, { scanRoot, manifestRemote = null, release = null, dryRun = false }) {
+    this.log("");
+    this.log(
+      pc.bold(
+        pc.cyan(
+          manifestRemote
+            ? "📥 Phase 1 + 2: Scan local files, remote from manifest …"
+            : `📥 Phase 1 + 2: Scan local & remote files (${
+                this.parallelScan ? "parallel" : "serial"
+              }) …`
+        )
+      )
+    );
+
+    const scanProgress = new ScanProgressController({
+      writeLogLine: (line) => this._writeLogFile(line),
+    });
+
+    const scanLocal = () =>
+      walkLocal(this.connection.localRoot, {
+        filterFn: (rel) => this.isIncluded(rel),
+        classifyFn: (rel) => ({
+          isText: this.isTextFile(rel),
+          isMedia: this.isMediaFile(rel),
+        }),
+        progress: scanProgress,
+        scanChunk: this.scanChunk,
+        log: (msg) => this.log(msg),
+      });
+
+    const scanRemote = async () => {
+      if (manifestRemote) return manifestRemote;
+      // erstes Release: noch nichts auf dem Server
+      if (!scanRoot) return new Map();
+      return walkRemote(sftp, scanRoot, {
+        filterFn: (rel) => {
+          if (MANIFEST_FILES.includes(rel)) return false;
+          if (isTrashPath(this.trash, rel)) return false;
+          if (isAtomicTempFile(rel)) {
+            // Release-Modus: alte Releases bleiben unangetastet
+            if (!release) this.staleTempFiles.push(rel);
+            return false;
+          }
+          return this.isIncluded(rel);
+        },
+        progress: scanProgress,
+        scanChunk: this.scanChunk,
+        log: (msg) => this.log(msg),
+      });
+    };
+
+    let local;
+    let remote;
+
+    if (this.parallelScan) {
+      [local, remote] = await Promise.all([scanLocal(), scanRemote()]);
+    } else {
+      local = await scanLocal();
+      remote = await scanRemote();
+    }
+
+    scanProgress.stop();
+
+    this.log(`${TAB_A}→ ${local.size} local files`);
+    this.log(
+      `${TAB_A}→ ${remote.size} remote files${
+        manifestRemote ? " (from manifest)" : ""
+      }`
+    );
+    if (this.staleTempFiles.length > 0) {
+      this.log(
+        `${TAB_A}→ ${this.staleTempFiles.length} stale temp files from aborted uploads${
+          dryRun ? "" : " (will be removed)"
+        }`
+      );
+    }
+
+    if (this.autoExcluded.size > 0) {
+      this.log("");
+      this.log(pc.dim("   Auto-excluded (sidecar upload/download):"));
+      [...this.autoExcluded].sort().forEach((file) => {
+        this.log(pc.dim(`${TAB_A} - ${file}`));
+      });
+    }
+
+    return { local, remote };
+  }
+
+  /**
+   * Drop cache entries of files that no longer exist locally / remotely
+   * (after a complete scan, and for `cache prune`).
+   *
+   * @returns {Promise<number>} removed entries
+   */
+  async _pruneCache(local, remote) {
+    const pruned = await this.hashCache.cleanup(new Set(local.keys()), new Set(remote.keys()));
+    if (pruned > 0) {
+      this.log(`${TAB_A}→ ${pruned} stale cache entries pruned`);
+    }
+    return pruned;
+  }
+
+  /**
+   * Plan stage (Phase 1–4): scan local + remote, compare, compute deletes.
+   * Nothing on the server is changed here.
+   */
+  async _planStage(sftp, { dryRun, verifyRemote }) {
+    // Release-Deploy: gelesen wird aus dem aktiven Release,
+    // geschrieben in ein neues Release-Verzeichnis
+    const release =
+      this.deploy.strategy === "releases"
+        ? await this._prepareRelease(sftp)
+        : null;
+    const scanRoot = release ? release.previousPath : this.connection.remoteRoot;
+    const targetRoot = release ? release.path : this.connection.remoteRoot;
+
+    // Remote-Manifest statt Remote-Scan?
+    let manifestRemote = null;
+    if (this.remoteManifestEnabled && !verifyRemote && scanRoot) {
+      manifestRemote = await this._loadRemoteManifest(sftp, scanRoot);
+    }
+
+    // Phase 1 + 2 – Scan
+    const { local, remote } = await this._scanFiles(sftp, { scanRoot, manifestRemote, release, dryRun });
+
+    // Cache: Einträge für nicht mehr vorhandene Dateien entfernen – nur nach
+    // einem echten Scan des Live-Baums (nicht Manifest, nicht erstes Release)
+    // und nicht im Dry-Run (der Cache wird am Ende trotzdem gespeichert)
+    if (!dryRun && !manifestRemote && scanRoot) {
+      await this._pruneCache(local, remote);
+    }
+
+    this.log("");
+
+    // Phase 3 – Analyse Differences (delegiert an Helper)
+    this.log(pc.bold(pc.cyan("🔎 Phase 3: Compare & Decide …")));
+
+    const { getLocalHash, getRemoteHash } = this.hashCache;
+
+    // Texte aus dem Vergleich, für --show-diff (kein zweiter Download)
+    const changedTexts = new Map();
+
+    this.remoteExecHasher =
+      this.remoteHashMode === "exec"
+        ? createRemoteExecHasher({
+            sftp,
+            log: (msg) => this.log(`${TAB_A}${pc.dim(msg)}`),
+            algorithm: this.hashAlgorithm,
+          })
+        : null;
+
+    const diffResult = await analyseDifferences({
+      local,
+      remote,
+      remoteRoot: targetRoot,
+      sftp,
+      getLocalHash,
+      getRemoteHash,
+      getSftp: (i) => this.pool.sessionFor(i).sftp,
+      analyzeChunk: this.analyzeChunk,
+      compareMode: this.compareMode,
+      prefetchRemoteHashes: this.remoteExecHasher
+        ? (items) => this._prefetchRemoteHashes(this.remoteExecHasher, items)
+        : null,
+      onTextChange: this.showDiff
+        ? (rel, localText, remoteText) => {
+            if (this._wantsDiff(rel) && localText.length <= MAX_DIFF_BYTES) {
+              changedTexts.set(rel, { localText, remoteText });
+            }
+          }
+        : null,
+      bandwidth: this.bandwidth,
+      updateProgress: (prefix, current, total, rel) =>
+        this.updateProgress2(prefix, current, total, rel, "Files"),
+      log: this.isVerbose ? (...m) => this.log(...m) : null,
+    });
+
+    const { toAdd, toUpdate } = diffResult;
+
+    // Report large files that skipped hash comparison
+    if (diffResult.largeFilesSkipped && diffResult.largeFilesSkipped.length > 0 && this.isVerbose) {
+      const totalSizeMB = diffResult.largeFilesSkipped.reduce((sum, f) => sum + f.size, 0) / (1024 * 1024);
+      this.log(`   ℹ ${diffResult.largeFilesSkipped.length} large files (${totalSizeMB.toFixed(0)}MB total) skipped hash compare (same size/date)`);
+    }
+
+    // Report compare errors if any
+    if (diffResult.compareErrors && diffResult.compareErrors.length > 0) {
+      this.log("");
+      this.wlog(pc.yellow(`⚠ ${diffResult.compareErrors.length} files had compare errors (will be re-uploaded):`));
+      if (this.isVerbose) {
+        for (const { rel, error } of diffResult.compareErrors) {
+          this.wlog(pc.yellow(`   - ${rel}: ${error}`));
+        }
+      }
+    }
+
+    if (toAdd.length === 0 && toUpdate.length === 0) {
+      this.log("");
+      this.log(`${TAB_A}No differences found. Everything is up to date.`);
+    } else if (!this.isLaconic) {
+      this.log("");
+      this.log(pc.bold(pc.cyan("Changes (analysis):")));
+      [...toAdd].forEach((t) =>
+        this.log(`${TAB_A}${ADD} ${pc.green("New:")} ${t.rel}`)
+      );
+      [...toUpdate].forEach((t) =>
+        this.log(`${TAB_A}${CHA} ${pc.yellow("Changed:")} ${t.rel}`)
+      );
+    }
+
+    if (this.showDiff && toUpdate.length > 0) {
+      await this._showTextDiffs(toUpdate, changedTexts, { print: dryRun || this.isVerbose });
+    }
+
+    // Phase 4 – Remote deletes
+    this.log("");
+    this.log(
+      pc.bold(
+        pc.cyan(
+          release
+            ? "🧹 Phase 4: Files not carried over into the new release …"
+            : "🧹 Phase 4: Removing orphaned remote files …"
+        )
+      )
+    );
+
+    // Reconnect if connection was lost during analysis
+    if (!await this._isConnected(sftp)) {
+      this.log(`${TAB_A}${pc.yellow("⚠ Connection lost, reconnecting…")}`);
+      await this._reconnect(sftp);
+    }
+
+    const { toDelete, protectedDeletes } = this._applyDeleteProtection(
+      computeRemoteDeletes({ local, remote })
+    );
+
+    if (toDelete.length === 0) {
+      this.log(`${TAB_A}No orphaned remote files found.`);
+    } else if (!this.isLaconic) {
+      toDelete.forEach((t) =>
+        this.log(
+          `${TAB_A}${DEL} ${pc.red(
+            release ? "Drop:" : this.trash && !this.trash.onlyUpdates ? "Trash:" : "Remove:"
+          )} ${t.rel}`
+        )
+      );
+    }
+    this._checkDeleteGuard(toDelete.length, remote.size, protectedDeletes);
+
+    const hasChanges = toAdd.length > 0 || toUpdate.length > 0 || toDelete.length > 0;
+
+    // Release: unveränderte Dateien werden aus dem aktiven Release übernommen
+    const deployRelease = Boolean(release) && hasChanges;
+    const changedRels = new Set([...toAdd, ...toUpdate].map((t) => t.rel));
+    const toSeed = deployRelease
+      ? [...local.keys()]
+          .filter((rel) => remote.has(rel) && !changedRels.has(rel))
+          .map((rel) => ({
+            rel,
+            local: local.get(rel),
+            fromPath: remote.get(rel).remotePath,
+            remotePath: path.posix.join(release.path, rel),
+          }))
+          // geschützte Dateien gibt es nur remote – sie wandern ins neue Release mit
+          .concat(
+            protectedDeletes.map((t) => ({
+              rel: t.rel,
+              local: null,
+              fromPath: t.remotePath,
+              remotePath: path.posix.join(release.path, t.rel),
+            }))
+          )
+      : [];
+
+    return {
+      release,
+      targetRoot,
+      local,
+      remote,
+      manifestRemote,
+      toAdd,
+      toUpdate,
+      toDelete,
+      protectedDeletes,
+      toSeed,
+      hasChanges,
+      deployRelease,
+      fromPlan: false,
+    };
+  }
+
+  /**
+   * Gehört ein Plan / Journal zu dieser Connection? (target, localRoot, remoteRoot)
+   */
+  _checkPlanConnection(plan, target, what) {
+    const { localRoot, remoteRoot } = this.connection;
+    const mismatch = [];
+    if (plan.target !== target) {
+      mismatch.push(`target '${plan.target}' ≠ '${target}'`);
+    }
+    if (path.resolve(plan.localRoot || "") !== path.resolve(localRoot)) {
+      mismatch.push(`localRoot ${plan.localRoot} ≠ ${localRoot}`);
+    }
+    if (plan.remoteRoot !== remoteRoot) {
+      mismatch.push(`remoteRoot ${plan.remoteRoot} ≠ ${remoteRoot}`);
+    }
+    if (mismatch.length > 0) {
+      throw new Error(`${what} does not belong to this connection: ${mismatch.join(", ")}`);
+    }
+  }
+
+  /**
+   * Plan stage from a saved plan (--apply-plan): no scan, no compare.
+   * Before anything is touched, every entry is checked against the
+   * current state (local size + hash, remote size + mtime). If the
+   * plan is outdated, the run aborts.
+   */
+  async _loadPlanStage(sftp, planFile, target, dryRun) {
+    const planPath = path.resolve(planFile);
+    const plan = await readPlanFile(planPath);
+    const { localRoot, remoteRoot } = this.connection;
+
+    this.log("");
+    this.log(pc.bold(pc.cyan("📋 Phase 1–4: Load saved plan …")));
+    this.log(`${TAB_A}Plan: ${pc.cyan(planPath)} (${plan.created})`);
+
+    this._checkPlanConnection(plan, target, "Plan");
+    // lokale Hashes im Plan: nur mit demselben Algorithmus vergleichbar
+    const planAlgorithm = plan.hashAlgorithm ?? "sha256";
+    if (planAlgorithm !== this.hashAlgorithm) {
+      throw new Error(
+        `Plan was hashed with ${planAlgorithm}, hashAlgorithm is ${this.hashAlgorithm} – create a new plan.`
+      );
+    }
+    if (plan.deploy !== "mirror" || this.deploy.strategy !== "mirror") {
+      throw new Error('--apply-plan supports deploy.strategy "mirror" only.');
+    }
+
+    const changes = planToChanges(plan.changes, { localRoot, remoteRoot });
+    const { toAdd, toUpdate } = changes;
+    const { toDelete, protectedDeletes } = this._applyDeleteProtection(changes.toDelete);
+
+    this.log(
+      `${TAB_A}→ ${ADD} ${toAdd.length}  ${CHA} ${toUpdate.length}  ${DEL} ${toDelete.length}`
+    );
+    if (!this.isLaconic) {
+      toAdd.forEach((t) => this.log(`${TAB_A}${ADD} ${pc.green("New:")} ${t.rel}`));
+      toUpdate.forEach((t) => this.log(`${TAB_A}${CHA} ${pc.yellow("Changed:")} ${t.rel}`));
+      toDelete.forEach((t) => this.log(`${TAB_A}${DEL} ${pc.red("Remove:")} ${t.rel}`));
+    }
+    this._checkDeleteGuard(toDelete.length, plan.remoteFiles ?? 0, protectedDeletes);
+
+    // Drift-Prüfung: hat sich lokal oder remote seit dem Plan etwas geändert?
+    this.log("");
+    this.log(pc.bold(pc.cyan("🔍 Checking plan against current state …")));
+
+    // Manifest-mtimes sind Upload-Zeiten, kein Server-Zustand → nur Size prüfen
+    const checkRemoteMtime = plan.remoteSource !== "manifest";
+    const drift = [];
+
+    const checkLocal = async (t) => {
+      let stat;
+      try {
+        stat = await fsp.stat(t.local.localPath);
+      } catch {
+        return "local file missing";
+      }
+      if (stat.size !== t.local.size) {
+        return `local size ${t.local.size} → ${stat.size}`;
+      }
+      const meta = { ...t.local, mtimeMs: stat.mtimeMs };
+      if (t.localHash) {
+        const hash = await this.hashCache.getLocalHash(t.rel, meta);
+        if (hash !== t.localHash) return "local content changed";
+      } else if (Math.abs(stat.mtimeMs - t.local.mtimeMs) >= 1000) {
+        return "local mtime changed";
+      }
+      t.local = meta;
+      return null;
+    };
+
+    const checkRemote = async (session, t) => {
+      let stat;
+      try {
+        stat = await session.stat(t.remotePath);
+      } catch {
+        return "remote file missing";
+      }
+      if (stat.size !== t.remote.size) {
+        return `remote size ${t.remote.size} → ${stat.size}`;
+      }
+      if (checkRemoteMtime && Math.abs(stat.modifyTime - t.remote.modifyTime) >= 1000) {
+        return "remote file modified";
+      }
+      return null;
+    };
+
+    const checks = [
+      ...toAdd.map((t) => async (session) =>
+        (await checkLocal(t)) ||
+        ((await session.exists(t.remotePath)) ? "remote file appeared" : null)),
+      ...toUpdate.map((t) => async (session) =>
+        (await checkLocal(t)) || (await checkRemote(session, t))),
+      ...toDelete.map((t) => async (session) => checkRemote(session, t)),
+    ];
+    const rels = [...toAdd, ...toUpdate, ...toDelete].map((t) => t.rel);
+
+    const BATCH = 8;
+    for (let i = 0; i < checks.length; i += BATCH) {
+      const batch = checks.slice(i, i + BATCH);
+      const results = await Promise.all(
+        batch.map((check, j) => check(this.pool.sessionFor(i + j).sftp))
+      );
+      results.forEach((why, j) => {
+        if (why) drift.push({ rel: rels[i + j], why });
+      });
+      const done = Math.min(i + BATCH, checks.length);
+      if (done === checks.length || (i / BATCH) % this.analyzeChunk === 0) {
+        this.updateProgress2("Check: ", done, checks.length, rels[done - 1]);
+      }
+    }
+
+    if (drift.length > 0) {
+      this.log("");
+      this.elog(pc.red(`❌ ${drift.length} entries changed since the plan was created:`));
+      for (const { rel, why } of drift) {
+        this.elog(pc.red(`${TAB_A}- ${rel}: ${why}`));
+      }
+      throw new Error("Plan is outdated – create a new plan (--dry-run --plan-json).");
+    }
+    this.log(`${TAB_A}${pc.green(`✔ No drift – ${checks.length} entries match the plan.`)}`);
+    if (dryRun) {
+      this.log(`${TAB_A}${pc.dim("Dry-run: plan checked, nothing applied.")}`);
+    }
+
+    const local = new Map([...toAdd, ...toUpdate].map((t) => [t.rel, t.local]));
+    const remote = new Map([...toUpdate, ...toDelete].map((t) => [t.rel, t.remote]));
+
+    return {
+      release: null,
+      targetRoot: remoteRoot,
+      local,
+      remote,
+      manifestRemote: null,
+      toAdd,
+      toUpdate,
+      toDelete,
+      protectedDeletes,
+      toSeed: [],
+      hasChanges: toAdd.length > 0 || toUpdate.length > 0 || toDelete.length > 0,
+      deployRelease: false,
+      fromPlan: true,
+    };
+  }
+
+  /**
+   * --resume: Phase 5 of an interrupted run, rebuilt from the run journal.
+   * Finished operations are skipped; old versions the interrupted run already
+   * moved to its trash / backup run are not saved a second time.
+   */
+  async _loadJournalStage(sftp, target, dryRun) {
+    const journal = await readJournal(this.journalPath);
+    if (!journal) {
+      throw new Error(`Nothing to resume – no journal ${this.journalPath}.`);
+    }
+    const { header, done } = journal;
+    const { localRoot, remoteRoot } = this.connection;
+
+    this.log("");
+    this.log(pc.bold(pc.cyan("📋 Phase 1–4: Resume interrupted run …")));
+    this.log(`${TAB_A}Journal: ${pc.cyan(this.journalPath)} (${header.created})`);
+    this._checkPlanConnection(header, target, "Journal");
+    this.log(`${TAB_A}${done.size} of ${journal.total} operations finished before the interruption.`);
+
+    const changes = planToChanges(header.changes, { localRoot, remoteRoot });
+    const pending = (list) => list.filter((t) => !done.has(t.rel));
+    const { toDelete: pendingDeletes, protectedDeletes } = this._applyDeleteProtection(
+      pending(changes.toDelete)
+    );
+
+    // Lokale Dateien: hochgeladen wird der aktuelle Stand, gelöschte entfallen
+    const uploads = [];
+    for (const t of [...pending(changes.toAdd), ...pending(changes.toUpdate)]) {
+      try {
+        const stat = await fsp.stat(t.local.localPath);
+        t.local = { ...t.local, size: stat.size, mtimeMs: stat.mtimeMs };
+        uploads.push(t);
+      } catch {
+        this.wlog(pc.yellow(`${TAB_A}⚠ Skipped ${t.rel}: local file no longer exists.`));
+      }
+    }
+    const toAdd = uploads.filter((t) => !t.remote);
+    const toUpdate = uploads.filter((t) => t.remote);
+
+    // Remote: schon gesicherte alte Versionen / schon gelöschte Dateien erkennen
+    const trashRun = this.trash && header.trashRun ? header.trashRun : null;
+    const backupRun = this.backup && header.backupRun ? header.backupRun : null;
+    const inTrash = (session, rel) =>
+      session.exists(path.posix.join(trashRunPath(this.trash, trashRun), rel));
+
+    const saved = new Set();
+    const gone = [];
+    const toDelete = [];
+    const checks = [
+      ...toUpdate.map((t) => async (session) => {
+        if (trashRun ? await inTrash(session, t.rel)
+          : backupRun && fs.existsSync(backupFilePath(this.backup, backupRun, t.rel))) {
+          saved.add(t.rel);
+        }
+      }),
+      ...pendingDeletes.map((t) => async (session) => {
+        if (await session.exists(t.remotePath)) {
+          toDelete.push(t);
+        } else if (trashRun && !this.trash.onlyUpdates && (await inTrash(session, t.rel))) {
+          gone.push(t.rel);
+        }
+      }),
+    ];
+
+    const BATCH = 8;
+    for (let i = 0; i < checks.length; i += BATCH) {
+      await Promise.all(
+        checks.slice(i, i + BATCH).map((check, j) => check(this.pool.sessionFor(i + j).sftp))
+      );
+    }
+
+    this.log(
+      `${TAB_A}→ remaining: ${ADD} ${toAdd.length}  ${CHA} ${toUpdate.length}  ${DEL} ${toDelete.length}`
+    );
+    if (!this.isLaconic) {
+      toAdd.forEach((t) => this.log(`${TAB_A}${ADD} ${pc.green("New:")} ${t.rel}`));
+      toUpdate.forEach((t) => this.log(`${TAB_A}${CHA} ${pc.yellow("Changed:")} ${t.rel}`));
+      toDelete.forEach((t) => this.log(`${TAB_A}${DEL} ${pc.red("Remove:")} ${t.rel}`));
+    }
+    if (dryRun) {
+      this.log(`${TAB_A}${pc.dim("Dry-run: journal checked, nothing applied.")}`);
+    }
+
+    const local = new Map([...toAdd, ...toUpdate].map((t) => [t.rel, t.local]));
+    const remote = new Map([...toUpdate, ...toDelete].map((t) => [t.rel, t.remote]));
+
+    return {
+      release: null,
+      targetRoot: remoteRoot,
+      local,
+      remote,
+      manifestRemote: null,
+      toAdd,
+      toUpdate,
+      toDelete,
+      protectedDeletes,
+      toSeed: [],
+      hasChanges: toAdd.length > 0 || toUpdate.length > 0 || toDelete.length > 0,
+      deployRelease: false,
+      fromPlan: true,
+      resumeFrom: { header, done, trashRun, backupRun, saved, gone },
+    };
+  }
+
+  /**
+   * --resume: fill the trash / backup run of the interrupted run with what it
+   * had already saved, so its run info stays complete.
+   */
+  _resumeRuns({ header, done, trashRun, backupRun, saved, gone }) {
+    const finished = (op) => [...done].filter(([, o]) => o === op).map(([rel]) => rel);
+    const updated = [...finished("update"), ...saved];
+
+    if (this.trashRun && trashRun) {
+      this.trashRun.updated.push(...updated);
+      if (!this.trash.onlyUpdates) {
+        this.trashRun.added.push(...finished("add"));
+        this.trashRun.deleted.push(...finished("delete"), ...gone);
+      }
+    }
+    if (this.backupRun && backupRun) {
+      const entries = new Map(header.changes.update.map((e) => [e.rel, e]));
+      for (const rel of updated) {
+        const e = entries.get(rel);
+        this.backupRun.files.push({
+          rel,
+          size: e?.remoteSize ?? null,
+          modifyTime: e?.remoteMtime ?? null,
+        });
+      }
+    }
+  }
+
+  /**
+   * Apply stage (Phase 5): create directories, upload, delete, clean up,
+   * write the manifest and activate the release.
+   * `stage` comes from _planStage(), a saved plan (--apply-plan) or the
+   * journal of an interrupted run (--resume).
+   */
+  async _applyStage(sftp, stage, { dryRun }) {
+    const {
+      release,
+      targetRoot,
+      local,
+      remote,
+      manifestRemote,
+      toAdd,
+      toUpdate,
+      toDelete,
+      protectedDeletes,
+      toSeed,
+      hasChanges,
+      deployRelease,
+      fromPlan,
+      resumeFrom = null,
+    } = stage;
+    let failedOps = 0;
+    const seedUploaded = [];
+    // hochgeladene Dateien für --verify
+    const uploaded = [];
+
+    // Verzeichnisse vorbereiten
+    if (!dryRun && (toAdd.length || toUpdate.length || toSeed.length)) {
+      this.log("");
+      this.log(pc.bold(pc.cyan("📁 Preparing remote directories …")));
+
+      // Ensure connection before directory operations
+      if (!await this._isConnected(sftp)) {
+        this.log(`${TAB_A}${pc.yellow("⚠ Connection lost, reconnecting…")}`);
+        await this._reconnect(sftp);
+      }
+
+      await this.ensureAllRemoteDirsExist(
+        sftp,
+        targetRoot,
+        [...toAdd, ...toSeed],
+        toUpdate
+      );
+    }
+
+    // Phase 5 – Apply changes
+    if (!dryRun && (!release || deployRelease)) {
+      this.log("");
+      this.log(pc.bold(pc.cyan("🚚 Phase 5: Apply changes …")));
+
+      // Ensure fresh connection before uploads
+      if (!await this._isConnected(sftp)) {
+        this.log(`${TAB_A}${pc.yellow("⚠ Connection lost, reconnecting…")}`);
+        await this._reconnect(sftp);
+      }
+
+      if (release) {
+        await sftp.mkdir(release.path, true);
+
+        const seedStats = await this.runTasks(
+          toSeed,
+          this.connection.workers,
+          async (item, session) => {
+            if (await this._seedReleaseFile(session, item)) {
+              seedUploaded.push(item);
+              if (item.local) uploaded.push(item);
+            }
+          },
+          "Seed from active release",
+          sftp
+        );
+        failedOps += seedStats?.failed ?? 0;
+      } else {
+        // Manifest ungültig machen, bevor sich der Server ändert
+        // (ein abgebrochener Lauf darf kein veraltetes Manifest hinterlassen)
+        if (this.remoteManifestEnabled && hasChanges) {
+          await removeRemoteManifest(sftp, this.connection.remoteRoot);
+        }
+
+        // Liegengebliebene Temp-Files früherer Läufe entfernen,
+        // Partial-Files anstehender Uploads bleiben zum Fortsetzen
+        const pendingParts = new Set(
+          this.resumableUploads
+            ? [...toAdd, ...toUpdate]
+                .filter((t) => t.local.size >= LARGE_FILE_THRESHOLD)
+                .map((t) => partPathFor(t.rel, t.local.size, t.local.mtimeMs))
+            : []
+        );
+        await this._removeStaleTempFiles(sftp, pendingParts);
+
+        if (this.trash) this._startTrashRun(resumeFrom?.trashRun ?? undefined);
+        if (this.backup) this._startBackupRun(resumeFrom?.backupRun ?? undefined);
+        if (resumeFrom) this._resumeRuns(resumeFrom);
+
+        // Run-Journal: erledigte Operationen festhalten (--resume nach Abbruch)
+        if (hasChanges) {
+          this.journal = resumeFrom
+            ? openJournal(this.journalPath)
+            : openJournal(this.journalPath, {
+                target: this.options.target,
+                localRoot: this.connection.localRoot,
+                remoteRoot: this.connection.remoteRoot,
+                created: new Date().toISOString(),
+                trashRun: this.trashRun?.id ?? null,
+                backupRun: this.backupRun?.id ?? null,
+                changes: planChanges({ toAdd, toUpdate, toDelete }),
+              });
+        }
+      }
+
+      // Upload new files
+      const addStats = await this.runTasks(
+        toAdd,
+        this.connection.workers,
+        async ({ local: l, remotePath, rel }, session) => {
+          const remoteDir = path.posix.dirname(remotePath);
+          try {
+            await session.mkdir(remoteDir, true);
+          } catch {
+            // Directory may already exist
+          }
+          await this._uploadFile(session, l.localPath, remotePath, rel, l.size);
+          uploaded.push({ rel, local: l, remotePath });
+          if (this.trashRun && !this.trash.onlyUpdates) {
+            this.trashRun.added.push(rel);
+          }
+          this.journal?.record("add", rel);
+        },
+        "Uploads (new)",
+        sftp
+      );
+
+      // Updates (mit Papierkorb/Backup: alte Version vorher sichern)
+      const saved = new Set(resumeFrom?.saved);
+      const updateStats = await this.runTasks(
+        toUpdate,
+        this.connection.workers,
+        async ({ local: l, remote: r, remotePath, rel }, session) => {
+          const remoteDir = path.posix.dirname(remotePath);
+          try {
+            await session.mkdir(remoteDir, true);
+          } catch {
+            // Directory may already exist
+          }
+          if (!saved.has(rel)) {
+            if (this.trashRun) {
+              await this._trashFile(session, remotePath, rel, "updated", {
+                keepInPlace: this.atomicUploads,
+              });
+            } else if (this.backupRun) {
+              await this._backupFile(session, remotePath, rel, r);
+            }
+            saved.add(rel);
+          }
+          await this._uploadFile(session, l.localPath, remotePath, rel, l.size);
+          uploaded.push({ rel, local: l, remotePath });
+          this.journal?.record("update", rel);
+        },
+        "Uploads (update)",
+        sftp
+      );
+
+      // Deletes (nicht im Release-Modus: das neue Release enthält sie einfach nicht)
+      await this.runTasks(
+        release ? [] : toDelete,
+        this.connection.workers,
+        async ({ remotePath, rel }, session) => {
+          try {
+            if (this.trashRun && !this.trash.onlyUpdates) {
+              await this._trashFile(session, remotePath, rel, "deleted");
+            } else {
+              await session.delete(remotePath);
+            }
+            this.journal?.record("delete", rel);
+          } catch (e) {
+            failedOps += 1;
+            this._recordFailure("Deletes", rel || remotePath, e);
+            this.elog(
+              pc.red("   ⚠️ Error during deletion:"),
+              rel || remotePath,
+              e?.message || e
+            );
+          }
+        },
+        "Deletes",
+        sftp
+      );
+
+      failedOps += (addStats?.failed ?? 0) + (updateStats?.failed ?? 0);
+
+      // Prüfpass: sind die Uploads vollständig angekommen? (--verify)
+      if (this.verifyMode) {
+        failedOps += await this._verifyUploads(uploaded);
+      }
+
+      if (this.trashRun) {
+        await this._finishTrashRun(sftp, { target: this.options.target });
+      }
+      if (this.backupRun) {
+        await this._finishBackupRun({ target: this.options.target });
+      }
+
+      if (this.journal) {
+        if (failedOps === 0) {
+          await this.journal.remove();
+        } else {
+          this.journal.close();
+          this.wlog(
+            pc.yellow(`${TAB_A}⚠ ${failedOps} operations failed – journal kept, retry them with --resume.`)
+          );
+        }
+        this.journal = null;
+      } else if (this.journalPath) {
+        // nichts mehr zu tun → ein liegengebliebenes Journal ist erledigt
+        await fsp.rm(this.journalPath, { force: true });
+      }
+    } else if (dryRun) {
+      this.log("");
+      this.log(
+        pc.yellow(
+          "💡 DRY-RUN: Connection tested, no files transferred or deleted."
+        )
+      );
+    } else {
+      this.log("");
+      this.log(
+        release.previousId
+          ? `${TAB_A}No changes – release ${release.previousId} stays active, no new release created.`
+          : `${TAB_A}Nothing to deploy – no release created.`
+      );
+    }
+
+    // Optional: leere Verzeichnisse aufräumen (nicht im Release-Modus)
+    if (!dryRun && !release && this.cleanupEmptyDirsEnabled) {
+      this.log("");
+      this.log(
+        pc.bold(pc.cyan("🧹 Cleaning up empty remote directories …"))
+      );
+
+      // Ensure connection before cleanup
+      if (!await this._isConnected(sftp)) {
+        this.log(`${TAB_A}${pc.yellow("⚠ Connection lost, reconnecting…")}`);
+        await this._reconnect(sftp);
+      }
+
+      await this.cleanupEmptyDirs(sftp, this.connection.remoteRoot, dryRun);
+    }
+
+    // Remote-Manifest schreiben (nur nach vollständig erfolgreichem Lauf).
+    // Nach --apply-plan / --resume fehlt der vollständige Remote-Stand → nächster Lauf scannt.
+    if (fromPlan) {
+      if (!dryRun && this.remoteManifestEnabled && hasChanges) {
+        this.log("");
+        this.log(
+          `${TAB_A}${pc.dim(`Remote manifest not rewritten after ${resumeFrom ? "--resume" : "--apply-plan"} – the next run scans the server.`)}`
+        );
+      }
+    } else if (
+      !dryRun &&
+      this.remoteManifestEnabled &&
+      (release ? deployRelease : hasChanges || !manifestRemote)
+    ) {
+      await this._writeRemoteManifest(sftp, targetRoot, {
+        local,
+        remote,
+        toAdd,
+        toUpdate: [...toUpdate, ...seedUploaded],
+        kept: protectedDeletes,
+        failedOps,
+      });
+    }
+
+    // Release aktivieren (current umstellen, alte Releases aufräumen)
+    if (!dryRun && deployRelease) {
+      await this._activateRelease(sftp, release, failedOps);
+    }
+
+    return { failedOps };
+  }
+
+  // ---------------------------------------------------------
+  // Pattern-Helper
+  // ---------------------------------------------------------
+
+  matchesAny(patterns, relPath) {
+    if (!patterns || patterns.length === 0) return false;
+    return patterns.some((pattern) =>
+      minimatch(relPath, pattern, { dot: true })
+    );
+  }
+
+  isIncluded(relPath) {
+    if (
+      this.includePatterns.length > 0 &&
+      !this.matchesAny(this.includePatterns, relPath)
+    ) {
+      return false;
+    }
+
+    if (
+      this.excludePatterns.length > 0 &&
+      this.matchesAny(this.excludePatterns, relPath)
+    ) {
+      if (
+        this.uploadList.includes(relPath) ||
+        this.downloadList.includes(relPath)
+      ) {
+        this.autoExcluded.add(relPath);
+      }
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Geschützte Remote-Pfade (protect) werden nie gelöscht.
+   * Verzeichnisse: "uploads/**" schützt auch "uploads" selbst.
+   */
+  isProtected(relPath, isDir = false) {
+    if (this.protectPatterns.length === 0) return false;
+    return (
+      this.matchesAny(this.protectPatterns, relPath) ||
+      (isDir && this.matchesAny(this.protectPatterns, `${relPath}/`))
+    );
+  }
+
+  isTextFile(relPath) {
+    const ext = path.extname(relPath).toLowerCase();
+    return this.textExt.includes(ext);
+  }
+
+  isMediaFile(relPath) {
+    const ext = path.extname(relPath).toLowerCase();
+    return this.mediaExt.includes(ext);
+  }
+
+  // ---------------------------------------------------------
+  // Progress-Balken (Phase 3, Verzeichnisse, Cleanup)
+  // ---------------------------------------------------------
+
+  updateProgress2(prefix, current, total, rel = "", suffix = "Files") {
+    const short = rel ? shortenPathForProgress(rel) : "";
+
+    const base =
+      total && total > 0
+        ? `${prefix}${current}/${total} ${suffix}`
+        : `${prefix}${current} ${suffix}`;
+
+    this._writeLogFile(
+      `[progress] ${base}${rel ? " – " + rel : ""}`
+    );
+
+    const frame = SPINNER_FRAMES[this.spinnerIndex];
+    this.spinnerIndex = (this.spinnerIndex + 1) % SPINNER_FRAMES.length;
+
+    if (!process.stdout.isTTY) {
+      if (total && total > 0) {
+        const percent = ((current / total) * 100).toFixed(1);
+        console.log(
+          `${TAB_A}${frame} ${prefix}${current}/${total} ${suffix} (${percent}%) – ${short}`
+        );
+      } else {
+        console.log(
+          `${TAB_A}${frame} ${prefix}${current} ${suffix} – ${short}`
+        );
+      }
+      return;
+    }
+
+    const width = process.stdout.columns || 80;
+
+    let line1;
+    if (total && total > 0) {
+      const percent = ((current / total) * 100).toFixed(1);
+      line1 = `${TAB_A}${frame} ${prefix}${current}/${total} ${suffix} (${percent}%)`;
+    } else {
+      line1 = `${TAB_A}${frame} ${prefix}${current} ${suffix}`;
+    }
+
+    let line2 = short || "";
+
+    if (line1.length > width) line1 = line1.slice(0, width - 1);
+    if (line2.length > width) line2 = line2.slice(0, width - 1);
+
+    process.stdout.write("\r" + line1.padEnd(width) + "\n");
+    process.stdout.write(line2.padEnd(width));
+    process.stdout.write("\x1b[1A");
+
+    this.progressActive = true;
+  }
+
+  // ---------------------------------------------------------
+  // Cache-Wartung (sftp-push-sync <target> cache <command>)
+  // ---------------------------------------------------------
+
+  /**
+   * stats: entry counts and file size
+   * prune: drop entries of files that no longer exist (local + remote scan)
+   * clear: remove all entries and the cache file
+   * verify: re-hash cached local files and correct wrong hashes
+   * With --dry-run the cache file is not changed.
+   */
+  async _runCacheCommand(command, sftp, { dryRun }) {
+    const formatSize = (bytes) =>
+      bytes >= 1024 * 1024
+        ? `${(bytes / (1024 * 1024)).toFixed(1)}MB`
+        : `${(bytes / 1024).toFixed(1)}KB`;
+    const describe = (st) =>
+      `${st.localEntries} local + ${st.remoteEntries} remote entries, ${formatSize(st.fileBytes)}`;
+
+    const before = await this.hashCache.getStats();
+
+    this.log("");
+    this.log(pc.bold(pc.cyan(`🗄  Cache ${command} …`)));
+    this.log(`${TAB_A}File  : ${pc.cyan(this.cachePath)}`);
+    if (before.localStorePath) {
+      this.log(
+        `${TAB_A}Local : ${pc.cyan(before.localStorePath)} (shared, ${before.localStoreEntries} entries, ${formatSize(before.localStoreBytes)})`
+      );
+    }
+    this.log(`${TAB_A}${command === "stats" ? "Cache " : "Before"}: ${describe(before)}`);
+
+    if (command === "stats") return;
+
+    if (command === "clear") {
+      if (dryRun) {
+        this.log(`${TAB_A}${pc.dim(`Dry-run: ${before.totalEntries} entries would be removed.`)}`);
+      } else {
+        await this.hashCache.clear();
+        this.log(`${TAB_A}${pc.green(`✔ Cache cleared (${before.totalEntries} entries removed).`)}`);
+      }
+      return;
+    }
+
+    if (command === "prune") {
+      // Releases: Cache-Pfade sind relativ zum aktiven Release
+      let scanRoot = this.connection.remoteRoot;
+      if (this.deploy.strategy === "releases") {
+        const layout = releaseLayout(this.connection.remoteRoot, this.deploy);
+        const currentId = await readCurrentRelease(sftp, layout.currentPath);
+        scanRoot = currentId ? layout.releasePath(currentId) : null;
+      }
+      if (!scanRoot) {
+        this.log(`${TAB_A}No active release – nothing to prune.`);
+        return;
+      }
+      const { local, remote } = await this._scanFiles(sftp, { scanRoot });
+      const pruned = await this._pruneCache(local, remote);
+      if (pruned === 0) {
+        this.log(`${TAB_A}No stale entries.`);
+      }
+    } else if (command === "verify") {
+      const result = await this.hashCache.verifyLocal(this.connection.localRoot, {
+        onProgress: (done, total, rel) => this.updateProgress2("Verify: ", done, total, rel, "Entries"),
+      });
+      this.log(`${TAB_A}Checked  : ${result.checked} local hashes`);
+      this.log(`${TAB_A}Dropped  : ${result.missing} missing, ${result.stale} changed files`);
+      if (result.corrected.length > 0) {
+        this.wlog(pc.yellow(`${TAB_A}⚠ Corrected: ${result.corrected.length} wrong hashes`));
+        for (const rel of result.corrected) {
+          this.wlog(pc.yellow(`${TAB_A}  - ${rel}`));
+        }
+      } else {
+        this.log(`${TAB_A}${pc.green("✔ All cached hashes match.")}`);
+      }
+    }
+
+    if (dryRun) {
+      this.log(`${TAB_A}${pc.dim("Dry-run: cache file not changed.")}`);
+      return;
+    }
+    await this.hashCache.save();
+    this.log(`${TAB_A}After : ${describe(await this.hashCache.getStats())}`);
+  }
+
+  // ---------------------------------------------------------
+  // Worker-Pool with auto-reconnect
+  // ---------------------------------------------------------
+
+  /**
+   * Run handler(item, sftp) for all items with parallel workers.
+   * If sftp is given, the workers are spread across the sessions of the
+   * connection pool (round robin), and the handler gets the worker's session.
+   * A lost session is reconnected on its own; workers on other sessions
+   * keep running. Items that still fail are counted and recorded for the
+   * failure report.
+   */
+  async runTasks(items, workerCount, handler, label = "Tasks", sftp = null) {
+    if (!items || items.length === 0) return { total: 0, done: 0, failed: 0 };
+
+    const total = items.length;
+    let done = 0;
+    let index = 0;
+    let failedCount = 0;
+    const workers = [];
+    const pool = sftp ? this.pool : null;
+    // Jede Session bekommt mindestens einen Worker
+    const actualWorkers = Math.max(
+      1,
+      Math.min(Math.max(workerCount, pool?.size ?? 1), total)
+    );
+
+    const worker = async (workerIndex) => {
+      const session = pool ? pool.sessionFor(workerIndex) : null;
+      const taskSftp = session ? session.sftp : sftp;
+
+      // eslint-disable-next-line no-constant-condition
+      while (true) {
+        const i = index;
         if (i >= total) break;
         index += 1;
         const item = items[i];
@@ -430,52 +2762,20 @@ export class SftpPushSyncApp {
 
         while (retries <= maxRetries) {
           try {
-            await handler(item);
+            await handler(item, taskSftp);
             break; // Success, exit retry loop
           } catch (err) {
             const msg = err?.message || String(err);
-            const isConnectionError =
-              msg.includes("No SFTP connection") ||
-              msg.includes("ECONNRESET") ||
-              msg.includes("ETIMEDOUT") ||
-              msg.includes("ECONNREFUSED") ||
-              msg.includes("connection") ||
-              msg.includes("Channel open failure") ||
-              msg.includes("socket") ||
-              msg.includes("SSH");
-
-            if (isConnectionError && sftp && retries < maxRetries) {
-              // Wait if another worker is already reconnecting
-              let waitCount = 0;
-              reconnectWaiters++;
-              if (reconnecting && this.isVerbose) {
-                this.log(`${TAB_A}${pc.dim(`Worker waiting for reconnect (${reconnectWaiters} waiting)…`)}`);
-              }
-              while (reconnecting && waitCount < 120) { // Max 60 seconds wait
-                await new Promise(r => setTimeout(r, 500));
-                waitCount++;
-                // Log every 10 seconds while waiting
-                if (waitCount % 20 === 0 && this.isVerbose) {
-                  this.log(`${TAB_A}${pc.dim(`Still waiting for reconnect… (${waitCount / 2}s)`)}`);
-                }
-              }
-              reconnectWaiters--;
-
-              // Check if reconnection is still needed
-              if (!await this._isConnected(sftp)) {
-                reconnecting = true;
-                this.log(`${TAB_A}${pc.yellow("⚠ Connection lost during " + label + ", reconnecting…")}`);
-                try {
-                  await this._reconnect(sftp);
-                  this.log(`${TAB_A}${pc.green("✔ Reconnected, resuming " + label + "…")}`);
-                } catch (reconnectErr) {
-                  this.elog(pc.red(`${TAB_A}❌ Reconnect failed: ${reconnectErr?.message || reconnectErr}`));
-                  reconnecting = false;
-                  // Re-throw to trigger retry
-                  throw reconnectErr;
-                } finally {
-                  reconnecting = false;
-                }
+
+            if (isConnectionError(err) && session && retries < maxRetries) {
+              // Nur diese Session neu verbinden; andere Worker derselben
+              // Session warten auf denselben Reconnect
+              try {
+                await pool.ensureConnected(session, label);
+              } catch (reconnectErr) {
+                this.elog(pc.red(`${TAB_A}❌ Reconnect failed: ${reconnectErr?.message || reconnectErr}`));
+                // Re-throw to trigger retry
+                throw reconnectErr;
               }
 
               retries++;
@@ -495,8 +2795,10 @@ export class SftpPushSyncApp {
               msg
             );
 
+            // kein Retry (mehr) → fehlgeschlagen
+            failedCount++;
+            this._recordFailure(label, item.rel || item.remotePath, err);
             if (retries >= maxRetries) {
-              failedCount++;
               this.elog(pc.red(`${TAB_A}❌ Failed after ${maxRetries + 1} attempts: ${item.rel || item.remotePath || ''}`));
             }
             break; // Exit retry loop
@@ -511,7 +2813,7 @@ export class SftpPushSyncApp {
     };
 
     for (let i = 0; i < actualWorkers; i += 1) {
-      workers.push(worker());
+      workers.push(worker(i));
     }
     await Promise.all(workers);
 
@@ -707,6 +3009,11 @@ export class SftpPushSyncApp {
       let allSubdirsEmpty = true;
       for (const sub of subdirs) {
         const full = path.posix.join(dir, sub.name);
+        // Papierkorb nicht durchsuchen und nicht entfernen
+        if (isTrashPath(this.trash, toPosix(path.posix.relative(rootDir, full)))) {
+          allSubdirsEmpty = false;
+          continue;
+        }
         const subEmpty = await recurse(full, depth + 1);
         if (!subEmpty) {
           allSubdirsEmpty = false;
@@ -716,6 +3023,11 @@ export class SftpPushSyncApp {
       const isRoot = dir === rootDir;
       const isEmpty = !hasFile && allSubdirsEmpty;
 
+      // Geschützte Verzeichnisse (protect) bleiben, auch wenn leer
+      if (isEmpty && !isRoot && this.isProtected(relForProgress, true)) {
+        return false;
+      }
+
       if (isEmpty && (!isRoot || this.cleanupEmptyRoots)) {
         const rel = relForProgress || ".";
         if (dryRun) {
@@ -806,7 +3118,7 @@ export class SftpPushSyncApp {
         this.logger.writeLine(error?.stack || "No stack trace available");
         this.logger.close();
       }
-      process.exitCode = 1;
+      process.exitCode = EXIT_CODES.ERROR;
     };
 
     process.on('unhandledRejection', (reason) => {
@@ -822,19 +3134,34 @@ export class SftpPushSyncApp {
       runUploadList = false,
       runDownloadList = false,
       skipSync = false,
+      compareMode: cliCompareMode = null,
+      bandwidthLimit: cliBandwidthLimit = null,
+      verifyRemote = false,
+      verify: cliVerify = null,
+      showDiff: cliShowDiff = false,
+      diffPatch: cliDiffPatch = null,
+      rollback = null,
+      restore = null,
+      restoreOnly = [],
+      planJson = null,
+      applyPlan = null,
+      resume = false,
+      cacheCommand = null,
+      force = false,
+      format = "text",
       cliLogLevel = null,
       configPath,
     } = this.options;
 
     if (!target) {
       console.error(pc.red("❌ No target specified."));
-      process.exit(1);
+      process.exit(EXIT_CODES.CONFIG);
     }
 
     const cfgPath = path.resolve(configPath || "sync.config.json");
     if (!fs.existsSync(cfgPath)) {
       console.error(pc.red(`❌ Configuration file missing: ${cfgPath}`));
-      process.exit(1);
+      process.exit(EXIT_CODES.CONFIG);
     }
 
     // Config laden
@@ -846,66 +3173,275 @@ export class SftpPushSyncApp {
         pc.red("❌ Error reading sync.config.json:"),
         err?.message || err
       );
-      process.exit(1);
+      process.exit(EXIT_CODES.CONFIG);
     }
 
     if (!configRaw.connections || typeof configRaw.connections !== "object") {
       console.error(
         pc.red("❌ sync.config.json must have a 'connections' field.")
       );
-      process.exit(1);
+      process.exit(EXIT_CODES.CONFIG);
+    }
+
+    if (!configRaw.connections[target]) {
+      console.error(
+        pc.red(`❌ Connection '${target}' not found in sync.config.json.`)
+      );
+      process.exit(EXIT_CODES.CONFIG);
+    }
+
+    // Secret-Referenzen ({ env } / { file } / { command }) auflösen
+    let targetConfig;
+    try {
+      targetConfig = await resolveConnectionSecrets(configRaw.connections[target]);
+    } catch (err) {
+      console.error(
+        pc.red(`❌ Connection '${target}': ${err?.message || err}`)
+      );
+      process.exit(EXIT_CODES.CONFIG);
+    }
+
+    const syncCfg = targetConfig.sync ?? targetConfig;
+    const sidecarCfg = targetConfig.sidecar ?? {};
+
+    if (!syncCfg.localRoot || !syncCfg.remoteRoot) {
+      console.error(
+        pc.red(
+          `❌ Connection '${target}' is missing sync.localRoot or sync.remoteRoot.`
+        )
+      );
+      process.exit(EXIT_CODES.CONFIG);
+    }
+
+    // Authentifizierung (Passwort, Private Key, Agent) + Host-Key-Prüfung
+    let auth;
+    try {
+      auth = await loadAuthConfig(targetConfig);
+      this.hostKeyVerifier = await createHostKeyVerifier({
+        host: targetConfig.host,
+        port: targetConfig.port ?? 22,
+        hostKey: targetConfig.hostKey,
+        knownHostsFile: targetConfig.knownHostsFile,
+        mode: targetConfig.hostKeyCheck,
+        log: (msg) => this.wlog(pc.yellow(`${TAB_A}⚠ ${msg}`)),
+      });
+    } catch (err) {
+      console.error(
+        pc.red(`❌ Connection '${target}': ${err?.message || err}`)
+      );
+      process.exit(EXIT_CODES.CONFIG);
+    }
+
+    this.configRaw = configRaw;
+    this.targetConfig = targetConfig;
+    this.connection = {
+      host: targetConfig.host,
+      port: targetConfig.port ?? 22,
+      user: targetConfig.user,
+      ...auth,
+      localRoot: path.resolve(syncCfg.localRoot),
+      remoteRoot: syncCfg.remoteRoot,
+      sidecarLocalRoot: path.resolve(sidecarCfg.localRoot ?? syncCfg.localRoot),
+      sidecarRemoteRoot: sidecarCfg.remoteRoot ?? syncCfg.remoteRoot,
+      workers: targetConfig.worker ?? 2,
+      connections: targetConfig.connections ?? 1,
+    };
+
+    if (!Number.isInteger(this.connection.connections) || this.connection.connections < 1) {
+      console.error(
+        pc.red(`❌ Connection '${target}': connections must be an integer >= 1.`)
+      );
+      process.exit(EXIT_CODES.CONFIG);
+    }
+
+    // LogLevel
+    let logLevel = (configRaw.logLevel ?? "normal").toLowerCase();
+    if (cliLogLevel) logLevel = cliLogLevel;
+    this.logLevel = logLevel;
+    this.isVerbose = logLevel === "verbose";
+    this.isLaconic = logLevel === "laconic";
+
+    // Timestamps in Logfile
+    this.logTimestamps = configRaw.logTimestamps ?? false;
+
+    // Progress-Konfig
+    const PROGRESS = configRaw.progress ?? {};
+    this.scanChunk = PROGRESS.scanChunk ?? (this.isVerbose ? 1 : 100);
+    this.analyzeChunk = PROGRESS.analyzeChunk ?? (this.isVerbose ? 1 : 10);
+    this.parallelScan = PROGRESS.parallelScan ?? true;
+
+    // Vergleichsstrategie: CLI > Config > Standard
+    this.compareMode = cliCompareMode ?? configRaw.compareMode ?? "content";
+    if (!COMPARE_MODES[this.compareMode]) {
+      console.error(
+        pc.red(
+          `❌ Unknown compareMode '${this.compareMode}' (allowed: ${Object.keys(COMPARE_MODES).join(", ")}).`
+        )
+      );
+      process.exit(EXIT_CODES.CONFIG);
+    }
+
+    // Remote-Hashing: Connection > Config > Standard
+    this.remoteHashMode =
+      targetConfig.remoteHash ?? configRaw.remoteHash ?? "stream";
+    if (!REMOTE_HASH_MODES.includes(this.remoteHashMode)) {
+      console.error(
+        pc.red(
+          `❌ Unknown remoteHash '${this.remoteHashMode}' (allowed: ${REMOTE_HASH_MODES.join(", ")}).`
+        )
+      );
+      process.exit(EXIT_CODES.CONFIG);
+    }
+
+    // Hash-Algorithmus: Connection > Config > sha256
+    this.hashAlgorithm =
+      targetConfig.hashAlgorithm ?? configRaw.hashAlgorithm ?? DEFAULT_HASH_ALGORITHM;
+    try {
+      await ensureHashAlgorithm(this.hashAlgorithm);
+    } catch (err) {
+      console.error(pc.red(`❌ ${err?.message || err}`));
+      process.exit(EXIT_CODES.CONFIG);
+    }
+
+    // Text-Diffs: Connection > Config, --show-diff / --diff-patch schalten sie ein
+    try {
+      this.showDiff = resolveShowDiff(targetConfig.showDiff ?? configRaw.showDiff);
+      if (!this.showDiff && (cliShowDiff || cliDiffPatch)) {
+        this.showDiff = resolveShowDiff(true);
+      }
+      if (cliDiffPatch) this.showDiff.patchFile = cliDiffPatch;
+    } catch (err) {
+      console.error(pc.red(`❌ ${err?.message || err}`));
+      process.exit(EXIT_CODES.CONFIG);
+    }
+
+    // Remote-Manifest: Connection > Config > aus
+    this.remoteManifestEnabled =
+      targetConfig.remoteManifest ?? configRaw.remoteManifest ?? false;
+
+    // Atomare Uploads: Connection > Config > aus
+    this.atomicUploads =
+      targetConfig.atomicUploads ?? configRaw.atomicUploads ?? false;
+
+    // Prüfung nach dem Upload: CLI > Connection > Config > aus (true = "size")
+    const verify = cliVerify ?? targetConfig.verify ?? configRaw.verify ?? false;
+    this.verifyMode = verify === true ? "size" : verify || null;
+    if (this.verifyMode && !VERIFY_MODES[this.verifyMode]) {
+      console.error(
+        pc.red(
+          `❌ Unknown verify mode '${this.verifyMode}' (allowed: ${Object.keys(VERIFY_MODES).join(", ")}).`
+        )
+      );
+      process.exit(EXIT_CODES.CONFIG);
+    }
+
+    // Bandbreitenlimit: CLI > Config > keins
+    try {
+      const limit = parseBandwidth(cliBandwidthLimit ?? configRaw.bandwidthLimit);
+      this.bandwidth = limit ? createTokenBucket(limit) : null;
+    } catch (err) {
+      console.error(pc.red(`❌ ${err?.message || err}`));
+      process.exit(EXIT_CODES.CONFIG);
+    }
+
+    // Fortsetzbare Uploads: Connection > Config > aus
+    this.resumableUploads =
+      targetConfig.resumableUploads ?? configRaw.resumableUploads ?? false;
+
+    // Lösch-Schutz: Connection > Config > keiner
+    try {
+      this.maxDeletes = parseMaxDeletes(targetConfig.maxDeletes ?? configRaw.maxDeletes);
+    } catch (err) {
+      console.error(pc.red(`❌ ${err?.message || err}`));
+      process.exit(EXIT_CODES.CONFIG);
+    }
+    this.protectPatterns = targetConfig.protect ?? configRaw.protect ?? [];
+    if (
+      !Array.isArray(this.protectPatterns) ||
+      !this.protectPatterns.every((p) => typeof p === "string")
+    ) {
+      console.error(pc.red("❌ 'protect' must be a list of glob patterns."));
+      process.exit(EXIT_CODES.CONFIG);
+    }
+
+    // Deploy-Strategie: mirror (Standard) oder releases (blue/green)
+    try {
+      this.deploy = readDeployConfig(targetConfig.deploy);
+    } catch (err) {
+      console.error(
+        pc.red(`❌ Connection '${target}': ${err?.message || err}`)
+      );
+      process.exit(EXIT_CODES.CONFIG);
+    }
+
+    if (rollback && this.deploy.strategy !== "releases") {
+      console.error(
+        pc.red(
+          `❌ --rollback requires deploy.strategy "releases" for connection '${target}'.`
+        )
+      );
+      process.exit(EXIT_CODES.CONFIG);
+    }
+
+    // Remote-Papierkorb: Connection > Config > aus (nicht im Release-Modus:
+    // dort bleiben alte Versionen ohnehin in den Releases)
+    try {
+      this.trash = readTrashConfig(
+        targetConfig.remoteTrash ?? configRaw.remoteTrash,
+        this.connection.remoteRoot
+      );
+    } catch (err) {
+      console.error(
+        pc.red(`❌ Connection '${target}': ${err?.message || err}`)
+      );
+      process.exit(EXIT_CODES.CONFIG);
+    }
+
+    // Backup überschriebener Dateien: Connection > Config > aus
+    // (mode "remote" nutzt die Run-Ordner des Papierkorbs, nur für Updates)
+    try {
+      const backup = readBackupConfig(targetConfig.backup ?? configRaw.backup, {
+        target,
+        remoteRoot: this.connection.remoteRoot,
+      });
+      if (backup?.mode === "remote") {
+        if (this.trash) {
+          throw new Error("backup.mode \"remote\" is not needed with remoteTrash – the trash already keeps old versions.");
+        }
+        this.trash = backup.store;
+      } else {
+        this.backup = backup;
+      }
+    } catch (err) {
+      console.error(
+        pc.red(`❌ Connection '${target}': ${err?.message || err}`)
+      );
+      process.exit(EXIT_CODES.CONFIG);
+    }
+
+    if (this.deploy.strategy === "releases") {
+      this.trash = null;
+      this.backup = null;
     }
 
-    const targetConfig = configRaw.connections[target];
-    if (!targetConfig) {
+    if (resume && this.deploy.strategy !== "mirror") {
       console.error(
-        pc.red(`❌ Connection '${target}' not found in sync.config.json.`)
+        pc.red(
+          `❌ --resume supports deploy.strategy "mirror" only – a release that was not activated is simply deployed again.`
+        )
       );
-      process.exit(1);
+      process.exit(EXIT_CODES.CONFIG);
     }
 
-    const syncCfg = targetConfig.sync ?? targetConfig;
-    const sidecarCfg = targetConfig.sidecar ?? {};
-
-    if (!syncCfg.localRoot || !syncCfg.remoteRoot) {
+    if (restore && !this.trash && !this.backup) {
       console.error(
         pc.red(
-          `❌ Connection '${target}' is missing sync.localRoot or sync.remoteRoot.`
+          `❌ --restore requires remoteTrash or backup (and deploy.strategy "mirror") for connection '${target}'.`
         )
       );
-      process.exit(1);
+      process.exit(EXIT_CODES.CONFIG);
     }
 
-    this.configRaw = configRaw;
-    this.targetConfig = targetConfig;
-    this.connection = {
-      host: targetConfig.host,
-      port: targetConfig.port ?? 22,
-      user: targetConfig.user,
-      password: targetConfig.password,
-      localRoot: path.resolve(syncCfg.localRoot),
-      remoteRoot: syncCfg.remoteRoot,
-      sidecarLocalRoot: path.resolve(sidecarCfg.localRoot ?? syncCfg.localRoot),
-      sidecarRemoteRoot: sidecarCfg.remoteRoot ?? syncCfg.remoteRoot,
-      workers: targetConfig.worker ?? 2,
-    };
-
-    // LogLevel
-    let logLevel = (configRaw.logLevel ?? "normal").toLowerCase();
-    if (cliLogLevel) logLevel = cliLogLevel;
-    this.logLevel = logLevel;
-    this.isVerbose = logLevel === "verbose";
-    this.isLaconic = logLevel === "laconic";
-
-    // Timestamps in Logfile
-    this.logTimestamps = configRaw.logTimestamps ?? false;
-
-    // Progress-Konfig
-    const PROGRESS = configRaw.progress ?? {};
-    this.scanChunk = PROGRESS.scanChunk ?? (this.isVerbose ? 1 : 100);
-    this.analyzeChunk = PROGRESS.analyzeChunk ?? (this.isVerbose ? 1 : 10);
-    this.parallelScan = PROGRESS.parallelScan ?? true;
-
     this.cleanupEmptyDirsEnabled = configRaw.cleanupEmptyDirs ?? true;
     this.cleanupEmptyRoots = configRaw.cleanupEmptyRoots ?? false;
 
@@ -967,22 +3503,68 @@ export class SftpPushSyncApp {
     ];
     this.autoExcluded = new Set();
 
-    // Hash-Cache (NDJSON - human-readable, scales to 100k+ files)
-    const oldJsonCacheName = targetConfig.syncCache || `.sync-cache.${target}.json`;
-    const oldJsonCachePath = path.resolve(oldJsonCacheName);
-    const ndjsonCachePath = path.resolve(`.sync-cache.${target}.ndjson`);
+    // Hash-Cache: Backend Connection > Config > ndjson (hash-cache.mjs)
+    this.cacheBackend = targetConfig.cache?.backend ?? configRaw.cache?.backend ?? "ndjson";
+    if (!CACHE_BACKENDS[this.cacheBackend]) {
+      console.error(
+        pc.red(
+          `❌ Unknown cache.backend '${this.cacheBackend}' (allowed: ${Object.keys(CACHE_BACKENDS).join(", ")}).`
+        )
+      );
+      process.exit(EXIT_CODES.CONFIG);
+    }
+    if (cacheCommand && !cacheFileFor(this.cacheBackend, target)) {
+      console.error(
+        pc.red(`❌ cache ${cacheCommand}: cache.backend '${this.cacheBackend}' has no cache file.`)
+      );
+      process.exit(EXIT_CODES.CONFIG);
+    }
+    this.cachePath = cacheFileFor(this.cacheBackend, target);
+
+    try {
+      if (this.cachePath) {
+        // Migrate from old JSON cache if exists
+        const oldJsonCacheName = targetConfig.syncCache || `.sync-cache.${target}.json`;
+        const oldJsonCachePath = path.resolve(oldJsonCacheName);
+        const migration = await migrateFromJsonCache(oldJsonCachePath, cacheFileFor("ndjson", target), target, {
+          localRoot: this.connection.localRoot,
+          localStorePath: path.resolve(LOCAL_HASH_STORE),
+        });
+        if (migration.migrated) {
+          console.log(pc.green(`   ✔ Migrated ${migration.localCount + migration.remoteCount} cache entries from JSON to NDJSON`));
+        }
+
+        // Backend gewechselt → Einträge der anderen Cache-Datei übernehmen
+        const other = this.cacheBackend === "sqlite" ? "ndjson" : "sqlite";
+        const switched = await migrateCache({
+          from: other,
+          to: this.cacheBackend,
+          target,
+          localRoot: this.connection.localRoot,
+        });
+        if (switched.migrated) {
+          console.log(
+            pc.green(`   ✔ Migrated ${switched.count} cache entries from ${CACHE_BACKENDS[other]} to ${CACHE_BACKENDS[this.cacheBackend]}`)
+          );
+        }
+      }
 
-    // Migrate from old JSON cache if exists
-    const migration = await migrateFromJsonCache(oldJsonCachePath, ndjsonCachePath, target);
-    if (migration.migrated) {
-      console.log(pc.green(`   ✔ Migrated ${migration.localCount + migration.remoteCount} cache entries from JSON to NDJSON`));
+      this.hashCache = await createHashCache({
+        backend: this.cacheBackend,
+        cachePath: this.cachePath,
+        localRoot: this.connection.localRoot,
+        namespace: target,
+        vlog: this.isVerbose ? (...m) => console.log(...m) : null,
+        bandwidth: this.bandwidth,
+        algorithm: this.hashAlgorithm,
+      });
+    } catch (err) {
+      console.error(pc.red(`❌ Hash cache: ${err?.message || err}`));
+      process.exit(EXIT_CODES.CONFIG);
     }
 
-    this.hashCache = await createHashCacheNDJSON({
-      cachePath: ndjsonCachePath,
-      namespace: target,
-      vlog: this.isVerbose ? (...m) => console.log(...m) : null,
-    });
+    // Run-Journal neben dem Cache (--resume)
+    this.journalPath = journalPathFor(target);
 
     // Logger
     const DEFAULT_LOG_FILE = `.sync.${target}.log`;
@@ -1003,11 +3585,22 @@ export class SftpPushSyncApp {
     this.log(`${TAB_A}LogLevel: ${this.logLevel}${this.logTimestamps ? " (timestamps enabled)" : ""}`);
     this.log(`${TAB_A}Connection: ${pc.cyan(target)}`);
     this.log(`${TAB_A}Worker: ${this.connection.workers}`);
+    if (this.connection.connections > 1) {
+      this.log(`${TAB_A}Connections: ${this.connection.connections} SFTP sessions`);
+    }
     this.log(
       `${TAB_A}Host: ${pc.green(this.connection.host)}:${pc.green(
         this.connection.port
       )}`
     );
+    this.log(`${TAB_A}Auth: ${this._describeAuth()}`);
+    this.log(
+      `${TAB_A}Host key check: ${
+        this.hostKeyVerifier
+          ? pc.green(this.hostKeyVerifier.describe())
+          : pc.yellow("off")
+      }`
+    );
     this.log(`${TAB_A}Local: ${pc.green(this.connection.localRoot)}`);
     this.log(`${TAB_A}Remote: ${pc.green(this.connection.remoteRoot)}`);
     if (runUploadList || runDownloadList || skipSync) {
@@ -1020,6 +3613,20 @@ export class SftpPushSyncApp {
         )}`
       );
     }
+    this.log(`${TAB_A}Compare: ${this._modeLabel(COMPARE_MODES, this.compareMode)}`);
+    if (this.remoteHashMode === "exec") {
+      this.log(`${TAB_A}Remote hash: ${pc.green("exec (server-side)")}`);
+    }
+    if (this.cacheBackend !== "ndjson") {
+      this.log(`${TAB_A}Hash cache: ${pc.green(CACHE_BACKENDS[this.cacheBackend])}`);
+    }
+    if (this.remoteManifestEnabled) {
+      this.log(
+        `${TAB_A}Remote manifest: ${pc.green("enabled")}${
+          verifyRemote ? pc.yellow(" (--verify-remote: full scan)") : ""
+        }`
+      );
+    }
     if (dryRun) this.log(pc.yellow(`${TAB_A}Mode: DRY-RUN (no changes)`));
     if (skipSync) this.log(pc.yellow(`${TAB_A}Mode: SKIP-SYNC (bypass only)`));
     if (runUploadList || runDownloadList) {
@@ -1031,6 +3638,83 @@ export class SftpPushSyncApp {
         )
       );
     }
+    if (this.atomicUploads) {
+      this.log(`${TAB_A}Atomic uploads: ${pc.green("enabled")}`);
+    }
+    if (this.verifyMode) {
+      this.log(`${TAB_A}Verify uploads: ${pc.green(this._modeLabel(VERIFY_MODES, this.verifyMode))}`);
+    }
+    if (this.showDiff) {
+      const { files, patchFile } = this.showDiff;
+      this.log(
+        `${TAB_A}Text diffs: ${pc.green(files.length > 0 ? files.join(", ") : "all text files")}${
+          patchFile ? ` → ${patchFile}` : ""
+        }${dryRun || this.isVerbose ? "" : pc.dim(" (shown with --dry-run or --verbose)")}`
+      );
+    }
+    if (this.bandwidth) {
+      this.log(
+        `${TAB_A}Bandwidth limit: ${pc.green(formatBandwidth(this.bandwidth.rate))} (shared by all workers)`
+      );
+    }
+    if (this.resumableUploads) {
+      this.log(
+        `${TAB_A}Resumable uploads: ${pc.green("enabled")} (files ≥ ${LARGE_FILE_THRESHOLD / (1024 * 1024)}MB)`
+      );
+    }
+    if (this.maxDeletes) {
+      this.log(
+        `${TAB_A}Max deletes: ${pc.green(formatMaxDeletes(this.maxDeletes))}${
+          force ? pc.yellow(" (--force: not enforced)") : ""
+        }`
+      );
+    }
+    if (this.protectPatterns.length > 0) {
+      this.log(`${TAB_A}Protected: ${pc.green(this.protectPatterns.join(", "))}`);
+    }
+    const retention = ({ keepRuns, maxAgeDays }) =>
+      `keep ${keepRuns} runs${maxAgeDays !== null ? `, max ${maxAgeDays} days` : ""}`;
+    if (this.trash) {
+      this.log(
+        `${TAB_A}${this.trash.onlyUpdates ? "Backup (remote)" : "Remote trash"}: ${pc.green(
+          this.trash.root
+        )} (${retention(this.trash)})`
+      );
+    }
+    if (this.backup) {
+      this.log(
+        `${TAB_A}Backup (local): ${pc.green(this.backup.root)} (${retention(this.backup)})`
+      );
+    }
+    if (this.deploy.strategy === "releases") {
+      this.log(
+        `${TAB_A}Deploy: ${pc.green("releases")} (keep ${this.deploy.keepReleases}, link: ${this.deploy.currentLink})`
+      );
+    }
+    if (restore) {
+      this.log(
+        pc.yellow(
+          `${TAB_A}Mode: RESTORE from ${
+            this.trash ? (this.trash.onlyUpdates ? "remote backup" : "trash") : "local backup"
+          }${
+            restore === true ? "" : ` (${restore})`
+          }${restoreOnly.length ? ` – only ${restoreOnly.join(", ")}` : ""}`
+        )
+      );
+    }
+    if (resume) {
+      this.log(pc.yellow(`${TAB_A}Mode: RESUME interrupted run`));
+    }
+    if (cacheCommand) {
+      this.log(pc.yellow(`${TAB_A}Mode: CACHE ${cacheCommand}`));
+    }
+    if (rollback) {
+      this.log(
+        pc.yellow(
+          `${TAB_A}Mode: ROLLBACK${rollback === true ? "" : ` to ${rollback}`}`
+        )
+      );
+    }
     if (this.cleanupEmptyDirsEnabled) {
       this.log(`${TAB_A}Cleanup empty dirs: ${pc.green("enabled")}`);
     }
@@ -1039,6 +3723,21 @@ export class SftpPushSyncApp {
     }
     this.log(hr1());
 
+    // Cache-Wartung ohne Server (stats, clear, verify)
+    if (cacheCommand && cacheCommand !== "prune") {
+      try {
+        await this._runCacheCommand(cacheCommand, null, { dryRun });
+      } catch (err) {
+        this.elog(pc.red("❌ Cache error:"), err?.message || err);
+        process.exitCode = EXIT_CODES.ERROR;
+      }
+      await this.hashCache.close();
+      this.log(hr2());
+      this.log("");
+      this.logger?.close();
+      return;
+    }
+
     const sftp = new SftpClient();
     let connected = false;
 
@@ -1049,19 +3748,7 @@ export class SftpPushSyncApp {
     try {
       this.log("");
       this.log(pc.cyan("🔌 Connecting to SFTP server …"));
-      await sftp.connect({
-        host: this.connection.host,
-        port: this.connection.port,
-        username: this.connection.user,
-        password: this.connection.password,
-        // Keep-Alive to prevent server disconnection during long operations
-        keepaliveInterval: 5000,   // Send keepalive every 5 seconds (more frequent for unstable servers)
-        keepaliveCountMax: 6,      // Allow up to 6 missed keepalives (30s total) before disconnect
-        readyTimeout: 60000,       // 60s timeout for initial connection
-        retries: 2,                // Internal retries
-        retry_factor: 2,
-        retry_minTimeout: 2000,
-      });
+      await this._connectSftp(sftp);
       connected = true;
 
       // Increase max listeners for parallel operations
@@ -1071,12 +3758,45 @@ export class SftpPushSyncApp {
 
       this.log(`${TAB_A}${pc.green("✔ Connected to SFTP.")}`);
 
-      if (!skipSync && !fs.existsSync(this.connection.localRoot)) {
+      // Connection-Pool: weitere, unabhängige Sessions für parallele Transfers
+      this.pool = new SftpConnectionPool({
+        primary: sftp,
+        size: this.connection.connections,
+        createClient: () => new SftpClient(),
+        connect: async (client) => {
+          await this._connectSftp(client);
+          if (client.client) {
+            client.client.setMaxListeners(50);
+          }
+        },
+        reconnect: async (session, label) => {
+          const name = this.pool.size > 1 ? ` (session ${session.id + 1})` : "";
+          this.log(`${TAB_A}${pc.yellow(`⚠ Connection lost during ${label}${name}, reconnecting…`)}`);
+          await this._reconnect(session.sftp);
+          this.log(`${TAB_A}${pc.green(`✔ Reconnected${name}, resuming ${label}…`)}`);
+        },
+        isConnected: (client) => this._isConnected(client),
+      });
+
+      if (this.connection.connections > 1) {
+        const poolErrors = await this.pool.open();
+        if (poolErrors.length > 0) {
+          this.wlog(
+            pc.yellow(
+              `${TAB_A}⚠ Only ${this.pool.size} of ${this.connection.connections} SFTP sessions opened: ${poolErrors[0]}`
+            )
+          );
+        } else {
+          this.log(`${TAB_A}${pc.green(`✔ ${this.pool.size} SFTP sessions open.`)}`);
+        }
+      }
+
+      if (!skipSync && !rollback && !restore && !fs.existsSync(this.connection.localRoot)) {
         this.elog(
           pc.red("❌ Local root does not exist:"),
           this.connection.localRoot
         );
-        process.exit(1);
+        process.exit(EXIT_CODES.CONFIG);
       }
 
       // Bypass-Only?
@@ -1088,11 +3808,12 @@ export class SftpPushSyncApp {
           downloadList: this.downloadList,
           options: { dryRun, runUploadList, runDownloadList },
           runTasks: (items, workers, handler, label) =>
-            this.runTasks(items, workers, handler, label),
+            this.runTasks(items, workers, handler, label, sftp),
           log: (...m) => this.log(...m),
           vlog: this.isVerbose ? (...m) => this.vlog(...m) : null,
           elog: (...m) => this.elog(...m),
           symbols: { ADD, CHA, tab_a: TAB_A },
+          bandwidth: this.bandwidth,
         });
 
         const durationSec = (Date.now() - start) / 1000;
@@ -1100,258 +3821,144 @@ export class SftpPushSyncApp {
         this.log("");
         this.log(pc.bold(pc.cyan("📊 Summary (bypass only):")));
         this.log(`${TAB_A}Duration: ${pc.green(durationFormatted)} (${durationSec.toFixed(1)}s)`);
+        this._reportFailures();
         return;
       }
 
-      // Phase 1 + 2 – Scan
-      this.log("");
-      this.log(
-        pc.bold(
-          pc.cyan(
-            `📥 Phase 1 + 2: Scan local & remote files (${
-              this.parallelScan ? "parallel" : "serial"
-            }) …`
-          )
-        )
-      );
-
-      const scanProgress = new ScanProgressController({
-        writeLogLine: (line) => this._writeLogFile(line),
-      });
-
-      let local;
-      let remote;
-
-      if (this.parallelScan) {
-        [local, remote] = await Promise.all([
-          walkLocal(this.connection.localRoot, {
-            filterFn: (rel) => this.isIncluded(rel),
-            classifyFn: (rel) => ({
-              isText: this.isTextFile(rel),
-              isMedia: this.isMediaFile(rel),
-            }),
-            progress: scanProgress,
-            scanChunk: this.scanChunk,
-            log: (msg) => this.log(msg),
-          }),
-          walkRemote(sftp, this.connection.remoteRoot, {
-            filterFn: (rel) => this.isIncluded(rel),
-            progress: scanProgress,
-            scanChunk: this.scanChunk,
-            log: (msg) => this.log(msg),
-          }),
-        ]);
-      } else {
-        local = await walkLocal(this.connection.localRoot, {
-          filterFn: (rel) => this.isIncluded(rel),
-          classifyFn: (rel) => ({
-            isText: this.isTextFile(rel),
-            isMedia: this.isMediaFile(rel),
-          }),
-          progress: scanProgress,
-          scanChunk: this.scanChunk,
-          log: (msg) => this.log(msg),
-        });
-        remote = await walkRemote(sftp, this.connection.remoteRoot, {
-          filterFn: (rel) => this.isIncluded(rel),
-          progress: scanProgress,
-          scanChunk: this.scanChunk,
-          log: (msg) => this.log(msg),
-        });
+      // Cache-Wartung mit Server-Scan (prune)
+      if (cacheCommand) {
+        await this._runCacheCommand(cacheCommand, sftp, { dryRun });
+        await this.hashCache.close();
+        return;
       }
 
-      scanProgress.stop();
-
-      this.log(`${TAB_A}→ ${local.size} local files`);
-      this.log(`${TAB_A}→ ${remote.size} remote files`);
+      // Rollback-Only?
+      if (rollback) {
+        await this._runRollback(sftp, rollback === true ? null : rollback, dryRun);
 
-      if (this.autoExcluded.size > 0) {
+        const durationSec = (Date.now() - start) / 1000;
+        const durationFormatted = this._formatDuration(durationSec);
         this.log("");
-        this.log(pc.dim("   Auto-excluded (sidecar upload/download):"));
-        [...this.autoExcluded].sort().forEach((file) => {
-          this.log(pc.dim(`${TAB_A} - ${file}`));
-        });
-      }
-
-      this.log("");
-
-      // Phase 3 – Analyse Differences (delegiert an Helper)
-      this.log(pc.bold(pc.cyan("🔎 Phase 3: Compare & Decide …")));
-
-      const { getLocalHash, getRemoteHash } = this.hashCache;
-
-      const diffResult = await analyseDifferences({
-        local,
-        remote,
-        remoteRoot: this.connection.remoteRoot,
-        sftp,
-        getLocalHash,
-        getRemoteHash,
-        analyzeChunk: this.analyzeChunk,
-        updateProgress: (prefix, current, total, rel) =>
-          this.updateProgress2(prefix, current, total, rel, "Files"),
-        log: this.isVerbose ? (...m) => this.log(...m) : null,
-      });
-
-      toAdd = diffResult.toAdd;
-      toUpdate = diffResult.toUpdate;
-
-      // Report large files that skipped hash comparison
-      if (diffResult.largeFilesSkipped && diffResult.largeFilesSkipped.length > 0 && this.isVerbose) {
-        const totalSizeMB = diffResult.largeFilesSkipped.reduce((sum, f) => sum + f.size, 0) / (1024 * 1024);
-        this.log(`   ℹ ${diffResult.largeFilesSkipped.length} large files (${totalSizeMB.toFixed(0)}MB total) skipped hash compare (same size/date)`);
+        this.log(pc.bold(pc.cyan("📊 Summary (rollback):")));
+        this.log(`${TAB_A}Duration: ${pc.green(durationFormatted)} (${durationSec.toFixed(1)}s)`);
+        this._reportFailures();
+        return;
       }
 
-      // Report compare errors if any
-      if (diffResult.compareErrors && diffResult.compareErrors.length > 0) {
-        this.log("");
-        this.wlog(pc.yellow(`⚠ ${diffResult.compareErrors.length} files had compare errors (will be re-uploaded):`));
-        if (this.isVerbose) {
-          for (const { rel, error } of diffResult.compareErrors) {
-            this.wlog(pc.yellow(`   - ${rel}: ${error}`));
-          }
+      // Restore-Only?
+      if (restore) {
+        const restoreId = restore === true ? null : restore;
+        if (this.trash) {
+          await this._runRestore(sftp, restoreId, dryRun, restoreOnly);
+        } else {
+          await this._runRestoreBackup(sftp, restoreId, dryRun, restoreOnly);
         }
-      }
 
-      if (toAdd.length === 0 && toUpdate.length === 0) {
-        this.log("");
-        this.log(`${TAB_A}No differences found. Everything is up to date.`);
-      } else if (!this.isLaconic) {
+        const durationSec = (Date.now() - start) / 1000;
+        const durationFormatted = this._formatDuration(durationSec);
         this.log("");
-        this.log(pc.bold(pc.cyan("Changes (analysis):")));
-        [...toAdd].forEach((t) =>
-          this.log(`${TAB_A}${ADD} ${pc.green("New:")} ${t.rel}`)
-        );
-        [...toUpdate].forEach((t) =>
-          this.log(`${TAB_A}${CHA} ${pc.yellow("Changed:")} ${t.rel}`)
-        );
-      }
-
-      // Phase 4 – Remote deletes
-      this.log("");
-      this.log(pc.bold(pc.cyan("🧹 Phase 4: Removing orphaned remote files …")));
-
-      // Reconnect if connection was lost during analysis
-      if (!await this._isConnected(sftp)) {
-        this.log(`${TAB_A}${pc.yellow("⚠ Connection lost, reconnecting…")}`);
-        await this._reconnect(sftp);
-      }
-
-      toDelete = computeRemoteDeletes({ local, remote });
-
-      if (toDelete.length === 0) {
-        this.log(`${TAB_A}No orphaned remote files found.`);
-      } else if (!this.isLaconic) {
-        toDelete.forEach((t) =>
-          this.log(`${TAB_A}${DEL} ${pc.red("Remove:")} ${t.rel}`)
-        );
+        this.log(pc.bold(pc.cyan("📊 Summary (restore):")));
+        this.log(`${TAB_A}Duration: ${pc.green(durationFormatted)} (${durationSec.toFixed(1)}s)`);
+        this._reportFailures();
+        return;
       }
 
-      // Verzeichnisse vorbereiten
-      if (!dryRun && (toAdd.length || toUpdate.length)) {
-        this.log("");
-        this.log(pc.bold(pc.cyan("📁 Preparing remote directories …")));
-
-        // Ensure connection before directory operations
-        if (!await this._isConnected(sftp)) {
-          this.log(`${TAB_A}${pc.yellow("⚠ Connection lost, reconnecting…")}`);
-          await this._reconnect(sftp);
+      // Abgebrochener Lauf? (Journal von Phase 5 liegt noch da)
+      if (!resume && fs.existsSync(this.journalPath)) {
+        try {
+          const journal = await readJournal(this.journalPath);
+          this.log("");
+          this.wlog(
+            pc.yellow(
+              `⚠ Unfinished run from ${journal?.header.created ?? "?"}: ${journal?.done.size ?? 0} of ${journal?.total ?? 0} operations done.`
+            )
+          );
+          this.wlog(
+            pc.yellow(`${TAB_A}Continue it with --resume – this run rescans the server and replaces the journal.`)
+          );
+        } catch (err) {
+          this.wlog(pc.yellow(`⚠ ${err?.message || err}`));
         }
-
-        await this.ensureAllRemoteDirsExist(
-          sftp,
-          this.connection.remoteRoot,
-          toAdd,
-          toUpdate
-        );
       }
 
-      // Phase 5 – Apply changes
-      if (!dryRun) {
-        this.log("");
-        this.log(pc.bold(pc.cyan("🚚 Phase 5: Apply changes …")));
-
-        // Ensure fresh connection before uploads
-        if (!await this._isConnected(sftp)) {
-          this.log(`${TAB_A}${pc.yellow("⚠ Connection lost, reconnecting…")}`);
-          await this._reconnect(sftp);
+      // Plan-Stage: Scan + Vergleich (Phase 1–4), gespeicherter Plan oder Journal
+      const stage = applyPlan
+        ? await this._loadPlanStage(sftp, applyPlan, target, dryRun)
+        : resume
+          ? await this._loadJournalStage(sftp, target, dryRun)
+          : await this._planStage(sftp, { dryRun, verifyRemote });
+      ({ toAdd, toUpdate, toDelete } = stage);
+      const { release, deployRelease, targetRoot, local, remote, toSeed } = stage;
+
+      // Maschinenlesbarer Plan (--plan-json / --format json)
+      if (!applyPlan && !resume && (planJson || format === "json")) {
+        // lokale Hashes für die Drift-Prüfung von --apply-plan
+        const localHashes = new Map();
+        for (const t of [...toAdd, ...toUpdate]) {
+          localHashes.set(t.rel, await this.hashCache.getLocalHash(t.rel, t.local));
         }
 
-        // Upload new files
-        await this.runTasks(
-          toAdd,
-          this.connection.workers,
-          async ({ local: l, remotePath, rel }) => {
-            const remoteDir = path.posix.dirname(remotePath);
-            try {
-              await sftp.mkdir(remoteDir, true);
-            } catch {
-              // Directory may already exist
-            }
-            await this._uploadFile(sftp, l.localPath, remotePath, rel, l.size);
+        this.plan = buildPlan({
+          meta: {
+            target,
+            dryRun,
+            localRoot: this.connection.localRoot,
+            remoteRoot: targetRoot,
+            compareMode: this.compareMode,
+            hashAlgorithm: this.hashAlgorithm,
+            deploy: this.deploy.strategy,
+            remoteSource: stage.manifestRemote ? "manifest" : "scan",
+            remoteFiles: remote.size,
+            ...(this.maxDeletes || this.protectPatterns.length > 0
+              ? {
+                  deleteGuard: {
+                    maxDeletes: formatMaxDeletes(this.maxDeletes),
+                    allowed: this.deleteGuard.allowed,
+                    tripped: this.deleteGuard.tripped,
+                    protected: stage.protectedDeletes.map((t) => t.rel),
+                  },
+                }
+              : {}),
+            ...(release
+              ? {
+                  release: {
+                    id: deployRelease ? release.id : null,
+                    previous: release.previousId,
+                    seeded: toSeed.length,
+                  },
+                }
+              : {}),
           },
-          "Uploads (new)",
-          sftp
-        );
-
-        // Updates
-        await this.runTasks(
+          toAdd,
           toUpdate,
-          this.connection.workers,
-          async ({ local: l, remotePath, rel }) => {
-            const remoteDir = path.posix.dirname(remotePath);
-            try {
-              await sftp.mkdir(remoteDir, true);
-            } catch {
-              // Directory may already exist
-            }
-            await this._uploadFile(sftp, l.localPath, remotePath, rel, l.size);
-          },
-          "Uploads (update)",
-          sftp
-        );
-
-        // Deletes
-        await this.runTasks(
           toDelete,
-          this.connection.workers,
-          async ({ remotePath, rel }) => {
-            try {
-              await sftp.delete(remotePath);
-            } catch (e) {
-              this.elog(
-                pc.red("   ⚠️ Error during deletion:"),
-                rel || remotePath,
-                e?.message || e
-              );
-            }
-          },
-          "Deletes",
-          sftp
-        );
-      } else {
-        this.log("");
-        this.log(
-          pc.yellow(
-            "💡 DRY-RUN: Connection tested, no files transferred or deleted."
-          )
-        );
-      }
-
-      // Optional: leere Verzeichnisse aufräumen
-      if (!dryRun && this.cleanupEmptyDirsEnabled) {
-        this.log("");
-        this.log(
-          pc.bold(pc.cyan("🧹 Cleaning up empty remote directories …"))
-        );
+          localHashes,
+          directories: planDirectories({
+            local,
+            remote,
+            toDelete,
+            freshTarget: Boolean(release),
+            cleanupEmptyDirs: this.cleanupEmptyDirsEnabled,
+            kept: stage.protectedDeletes,
+          }),
+        });
 
-        // Ensure connection before cleanup
-        if (!await this._isConnected(sftp)) {
-          this.log(`${TAB_A}${pc.yellow("⚠ Connection lost, reconnecting…")}`);
-          await this._reconnect(sftp);
+        if (planJson) {
+          const planPath = path.resolve(planJson);
+          await writePlanFile(planPath, this.plan);
+          this.log("");
+          this.log(`${TAB_A}📝 Plan written: ${pc.cyan(planPath)}`);
         }
+      }
 
-        await this.cleanupEmptyDirs(sftp, this.connection.remoteRoot, dryRun);
+      // Apply-Stage: Phase 5 + Aufräumen (nicht, wenn der Lösch-Schutz ausgelöst hat)
+      const guardBlocked = this.deleteGuard?.tripped && !this.deleteGuard.forced;
+      if (guardBlocked) {
+        process.exitCode = EXIT_CODES.GUARD;
+        this.log("");
+        this.elog(pc.red("⛔ Delete guard tripped – no changes applied."));
+      } else {
+        await this._applyStage(sftp, stage, { dryRun });
       }
 
       const durationSec = (Date.now() - start) / 1000;
@@ -1366,9 +3973,56 @@ export class SftpPushSyncApp {
       this.log("");
       this.log(pc.bold(pc.cyan("📊 Summary:")));
       this.log(`${TAB_A}Duration: ${pc.green(durationFormatted)} (${durationSec.toFixed(1)}s)`);
+      this.log(`${TAB_A}Compare : ${this._modeLabel(COMPARE_MODES, this.compareMode)}`);
       this.log(`${TAB_A}${ADD} Added  : ${toAdd.length}`);
       this.log(`${TAB_A}${CHA} Changed: ${toUpdate.length}`);
       this.log(`${TAB_A}${DEL} Deleted: ${toDelete.length}`);
+      if (this.trashRun) {
+        const moved = this.trashRun.updated.length + this.trashRun.deleted.length;
+        this.log(
+          `${TAB_A}${this.trash.onlyUpdates ? "Backup " : "Trash  "}: ${moved} files (run ${this.trashRun.id})`
+        );
+      }
+      if (this.backupRun) {
+        this.log(`${TAB_A}Backup : ${this.backupRun.files.length} files (run ${this.backupRun.id})`);
+      }
+      if (this.deleteGuard?.protected > 0) {
+        this.log(`${TAB_A}Protected: ${this.deleteGuard.protected} remote files kept`);
+      }
+      if (this.deleteGuard?.tripped) {
+        const { deletes, allowed, forced } = this.deleteGuard;
+        this.log(
+          `${TAB_A}Delete guard: ${
+            forced
+              ? pc.yellow(`tripped (${deletes} > ${allowed}), overridden by --force`)
+              : pc.red(`tripped (${deletes} > ${allowed}) – nothing changed, use --force to apply`)
+          }`
+        );
+      }
+      if (this.verifyStats.files > 0) {
+        const { files, retried, failed } = this.verifyStats;
+        this.log(
+          `${TAB_A}Verified: ${files} uploads${retried ? `, ${retried} uploaded again` : ""}${
+            failed ? pc.red(`, ${failed} failed`) : ""
+          }`
+        );
+      }
+      if (this.resumeStats.files > 0) {
+        this.log(
+          `${TAB_A}Resumed: ${this.resumeStats.files} uploads, ${(this.resumeStats.bytes / (1024 * 1024)).toFixed(1)}MB not sent again`
+        );
+      }
+      if (deployRelease) {
+        this.log(
+          `${TAB_A}Release: ${
+            release.activated
+              ? pc.green(`${release.id} (active)`)
+              : dryRun
+                ? pc.yellow(`${release.id} (dry-run)`)
+                : pc.red(`${release.id} (not activated)`)
+          }`
+        );
+      }
       if (this.autoExcluded.size > 0) {
         this.log(
           `${TAB_A}${EXC} Excluded via sidecar upload/download: ${
@@ -1403,10 +4057,22 @@ export class SftpPushSyncApp {
         this.log("No changes.");
       }
 
+      this._reportFailures();
+
       this.log("");
-      this.log(pc.bold(pc.green("✅ Sync complete.")));
+      if (guardBlocked) {
+        this.log(pc.bold(pc.red("⛔ Sync aborted by delete guard.")));
+      } else if (this.failures.length > 0) {
+        this.elog(
+          pc.bold(pc.yellow(`⚠️ Sync incomplete: ${this.failures.length} operations failed.`))
+        );
+      } else {
+        this.log(pc.bold(pc.green("✅ Sync complete.")));
+      }
     } catch (err) {
-      const hint = describeSftpError(err);
+      const hint = describeSftpError(err, {
+        hostKeyRejection: err?.hostKeyRejection,
+      });
       this.elog(pc.red("❌ Synchronisation error:"), err?.message || err);
       if (hint) {
         this.wlog(pc.yellow(`${TAB_A}Possible cause:`), hint);
@@ -1414,7 +4080,11 @@ export class SftpPushSyncApp {
       if (this.isVerbose) {
         console.error(err);
       }
-      process.exitCode = 1;
+      this._reportFailures();
+      process.exitCode =
+        !connected || isConnectionError(err) ? EXIT_CODES.CONNECTION : EXIT_CODES.ERROR;
+      // Journal bleibt für --resume liegen
+      this.journal?.close();
       try {
         // falls hashCache existiert, Cache schließen
         if (this.hashCache?.close) {
@@ -1428,6 +4098,9 @@ export class SftpPushSyncApp {
       }
     } finally {
       try {
+        if (this.pool) {
+          await this.pool.close();
+        }
         if (connected) {
           await sftp.end();
           this.log(pc.green(`${TAB_A}✔ Connection closed.`));
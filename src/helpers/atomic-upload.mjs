@@ -0,0 +1,118 @@
+/**
+ * atomic-upload.mjs
+ *
+ * Helpers for atomic uploads: the file is uploaded under a temporary name
+ * in the same directory and then renamed over the target. Visitors never
+ * see a half-written file, and a dropped connection leaves only a temp file.
+ *
+ * Temp names:  .<name>.sftp-tmp-<id>   (upload in progress)
+ *              .<name>.sftp-old-<id>   (previous version, fallback rename only)
+ *              .<name>.sftp-part-<id>  (resumable upload, id from local size + mtime)
+ *
+ * Leftover temp files from aborted runs are detected during the remote scan
+ * and removed on the next run. A leftover .sftp-old file whose target is
+ * missing is the only copy of the live file – it is renamed back instead.
+ *
+ * @author Carsten Nichte, 2025 / https://carsten-nichte.de/
+ */
+// src/helpers/atomic-upload.mjs
+import path from "path";
+import { randomBytes, createHash } from "crypto";
+
+const TEMP_FILE_RE = /^\..+\.sftp-(tmp|old|part)-[0-9a-f]{8}$/;
+
+function uniqueId() {
+  return randomBytes(4).toString("hex");
+}
+
+/**
+ * Temporärer Upload-Pfad im selben Verzeichnis wie das Ziel
+ */
+export function tempPathFor(remotePath, kind = "tmp") {
+  const dir = path.posix.dirname(remotePath);
+  const base = path.posix.basename(remotePath);
+  return path.posix.join(dir, `.${base}.sftp-${kind}-${uniqueId()}`);
+}
+
+/**
+ * Partial-Pfad eines fortsetzbaren Uploads.
+ * Deterministisch: dieselbe lokale Datei (Größe + mtime) ergibt denselben Namen,
+ * auch im nächsten Lauf. Ändert sich die Datei, passt der alte Teil nicht mehr.
+ */
+export function partPathFor(remotePath, size, mtimeMs) {
+  const id = createHash("sha256")
+    .update(`${size}:${Math.floor(mtimeMs)}`)
+    .digest("hex")
+    .slice(0, 8);
+  const dir = path.posix.dirname(remotePath);
+  const base = path.posix.basename(remotePath);
+  return path.posix.join(dir, `.${base}.sftp-part-${id}`);
+}
+
+/**
+ * Ist das ein (liegengebliebener) Temp-File eines atomaren Uploads?
+ */
+export function isAtomicTempFile(relPath) {
+  return TEMP_FILE_RE.test(path.posix.basename(relPath));
+}
+
+/**
+ * Art und Ziel eines Temp-Files: "img/.a.png.sftp-old-1a2b3c4d" → { kind: "old", target: "img/a.png" }
+ *
+ * @returns {{ kind: "tmp"|"old"|"part", target: string } | null}
+ */
+export function parseAtomicTempFile(relPath) {
+  const base = path.posix.basename(relPath);
+  const match = TEMP_FILE_RE.exec(base);
+  if (!match) return null;
+  const name = base.slice(1, base.lastIndexOf(`.sftp-${match[1]}-`));
+  return { kind: match[1], target: path.posix.join(path.posix.dirname(relPath), name) };
+}
+
+/**
+ * Benennt from → to um und ersetzt dabei ein bestehendes Ziel.
+ *
+ * 1. posix-rename@openssh.com (atomar)
+ * 2. Fallback für Server ohne posix-rename:
+ *    Ziel → .sftp-old, Temp → Ziel, .sftp-old löschen.
+ *    Schlägt der zweite Schritt fehl, wird das alte Ziel wiederhergestellt.
+ *
+ * @param {Object} state - { posixRename: true|false|undefined } merkt sich die Server-Fähigkeit
+ */
+export async function renameOver(sftp, from, to, state = {}) {
+  if (state.posixRename !== false) {
+    try {
+      await sftp.posixRename(from, to);
+      state.posixRename = true;
+      return;
+    } catch (err) {
+      const msg = (err?.message || "").toLowerCase();
+      if (!msg.includes("does not support")) throw err;
+      state.posixRename = false;
+    }
+  }
+
+  if (!(await sftp.exists(to))) {
+    await sftp.rename(from, to);
+    return;
+  }
+
+  const oldPath = tempPathFor(to, "old");
+  await sftp.rename(to, oldPath);
+  try {
+    await sftp.rename(from, to);
+  } catch (err) {
+    try {
+      await sftp.rename(oldPath, to);
+    } catch {
+      // Restore failed – old version stays under oldPath, restored on the next run
+    }
+    throw err;
+  }
+
+  try {
+    await sftp.delete(oldPath);
+  } catch {
+    // Leftover is removed as stale temp file on the next run
+  }
+}
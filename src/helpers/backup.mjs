@@ -0,0 +1,140 @@
+/**
+ * backup.mjs
+ *
+ * Backup of overwritten remote files: before an update replaces a remote
+ * file, its current version is saved.
+ *
+ *   "backup": { "mode": "local",  "path": ".sftp-backup/{target}" }  → download
+ *   "backup": { "mode": "remote", "path": ".sftp-backup" }           → server-side rename
+ *
+ * Local layout (one folder per run, with a run index):
+ *
+ *   .sftp-backup/prod/20261019-112233/
+ *     index.json               ← { id, created, target, remoteRoot, files: [{ rel, size, modifyTime }] }
+ *     files/data/index.json    ← old version of <remoteRoot>/data/index.json
+ *
+ * The remote mode uses the run folders of the remote trash (trash.mjs),
+ * limited to updated files.
+ *
+ * @author Carsten Nichte, 2025 / https://carsten-nichte.de/
+ */
+// src/helpers/backup.mjs
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import {
+  createRunId,
+  readRetention,
+  readTrashConfig,
+  selectExpiredRuns,
+} from "./trash.mjs";
+import { isReleaseId as isRunId } from "./releases.mjs";
+import { limitedGet } from "./bandwidth.mjs";
+
+export { createRunId };
+
+export const BACKUP_MODES = ["local", "remote"];
+export const BACKUP_INDEX_NAME = "index.json";
+
+/**
+ * Liest die Backup-Konfiguration einer Connection.
+ *
+ * @returns {null | { mode: "local", root, keepRuns, maxAgeDays }
+ *               | { mode: "remote", store }}  store: wie readTrashConfig
+ */
+export function readBackupConfig(backupCfg, { target, remoteRoot }) {
+  if (!backupCfg) return null;
+  if (typeof backupCfg !== "object") {
+    throw new Error("backup must be an object, e.g. { \"mode\": \"local\" }.");
+  }
+
+  const mode = backupCfg.mode ?? "local";
+  if (!BACKUP_MODES.includes(mode)) {
+    throw new Error(`Unknown backup.mode '${mode}' (allowed: ${BACKUP_MODES.join(", ")}).`);
+  }
+
+  if (mode === "remote") {
+    const store = readTrashConfig(
+      { ...backupCfg, path: backupCfg.path ?? ".sftp-backup" },
+      remoteRoot,
+      "backup"
+    );
+    return { mode, store: { ...store, onlyUpdates: true } };
+  }
+
+  const { keepRuns, maxAgeDays } = readRetention(backupCfg, "backup");
+  const rawPath = backupCfg.path ?? ".sftp-backup/{target}";
+  return {
+    mode,
+    root: path.resolve(rawPath.replace("{target}", target)),
+    keepRuns,
+    maxAgeDays,
+  };
+}
+
+export function backupRunPath(backup, runId) {
+  return path.join(backup.root, runId);
+}
+
+/**
+ * Lokaler Pfad der Sicherung von rel (POSIX → Plattform-Pfad).
+ * Unter files/, damit eine Remote-Datei "index.json" nicht den Run-Index überschreibt.
+ */
+export function backupFilePath(backup, runId, rel) {
+  return path.join(backupRunPath(backup, runId), "files", ...rel.split("/"));
+}
+
+/**
+ * Alle lokalen Backup-Runs, aufsteigend sortiert (ältester zuerst)
+ */
+export async function listBackupRuns(backup) {
+  let entries;
+  try {
+    entries = await fsp.readdir(backup.root, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  return entries
+    .filter((e) => e.isDirectory() && isRunId(e.name))
+    .map((e) => e.name)
+    .sort();
+}
+
+/**
+ * Lädt die aktuelle Remote-Version herunter (Verzeichnisse werden angelegt)
+ */
+export async function downloadBackup(sftp, remotePath, localPath, bandwidth = null) {
+  await fsp.mkdir(path.dirname(localPath), { recursive: true });
+  await limitedGet(sftp, remotePath, localPath, bandwidth);
+}
+
+export async function writeBackupIndex(backup, runId, index) {
+  const file = path.join(backupRunPath(backup, runId), BACKUP_INDEX_NAME);
+  await fsp.mkdir(path.dirname(file), { recursive: true });
+  await fsp.writeFile(file, JSON.stringify({ id: runId, ...index }, null, 2) + "\n", "utf8");
+}
+
+/**
+ * Run-Index oder null (abgebrochener Lauf)
+ */
+export async function readBackupIndex(backup, runId) {
+  const file = path.join(backupRunPath(backup, runId), BACKUP_INDEX_NAME);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(await fsp.readFile(file, "utf8"));
+}
+
+/**
+ * Löscht abgelaufene lokale Runs (außer `keep`)
+ *
+ * @returns {Promise<string[]>} gelöschte Run-IDs
+ */
+export async function purgeBackups(backup, { keep = [], log } = {}) {
+  const runs = await listBackupRuns(backup);
+  const expired = selectExpiredRuns(runs, backup).filter((id) => !keep.includes(id));
+
+  for (const id of expired) {
+    await fsp.rm(backupRunPath(backup, id), { recursive: true, force: true });
+    log?.(id);
+  }
+  return expired;
+}
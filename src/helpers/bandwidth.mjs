@@ -0,0 +1,176 @@
+/**
+ * bandwidth.mjs
+ *
+ * Bandwidth limiting with a shared token bucket. All transfers (uploads,
+ * remote hash streaming, text compare downloads, sidecar up/downloads)
+ * take their bytes from the same bucket, so the total stays under the
+ * limit regardless of the number of workers.
+ *
+ * Limits are given as "2MB/s", "500KB/s", "1.5 MB/s" or a plain number
+ * (bytes per second). Units are binary (1 KB = 1024 bytes).
+ *
+ * @author Carsten Nichte, 2025 / https://carsten-nichte.de/
+ */
+// src/helpers/bandwidth.mjs
+import fs from "fs";
+import { Transform, Writable, pipeline } from "stream";
+
+const UNITS = {
+  b: 1,
+  kb: 1024,
+  mb: 1024 * 1024,
+  gb: 1024 * 1024 * 1024,
+};
+
+/**
+ * Parst ein Limit in Bytes pro Sekunde.
+ *
+ * @param {string|number|null} value - "2MB/s", "500kb", 1048576, 0/null/"off" = kein Limit
+ * @returns {number|null} bytes/s oder null
+ */
+export function parseBandwidth(value) {
+  if (value === undefined || value === null || value === false) return null;
+  if (typeof value === "number") {
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`Invalid bandwidth limit: ${value}`);
+    }
+    return value === 0 ? null : value;
+  }
+
+  const text = String(value).trim().toLowerCase();
+  if (text === "" || text === "off" || text === "0") return null;
+
+  const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?(?:\/s)?$/.exec(text);
+  if (!match) {
+    throw new Error(
+      `Invalid bandwidth limit '${value}' (expected e.g. "2MB/s", "500KB/s").`
+    );
+  }
+
+  const bytes = Math.floor(parseFloat(match[1]) * UNITS[match[2] ?? "b"]);
+  if (bytes <= 0) {
+    throw new Error(`Invalid bandwidth limit '${value}'.`);
+  }
+  return bytes;
+}
+
+/**
+ * Lesbare Darstellung, z.B. 2097152 → "2.0MB/s"
+ */
+export function formatBandwidth(bytesPerSecond) {
+  if (bytesPerSecond >= UNITS.mb) {
+    return `${(bytesPerSecond / UNITS.mb).toFixed(1)}MB/s`;
+  }
+  if (bytesPerSecond >= UNITS.kb) {
+    return `${(bytesPerSecond / UNITS.kb).toFixed(0)}KB/s`;
+  }
+  return `${bytesPerSecond}B/s`;
+}
+
+/**
+ * Token bucket, geteilt von allen Transfers.
+ * take(bytes) wartet, bis die Bytes "bezahlt" sind. Chunks größer als der
+ * Bucket werden erlaubt und als Schuld verrechnet (der nächste wartet länger).
+ * Wartende werden in Reihenfolge bedient.
+ *
+ * @param {number} rate - bytes/s
+ * @param {number} burst - max. angesparte Bytes (default: 1/4 Sekunde)
+ * @returns {{ rate: number, take: (bytes: number) => Promise<void> }}
+ */
+export function createTokenBucket(rate, burst = Math.max(64 * 1024, rate / 4)) {
+  let tokens = burst;
+  let last = Date.now();
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - last) / 1000) * rate);
+    last = now;
+  }
+
+  function take(bytes) {
+    const turn = queue.then(async () => {
+      refill();
+      tokens -= bytes;
+      if (tokens < 0) {
+        await new Promise((r) => setTimeout(r, (-tokens / rate) * 1000));
+      }
+    });
+    queue = turn;
+    return turn;
+  }
+
+  return { rate, take };
+}
+
+/**
+ * Transform-Stream, der jeden Chunk erst nach take() weiterreicht.
+ */
+export function createThrottle(bucket) {
+  return new Transform({
+    transform(chunk, enc, cb) {
+      bucket.take(chunk.length).then(() => cb(null, chunk), cb);
+    },
+  });
+}
+
+/**
+ * Gedrosselter Lese-Stream einer lokalen Datei (für sftp.put).
+ * Lesefehler werden an den zurückgegebenen Stream weitergereicht.
+ */
+export function throttledReadStream(localPath, bucket, options = {}) {
+  const throttle = createThrottle(bucket);
+  pipeline(fs.createReadStream(localPath, options), throttle, () => {});
+  return throttle;
+}
+
+/**
+ * Upload mit optionalem Limit (ohne Limit: normales put)
+ */
+export async function limitedPut(sftp, localPath, remotePath, bucket) {
+  if (!bucket) {
+    await sftp.put(localPath, remotePath);
+    return;
+  }
+  await sftp.put(throttledReadStream(localPath, bucket), remotePath);
+}
+
+/**
+ * Download mit optionalem Limit (ohne Limit: normales get)
+ */
+export async function limitedGet(sftp, remotePath, localPath, bucket) {
+  if (!bucket) {
+    await sftp.get(remotePath, localPath);
+    return;
+  }
+
+  const throttle = createThrottle(bucket);
+  const written = new Promise((resolve, reject) => {
+    pipeline(throttle, fs.createWriteStream(localPath), (err) =>
+      err ? reject(err) : resolve()
+    );
+  });
+  await sftp.get(remotePath, throttle);
+  await written;
+}
+
+/**
+ * Download in einen Buffer mit optionalem Limit (z.B. Text-Vergleich).
+ * Der Writable bestätigt jeden Chunk erst nach take() → Backpressure.
+ */
+export async function limitedGetBuffer(sftp, remotePath, bucket) {
+  if (!bucket) {
+    const data = await sftp.get(remotePath);
+    return Buffer.isBuffer(data) ? data : Buffer.from(data);
+  }
+
+  const chunks = [];
+  const sink = new Writable({
+    write(chunk, enc, cb) {
+      chunks.push(chunk);
+      bucket.take(chunk.length).then(() => cb(), cb);
+    },
+  });
+  await sftp.get(remotePath, sink);
+  return Buffer.concat(chunks);
+}
@@ -7,6 +7,48 @@
 // src/helpers/compare.mjs
 import fsp from "fs/promises";
 import path from "path";
+import { MANIFEST_FILES } from "./manifest.mjs";
+import { limitedGetBuffer } from "./bandwidth.mjs";
+
+/**
+ * Vergleichsstrategien:
+ *  - content:    Size, dann Text-Vergleich bzw. Hash-Vergleich (Standard)
+ *  - size:       nur Size (--size-only)
+ *  - size-mtime: Size + Änderungszeit, lokal neuer → Changed (--size-and-mtime)
+ *
+ * Wert: Anzeige, abhängig vom Hash-Algorithmus (hashAlgorithmLabel, z.B. "SHA-256")
+ */
+export const COMPARE_MODES = {
+  content: (hashLabel) => `content (text compare + ${hashLabel})`,
+  size: () => "size only",
+  "size-mtime": () => "size + mtime",
+};
+
+/**
+ * Warum eine Datei im Plan steht (Feld `reason` in toAdd/toUpdate/toDelete)
+ */
+export const CHANGE_REASONS = {
+  NEW: "new",
+  SIZE: "size-differs",
+  MTIME: "newer-locally",
+  CONTENT: "content-differs",
+  ERROR: "compare-error",
+  MISSING_LOCALLY: "missing-locally",
+};
+
+/** Toleranz für mtime-Vergleiche (Server speichern oft nur Sekunden) */
+const MTIME_TOLERANCE_MS = 2000;
+
+/**
+ * Ist die lokale Datei neuer als die Remote-Datei?
+ * Remote modifyTime ist ein Timestamp in ms (ssh2-sftp-client).
+ * Unbekannte Remote-Zeit → sicherheitshalber "neuer".
+ */
+function isLocalNewer(l, r) {
+  const remoteTime = Number(r.modifyTime);
+  if (!remoteTime) return true;
+  return l.mtimeMs - remoteTime > MTIME_TOLERANCE_MS;
+}
 
 /**
  * Analysiert Unterschiede zwischen local- und remote-Maps.
@@ -14,23 +56,38 @@ import path from "path";
  *
  * Erwartete Struktur:
  *  local:  Map<rel, { rel, localPath, size, mtimeMs, isText? }>
- *  remote: Map<rel, { rel, remotePath, size, modifyTime }>
+ *  remote: Map<rel, { rel, remotePath, size, modifyTime, hash? }>
+ *
+ *  remote.hash ist optional (z.B. aus dem Remote-Manifest) und gilt als
+ *  vertrauenswürdig: dann wird nur der lokale Hash berechnet.
  *
  * Optionen:
  *  - remoteRoot: Basis-Pfad auf dem Server
  *  - sftp: ssh2-sftp-client Instanz
+ *  - getSftp(i): optional, Session für den i-ten Vergleich (Connection-Pool),
+ *                sonst wird immer `sftp` verwendet
  *  - getLocalHash / getRemoteHash: from createHashCache
  *  - analyzeChunk: Progress-Schrittgröße
  *  - updateProgress(prefix, current, total, rel): optional
  *  - concurrency: Max parallele Vergleiche (default: 5)
  *  - log: optional logging function for errors/warnings
  *  - maxSizeForHash: Files larger than this skip hash comparison (default: 50MB)
+ *  - compareMode: "content" | "size" | "size-mtime" (default: "content")
+ *                 size / size-mtime überspringen den Content-Vergleich komplett
+ *  - prefetchRemoteHashes(items): optional, items = [{ rel, remote }].
+ *                 Hasht Remote-Dateien vorab (z.B. serverseitig via exec) und liefert
+ *                 ein Set der rel-Pfade, deren Remote-Hash jetzt im Cache liegt.
+ *                 Für diese wird auch bei Text-Dateien per Hash verglichen (kein Download).
+ *  - onTextChange(rel, localText, remoteText): optional, für jede Text-Datei, deren
+ *                 Inhalt sich im Text-Vergleich unterscheidet (--show-diff)
+ *  - bandwidth: optionaler Token-Bucket (bandwidth.mjs), drosselt die Text-Downloads
  */
 export async function analyseDifferences({
   local,
   remote,
   remoteRoot,
   sftp,
+  getSftp,
   getLocalHash,
   getRemoteHash,
   analyzeChunk = 10,
@@ -38,6 +95,10 @@ export async function analyseDifferences({
   concurrency = 10,
   log,
   maxSizeForHash = 50 * 1024 * 1024, // 50MB default
+  compareMode = "content",
+  prefetchRemoteHashes,
+  onTextChange,
+  bandwidth = null,
 }) {
   // Track errors for summary
   const compareErrors = [];
@@ -63,10 +124,10 @@ export async function analyseDifferences({
 
     if (!r) {
       // Datei existiert nur lokal → New (kein SFTP-Call nötig)
-      toAdd.push({ rel, local: l, remotePath });
+      toAdd.push({ rel, local: l, remotePath, reason: CHANGE_REASONS.NEW });
     } else if (l.size !== r.size) {
       // Size unterschiedlich → Changed (kein SFTP-Call nötig)
-      toUpdate.push({ rel, local: l, remote: r, remotePath });
+      toUpdate.push({ rel, local: l, remote: r, remotePath, reason: CHANGE_REASONS.SIZE });
     // } else if (l.size > maxSizeForHash) {
     //   // Große Datei mit gleicher Size: nur MTime vergleichen
     //   // Remote modifyTime ist String wie "2026-03-05", local mtimeMs ist Timestamp
@@ -83,6 +144,13 @@ export async function analyseDifferences({
     //   } else {
     //     largeFilesSkipped.push({ rel, size: l.size });
     //   }
+    } else if (compareMode === "size") {
+      // Size gleich → unverändert (kein Content-Vergleich)
+    } else if (compareMode === "size-mtime") {
+      // Size gleich → nur Änderungszeit entscheidet
+      if (isLocalNewer(l, r)) {
+        toUpdate.push({ rel, local: l, remote: r, remotePath, reason: CHANGE_REASONS.MTIME });
+      }
     } else {
       // Size gleich, normale Größe → Content-Vergleich nötig
       keysNeedContentCompare.push(rel);
@@ -107,40 +175,60 @@ export async function analyseDifferences({
     log(`   → ${totalContentCompare} files need content comparison`);
   }
 
+  // Optional: Remote-Hashes vorab in einem Rutsch berechnen lassen
+  let prefetched = new Set();
+  if (totalContentCompare > 0 && prefetchRemoteHashes && getLocalHash && getRemoteHash) {
+    prefetched = await prefetchRemoteHashes(
+      keysNeedContentCompare
+        .filter((rel) => !remote.get(rel).hash)
+        .map((rel) => ({ rel, remote: remote.get(rel) }))
+    );
+    if (log) {
+      log(`   → ${prefetched.size} remote hashes available without download`);
+    }
+  }
+
   for (let i = 0; i < totalContentCompare; i += concurrency) {
     const batch = keysNeedContentCompare.slice(i, i + concurrency);
 
     const batchResults = await Promise.all(
-      batch.map(async (rel) => {
+      batch.map(async (rel, j) => {
         const l = local.get(rel);
         const r = remote.get(rel);
         const remotePath = path.posix.join(remoteRoot, rel);
+        const session = getSftp ? getSftp(i + j) : sftp;
 
         try {
-          if (l.isText) {
+          if (r.hash && getLocalHash) {
+            // Remote-Hash bekannt (Manifest): nur lokal hashen
+            const localHash = await getLocalHash(rel, l);
+            return localHash !== r.hash
+              ? { rel, local: l, remote: r, remotePath, changed: true }
+              : null;
+          }
+
+          if (l.isText && !prefetched.has(rel)) {
             // Text-Datei: vollständiger inhaltlicher Vergleich
             const [localBuf, remoteBuf] = await Promise.all([
               fsp.readFile(l.localPath),
-              sftp.get(r.remotePath),
+              limitedGetBuffer(session, r.remotePath, bandwidth),
             ]);
 
             const localStr = localBuf.toString("utf8");
-            const remoteStr = (
-              Buffer.isBuffer(remoteBuf) ? remoteBuf : Buffer.from(remoteBuf)
-            ).toString("utf8");
+            const remoteStr = remoteBuf.toString("utf8");
 
-            return localStr !== remoteStr
-              ? { rel, local: l, remote: r, remotePath, changed: true }
-              : null;
+            if (localStr === remoteStr) return null;
+            onTextChange?.(rel, localStr, remoteStr);
+            return { rel, local: l, remote: r, remotePath, changed: true };
           } else {
-            // Binary: Hash-Vergleich mit Cache
+            // Binary (oder Remote-Hash bereits bekannt): Hash-Vergleich mit Cache
             if (!getLocalHash || !getRemoteHash) {
               return { rel, local: l, remote: r, remotePath, changed: true };
             }
 
             const [localHash, remoteHash] = await Promise.all([
               getLocalHash(rel, l),
-              getRemoteHash(rel, r, sftp),
+              getRemoteHash(rel, r, session),
             ]);
 
             return localHash !== remoteHash
@@ -155,7 +243,7 @@ export async function analyseDifferences({
             log(`   ⚠ Compare error for ${rel}: ${errMsg}`);
           }
           // Mark as changed (sicherer) - file will be re-uploaded
-          return { rel, local: l, remote: r, remotePath, changed: true, hadError: true };
+          return { rel, local: l, remote: r, remotePath, changed: true, hadError: true, reason: CHANGE_REASONS.ERROR };
         }
       })
     );
@@ -163,7 +251,13 @@ export async function analyseDifferences({
     // Ergebnisse sammeln
     for (const result of batchResults) {
       if (result && result.changed) {
-        toUpdate.push({ rel: result.rel, local: result.local, remote: result.remote, remotePath: result.remotePath });
+        toUpdate.push({
+          rel: result.rel,
+          local: result.local,
+          remote: result.remote,
+          remotePath: result.remotePath,
+          reason: result.reason ?? CHANGE_REASONS.CONTENT,
+        });
       }
     }
 
@@ -179,6 +273,7 @@ export async function analyseDifferences({
 
 /**
  * Ermittelt zu löschende Dateien (remote-only).
+ * Das Remote-Manifest wird nie gelöscht.
  *
  * remote: Map<rel, { rel, remotePath }>
  */
@@ -187,8 +282,9 @@ export function computeRemoteDeletes({ local, remote }) {
   const localKeys = new Set(local.keys());
 
   for (const [rel, r] of remote.entries()) {
+    if (MANIFEST_FILES.includes(rel)) continue;
     if (!localKeys.has(rel)) {
-      toDelete.push({ rel, remotePath: r.remotePath });
+      toDelete.push({ rel, remote: r, remotePath: r.remotePath, reason: CHANGE_REASONS.MISSING_LOCALLY });
     }
   }
 
@@ -0,0 +1,78 @@
+/**
+ * delete-guard.mjs
+ *
+ * Safety net for remote deletes. A wrong localRoot or an empty build
+ * would otherwise delete the whole site in Phase 5.
+ *
+ *   "maxDeletes": 50       → abort if more than 50 remote files would be deleted
+ *   "maxDeletes": "10%"    → abort if more than 10% of the remote files would be deleted
+ *   "protect": ["uploads/**", ".well-known/**"]  → never deleted
+ *
+ * --force overrides maxDeletes (not protect).
+ *
+ * @author Carsten Nichte, 2025 / https://carsten-nichte.de/
+ */
+// src/helpers/delete-guard.mjs
+
+/**
+ * Parst maxDeletes.
+ *
+ * @param {number|string|null} value - 50, "50", "10%", null/false = kein Limit
+ * @returns {{ count: number } | { percent: number } | null}
+ */
+export function parseMaxDeletes(value) {
+  if (value === undefined || value === null || value === false) return null;
+
+  if (typeof value === "number") {
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`Invalid maxDeletes: ${value} (expected an integer >= 0 or a percentage like "10%")`);
+    }
+    return { count: value };
+  }
+
+  const text = String(value).trim();
+  const m = /^(\d+(?:\.\d+)?)\s*(%?)$/.exec(text);
+  if (!m) {
+    throw new Error(`Invalid maxDeletes: '${value}' (expected an integer >= 0 or a percentage like "10%")`);
+  }
+
+  const n = Number(m[1]);
+  if (m[2]) {
+    if (n > 100) {
+      throw new Error(`Invalid maxDeletes: '${value}' (percentage above 100%)`);
+    }
+    return { percent: n };
+  }
+  if (!Number.isInteger(n)) {
+    throw new Error(`Invalid maxDeletes: '${value}' (expected an integer >= 0 or a percentage like "10%")`);
+  }
+  return { count: n };
+}
+
+export function formatMaxDeletes(limit) {
+  if (!limit) return "off";
+  return "percent" in limit ? `${limit.percent}%` : String(limit.count);
+}
+
+/**
+ * Prüft die Anzahl geplanter Deletes gegen das Limit.
+ *
+ * @param {Object|null} limit - aus parseMaxDeletes
+ * @param {number} deleteCount - geplante Deletes
+ * @param {number} remoteCount - Remote-Dateien vor dem Sync (Basis für %)
+ * @returns {{ tripped: boolean, allowed: number|null, deletes: number, remoteFiles: number }}
+ */
+export function checkDeleteLimit(limit, deleteCount, remoteCount) {
+  const allowed = !limit
+    ? null
+    : "percent" in limit
+      ? Math.floor((remoteCount * limit.percent) / 100)
+      : limit.count;
+
+  return {
+    tripped: allowed !== null && deleteCount > allowed,
+    allowed,
+    deletes: deleteCount,
+    remoteFiles: remoteCount,
+  };
+}
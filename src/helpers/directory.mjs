@@ -5,6 +5,7 @@
  * 
  */
 // src/helpers/directory.mjs
+import os from "os";
 import path from "path";
 
 /**
@@ -26,4 +27,17 @@ export function shortenPathForProgress(rel) {
   const last = parts[parts.length - 1];
   const prev = parts[parts.length - 2];
   return `…/${prev}/${last}`;
-}
\ No newline at end of file
+}
+
+/**
+ * Expandiert ein führendes "~" zum Home-Verzeichnis
+ * und löst den Pfad absolut auf.
+ */
+export function expandHome(p) {
+  if (!p) return p;
+  if (p === "~") return os.homedir();
+  if (p.startsWith("~/") || p.startsWith("~\\")) {
+    return path.join(os.homedir(), p.slice(2));
+  }
+  return path.resolve(p);
+}
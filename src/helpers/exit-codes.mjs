@@ -0,0 +1,54 @@
+/**
+ * exit-codes.mjs
+ *
+ * Exit codes of the CLI, so CI can tell a partial deploy from a full one:
+ *
+ *   0  success
+ *   1  aborted by an unexpected error (e.g. outdated plan, no journal to resume)
+ *   2  partial failure – the sync ran, but single operations failed
+ *   3  connection failure (connect, authentication, host key, lost connection)
+ *   4  config or usage error – nothing was started
+ *   5  delete guard tripped – nothing was changed
+ *
+ * @author Carsten Nichte, 2025 / https://carsten-nichte.de/
+ */
+// src/helpers/exit-codes.mjs
+
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,
+  PARTIAL: 2,
+  CONNECTION: 3,
+  CONFIG: 4,
+  GUARD: 5,
+};
+
+const CONNECTION_ERROR_CODES = [
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "ECONNREFUSED",
+  "ENOTFOUND",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+  "EPIPE",
+];
+
+const CONNECTION_ERROR_TEXTS = [
+  "No SFTP connection",
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "ECONNREFUSED",
+  "connection",
+  "Channel open failure",
+  "socket",
+  "SSH",
+];
+
+/**
+ * Verbindungsfehler? (Retry/Reconnect in runTasks, Exit-Code 3)
+ */
+export function isConnectionError(err) {
+  if (CONNECTION_ERROR_CODES.includes(err?.code)) return true;
+  const msg = err?.message || String(err);
+  return CONNECTION_ERROR_TEXTS.some((text) => msg.includes(text));
+}
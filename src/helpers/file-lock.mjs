@@ -0,0 +1,158 @@
+/**
+ * file-lock.mjs
+ *
+ * Lock file next to a cache file (<file>.lock), so two runs against the
+ * same target cannot write the cache at the same time:
+ *
+ *   {"pid":4711,"host":"build-01","since":"2025-06-01T10:00:00.000Z"}
+ *
+ * The lock is written to a temp file first and linked into place, so
+ * another run never sees it half written. A lock of a process that no
+ * longer runs on this host is taken over: it is renamed to a unique name
+ * first, only the run whose rename caught exactly that stale lock removes
+ * it. A lock that cannot be read counts as held.
+ * The lock is released on release() and when the process exits.
+ *
+ * @author Carsten Nichte, 2025 / https://carsten-nichte.de/
+ */
+// src/helpers/file-lock.mjs
+import fs from "fs";
+import os from "os";
+import { randomBytes } from "crypto";
+
+// Versuche bei Wettläufen um einen verwaisten Lock
+const MAX_ATTEMPTS = 5;
+// Zweiter Leseversuch für einen unlesbaren Lock (ms)
+const REREAD_DELAY_MS = 100;
+
+/**
+ * Inhalt des Locks: Objekt, null = nicht vorhanden, false = nicht lesbar
+ */
+function readLock(lockPath) {
+  let text;
+  try {
+    text = fs.readFileSync(lockPath, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    return false;
+  }
+  try {
+    const holder = JSON.parse(text);
+    return holder && typeof holder === "object" ? holder : false;
+  } catch {
+    return false;
+  }
+}
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function sameHolder(a, b) {
+  return a.pid === b.pid && a.host === b.host && a.since === b.since;
+}
+
+/**
+ * Läuft der Prozess, der den Lock hält? Auf anderen Hosts nicht prüfbar → ja.
+ */
+function isHolderAlive(holder) {
+  if (holder.host !== os.hostname()) return true;
+  try {
+    process.kill(holder.pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === "EPERM";
+  }
+}
+
+/**
+ * Lock anlegen, ohne einen bestehenden zu überschreiben (link schlägt mit
+ * EEXIST fehl). true = angelegt, false = es gibt schon einen Lock.
+ */
+function createLock(lockPath, info) {
+  const tempPath = `${lockPath}.${process.pid}.${randomBytes(4).toString("hex")}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(info) + "\n", { flag: "wx" });
+  try {
+    fs.linkSync(tempPath, lockPath);
+    return true;
+  } catch (err) {
+    if (err.code === "EEXIST") return false;
+    throw err;
+  } finally {
+    fs.rmSync(tempPath, { force: true });
+  }
+}
+
+/**
+ * Verwaisten Lock übernehmen: umbenennen, nur löschen, wenn es noch derselbe
+ * ist. Sonst (ein anderer Lauf war schneller) zurücklegen.
+ */
+function removeStaleLock(lockPath, stale) {
+  const movedPath = `${lockPath}.${process.pid}.${randomBytes(4).toString("hex")}.stale`;
+  try {
+    fs.renameSync(lockPath, movedPath);
+  } catch (err) {
+    if (err.code === "ENOENT") return; // schon weg
+    throw err;
+  }
+
+  const moved = readLock(movedPath);
+  if (moved && sameHolder(moved, stale)) {
+    fs.rmSync(movedPath, { force: true });
+    return;
+  }
+  try {
+    fs.linkSync(movedPath, lockPath);
+  } catch (err) {
+    if (err.code !== "EEXIST") throw err;
+  } finally {
+    fs.rmSync(movedPath, { force: true });
+  }
+}
+
+/**
+ * Lock für filePath anlegen. Wirft, wenn ein anderer Lauf ihn hält.
+ *
+ * @param {string} filePath - the file to protect (lock: filePath + ".lock")
+ * @returns {{ path: string, release: () => void }}
+ */
+export function acquireFileLock(filePath) {
+  const lockPath = `${filePath}.lock`;
+  const info = { pid: process.pid, host: os.hostname(), since: new Date().toISOString() };
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    if (createLock(lockPath, info)) {
+      const release = () => {
+        process.removeListener("exit", release);
+        // nur den eigenen Lock entfernen
+        const holder = readLock(lockPath);
+        if (holder && holder.pid === info.pid && holder.host === info.host) {
+          fs.rmSync(lockPath, { force: true });
+        }
+      };
+      process.on("exit", release);
+
+      return { path: lockPath, release };
+    }
+
+    let holder = readLock(lockPath);
+    if (holder === false) {
+      // evtl. gerade erst geschrieben (ältere Version) → noch einmal lesen
+      sleepSync(REREAD_DELAY_MS);
+      holder = readLock(lockPath);
+    }
+    if (holder === null) continue; // inzwischen freigegeben
+    if (holder === false) {
+      throw new Error(`${filePath} is locked (unreadable lock file). Remove ${lockPath} if no other run is active.`);
+    }
+    if (isHolderAlive(holder)) {
+      throw new Error(
+        `${filePath} is locked by another run (pid ${holder.pid} on ${holder.host} since ${holder.since}). ` +
+          `Remove ${lockPath} if no other run is active.`
+      );
+    }
+    removeStaleLock(lockPath, holder);
+  }
+
+  throw new Error(`Cannot lock ${filePath}.`);
+}
@@ -0,0 +1,108 @@
+/**
+ * hash-algorithm.mjs
+ *
+ * Hash algorithms for the local/remote compare (config: hashAlgorithm):
+ *
+ *   sha256    SHA-256 (default)
+ *   sha512    SHA-512
+ *   sha1      SHA-1 – for servers that only have sha1sum
+ *   md5       MD5 – for servers that only have md5sum
+ *   xxhash64  xxHash64, not cryptographic, much faster on large files
+ *   blake3    BLAKE3, cryptographic and fast
+ *
+ * sha256, sha512, sha1 and md5 come with node:crypto, xxhash64 and blake3
+ * need the optional package hash-wasm. Each algorithm lists the server
+ * commands that print the same digest (remoteHash "exec").
+ *
+ * @author Carsten Nichte, 2025 / https://carsten-nichte.de/
+ */
+// src/helpers/hash-algorithm.mjs
+import { createHash } from "crypto";
+
+export const DEFAULT_HASH_ALGORITHM = "sha256";
+
+/**
+ * label: Anzeige, commands: Kandidaten für exec (GNU coreutils zuerst),
+ * wasm: Factory in hash-wasm (nicht in node:crypto)
+ */
+export const HASH_ALGORITHMS = {
+  sha256: { label: "SHA-256", commands: ["sha256sum", "shasum -a 256"] },
+  sha512: { label: "SHA-512", commands: ["sha512sum", "shasum -a 512"] },
+  sha1: { label: "SHA-1", commands: ["sha1sum", "shasum -a 1"] },
+  md5: { label: "MD5", commands: ["md5sum"] },
+  xxhash64: { label: "xxHash64", commands: ["xxh64sum", "xxhsum -H1"], wasm: "createXXHash64" },
+  blake3: { label: "BLAKE3", commands: ["b3sum"], wasm: "createBLAKE3" },
+};
+
+let hashWasm = null;
+
+async function loadHashWasm(algorithm) {
+  if (hashWasm) return hashWasm;
+  try {
+    hashWasm = await import("hash-wasm");
+  } catch (err) {
+    if (err?.code !== "ERR_MODULE_NOT_FOUND") throw err;
+    throw new Error(
+      `hashAlgorithm "${algorithm}" needs the package hash-wasm (npm install hash-wasm).`
+    );
+  }
+  return hashWasm;
+}
+
+function algorithmOf(algorithm) {
+  const algo = HASH_ALGORITHMS[algorithm];
+  if (!algo) {
+    throw new Error(
+      `Unknown hashAlgorithm '${algorithm}' (allowed: ${Object.keys(HASH_ALGORITHMS).join(", ")}).`
+    );
+  }
+  return algo;
+}
+
+/**
+ * Anzeigename, z.B. "xxHash64"
+ */
+export function hashAlgorithmLabel(algorithm) {
+  return HASH_ALGORITHMS[algorithm]?.label ?? algorithm;
+}
+
+/**
+ * Prüft den Namen und lädt hash-wasm, falls nötig – Fehler beim Start
+ * statt beim ersten Hash.
+ */
+export async function ensureHashAlgorithm(algorithm) {
+  const algo = algorithmOf(algorithm);
+  if (algo.wasm) await loadHashWasm(algorithm);
+}
+
+/**
+ * Neuer Hasher für eine Datei: { update(chunk), digest() → hex }
+ */
+export async function createHasher(algorithm = DEFAULT_HASH_ALGORITHM) {
+  const algo = algorithmOf(algorithm);
+
+  if (!algo.wasm) {
+    const hash = createHash(algorithm);
+    return {
+      update: (chunk) => hash.update(chunk),
+      digest: () => hash.digest("hex"),
+    };
+  }
+
+  const lib = await loadHashWasm(algorithm);
+  const hash = await lib[algo.wasm]();
+  hash.init();
+  return {
+    update: (chunk) => hash.update(chunk),
+    digest: () => hash.digest("hex"),
+  };
+}
+
+/**
+ * Hash eines Buffers / Strings (z.B. die Probe für exec)
+ */
+export async function hashData(data, algorithm = DEFAULT_HASH_ALGORITHM) {
+  const hash = await createHasher(algorithm);
+  hash.update(data);
+  return hash.digest();
+}
@@ -5,36 +5,48 @@
  * Each line is a valid JSON object - human-readable and easy to debug.
  * Scales to 100k+ files through streaming reads/writes.
  *
- * File format:
- *   {"t":"l","p":"prod:path/file.js","s":1234,"m":1234567890,"h":"sha256..."}
- *   {"t":"r","p":"prod:path/file.js","s":1234,"m":"2025-01-01","h":"sha256..."}
+ * Files:
+ *   .sync-cache.<target>.ndjson (remote hashes of one target)
+ *     {"t":"r","p":"path/file.js","s":1234,"m":1767225600000,"h":"sha256...","a":"sha256"}
+ *   .sync-local-hashes.ndjson (local hashes, shared by all targets)
+ *     {"t":"l","p":"/abs/path/public/file.js","s":1234,"m":1767225600000.5,"h":"sha256...","a":"sha256"}
  *
- * Where: t=type (l=local, r=remote), p=path, s=size, m=mtime, h=hash
+ * Where: t=type (l=local, r=remote), p=path, s=size, m=mtime, h=hash,
+ * a=hash algorithm (hash-algorithm.mjs; lines of older caches without "a" are sha256)
+ *
+ * An entry is only used while its algorithm matches hashAlgorithm – after
+ * switching the algorithm, the files are hashed again.
+ *
+ * Both files are append logs (ndjson-log.mjs): a later line for the same
+ * path overrides the earlier one, a line with "d":1 removes the entry.
+ *
+ * Without file paths the same Maps serve as the "memory" backend
+ * (hash-cache.mjs): nothing is read or written.
  *
  * @author Carsten Nichte, 2025 / https://carsten-nichte.de/
  */
 import fs from "fs";
 import fsp from "fs/promises";
-import { createHash } from "crypto";
-import { createReadStream, createWriteStream } from "fs";
-import { createInterface } from "readline";
+import path from "path";
 import { Writable } from "stream";
+import { openNdjsonLog, writeLines } from "./ndjson-log.mjs";
+import { createHasher, DEFAULT_HASH_ALGORITHM } from "./hash-algorithm.mjs";
 
 /**
- * Streaming-SHA256 für lokale Datei
+ * Streaming-Hash (default SHA-256) für lokale Datei
  */
-export function hashLocalFile(filePath) {
+export async function hashLocalFile(filePath, algorithm = DEFAULT_HASH_ALGORITHM) {
+  const hash = await createHasher(algorithm);
   return new Promise((resolve, reject) => {
-    const hash = createHash("sha256");
     const stream = fs.createReadStream(filePath);
     stream.on("error", reject);
     stream.on("data", (chunk) => hash.update(chunk));
-    stream.on("end", () => resolve(hash.digest("hex")));
+    stream.on("end", () => resolve(hash.digest()));
   });
 }
 
 /**
- * Streaming-SHA256 für Remote-Datei via ssh2-sftp-client
+ * Streaming-Hash (default SHA-256) für Remote-Datei via ssh2-sftp-client
  * Mit IDLE-Timeout: nur wenn keine Daten mehr fließen für X Sekunden.
  * Große Dateien werden korrekt behandelt - solange Daten ankommen, kein Timeout.
  *
@@ -42,9 +54,18 @@ export function hashLocalFile(filePath) {
  * @param {string} remotePath - Remote file path
  * @param {number} idleTimeoutMs - Timeout in ms when NO data is received (default: 60000)
  * @param {number} fileSizeBytes - File size (for logging)
+ * @param {Object} bandwidth - optional token bucket (bandwidth.mjs), throttles the download
+ * @param {string} algorithm - hash algorithm (hash-algorithm.mjs)
  */
-export async function hashRemoteFile(sftp, remotePath, idleTimeoutMs = 60000, fileSizeBytes = 0) {
-  const hash = createHash("sha256");
+export async function hashRemoteFile(
+  sftp,
+  remotePath,
+  idleTimeoutMs = 60000,
+  fileSizeBytes = 0,
+  bandwidth = null,
+  algorithm = DEFAULT_HASH_ALGORITHM
+) {
+  const hash = await createHasher(algorithm);
   let lastDataTime = Date.now();
   let totalReceived = 0;
   let timeoutId = null;
@@ -74,7 +95,12 @@ export async function hashRemoteFile(sftp, remotePath, idleTimeoutMs = 60000, fi
       lastDataTime = Date.now(); // Reset idle timer on each chunk
       totalReceived += chunk.length;
       hash.update(chunk);
-      cb();
+      // Gedrosselt: erst nach take() bestätigen → Backpressure auf den Download
+      if (bandwidth) {
+        bandwidth.take(chunk.length).then(() => cb(), cb);
+      } else {
+        cb();
+      }
     },
   });
 
@@ -91,85 +117,100 @@ export async function hashRemoteFile(sftp, remotePath, idleTimeoutMs = 60000, fi
     }
   }
 
-  return hash.digest("hex");
+  return hash.digest();
 }
 
 /**
  * Creates an NDJSON-based hash cache.
  *
- * Data is stored in Maps during runtime and persisted as NDJSON on save().
+ * Remote hashes live in the target file (cachePath, locked for the run),
+ * local hashes in the shared store (localStorePath), keyed by absolute
+ * path – a second target with the same localRoot finds them already hashed.
+ * Both are append logs (ndjson-log.mjs): save() appends the changed entries.
  * Auto-saves every 1000 changes to prevent data loss on crash/abort.
  *
+ * Local lines of an older target file ("t":"l", relative path) are moved
+ * to the shared store on load.
+ *
  * @param {Object} options
- * @param {string} options.cachePath - Path to the NDJSON file (e.g., ".sync-cache.prod.ndjson")
- * @param {string} options.namespace - Namespace for keys (e.g., "prod")
+ * @param {string|null} options.cachePath - Path to the NDJSON file (e.g., ".sync-cache.prod.ndjson"), null = memory only
+ * @param {string|null} options.localStorePath - Shared local hash store, null = memory only
+ * @param {string} options.localRoot - Absolute local root (relative paths ↔ store keys)
+ * @param {string} options.namespace - Namespace (e.g., "prod"), kept for the common interface
  * @param {number} options.autoSaveInterval - Save after this many changes (default: 1000)
  * @param {Function} options.vlog - Optional verbose logging function
+ * @param {Object} options.bandwidth - Optional token bucket for remote hash streaming
+ * @param {string} options.algorithm - Hash algorithm (default: sha256)
  */
-export async function createHashCacheNDJSON({ cachePath, namespace, autoSaveInterval = 1000, vlog }) {
-  const ns = namespace || "default";
+export async function createHashCacheNDJSON({
+  cachePath,
+  localStorePath = null,
+  localRoot,
+  namespace,
+  autoSaveInterval = 1000,
+  vlog,
+  bandwidth = null,
+  algorithm = DEFAULT_HASH_ALGORITHM,
+}) {
+  const rootPrefix = localRoot ? path.resolve(localRoot) + path.sep : null;
+
+  // Alte Ziel-Caches enthalten noch lokale Einträge (relativ zu localRoot)
+  const legacyLocal = [];
+  const remote = await openNdjsonLog({
+    filePath: cachePath,
+    type: "r",
+    vlog,
+    onOtherLine: (entry) => {
+      if (entry.t === "l" && !entry.d) legacyLocal.push(entry);
+    },
+  });
+
+  let local;
+  try {
+    local = await openNdjsonLog({ filePath: localStorePath, type: "l", shared: true });
+  } catch (err) {
+    await remote.close();
+    throw err;
+  }
 
-  // In-memory storage
-  const localCache = new Map();
-  const remoteCache = new Map();
+  if (legacyLocal.length > 0 && rootPrefix) {
+    let moved = 0;
+    for (const e of legacyLocal) {
+      const key = localKey(e.p);
+      if (!local.has(key)) {
+        local.set(key, { size: e.s, mtime: e.m, hash: e.h, algo: e.a ?? "sha256" });
+        moved++;
+      }
+    }
+    // sofort speichern: beim nächsten save() verschwinden die alten Zeilen aus dem Ziel-Cache
+    await local.save();
+    if (vlog) vlog(`   Moved ${moved} local hashes to the shared store: ${localStorePath}`);
+  }
 
   // Auto-save tracking
   let changesSinceLastSave = 0;
   let saveInProgress = false;
 
-  // Load existing cache if present
-  await loadCache();
-
   /**
-   * Load cache from NDJSON file
+   * Store key of a local file: absolute path
    */
-  async function loadCache() {
-    try {
-      await fsp.access(cachePath);
-    } catch {
-      // File doesn't exist - start fresh
-      if (vlog) vlog(`   Cache file not found, starting fresh: ${cachePath}`);
-      return;
-    }
-
-    const fileStream = createReadStream(cachePath, { encoding: "utf8" });
-    const rl = createInterface({ input: fileStream, crlfDelay: Infinity });
-
-    let lineNum = 0;
-    for await (const line of rl) {
-      lineNum++;
-      if (!line.trim()) continue;
-
-      try {
-        const entry = JSON.parse(line);
-        const key = `${ns}:${entry.p}`;
-
-        if (entry.t === "l") {
-          localCache.set(key, {
-            size: entry.s,
-            mtimeMs: entry.m,
-            hash: entry.h,
-          });
-        } else if (entry.t === "r") {
-          remoteCache.set(key, {
-            size: entry.s,
-            modifyTime: entry.m,
-            hash: entry.h,
-          });
-        }
-      } catch (parseErr) {
-        // Skip corrupt lines, log warning
-        console.warn(`  ⚠ Skipping corrupt cache line ${lineNum}: ${parseErr.message}`);
-      }
-    }
+  function localKey(relPath) {
+    return path.join(rootPrefix, ...relPath.split("/"));
   }
 
-  function localKey(relPath) {
-    return `${ns}:${relPath}`;
+  /**
+   * Relative path of a store key below localRoot, null for other roots
+   */
+  function relOfLocal(key) {
+    if (!rootPrefix || !key.startsWith(rootPrefix)) return null;
+    return key.slice(rootPrefix.length).split(path.sep).join("/");
   }
 
-  function remoteKey(relPath) {
-    return `${ns}:${relPath}`;
+  /**
+   * Store keys below localRoot (the shared store holds other roots, too)
+   */
+  function ownLocalKeys() {
+    return local.keys().filter((key) => relOfLocal(key) !== null);
   }
 
   /**
@@ -192,26 +233,28 @@ export async function createHashCacheNDJSON({ cachePath, namespace, autoSaveInte
    * Get cached local hash or compute and store it
    */
   async function getLocalHash(rel, meta) {
-    const key = localKey(rel);
-    const cached = localCache.get(key);
+    const filePath = meta.fullPath || meta.localPath;
+    const key = path.resolve(filePath);
+    const cached = local.get(key);
 
-    // Cache hit: check if still valid (same size + mtime)
+    // Cache hit: check if still valid (same size + mtime + algorithm)
     if (
       cached &&
       cached.size === meta.size &&
-      Math.abs(cached.mtimeMs - meta.mtimeMs) < 1000
+      Math.abs(cached.mtime - meta.mtimeMs) < 1000 &&
+      cached.algo === algorithm
     ) {
       return cached.hash;
     }
 
     // Cache miss or stale: compute new hash
-    const filePath = meta.fullPath || meta.localPath;
-    const hash = await hashLocalFile(filePath);
+    const hash = await hashLocalFile(filePath, algorithm);
 
-    localCache.set(key, {
+    local.set(key, {
       size: meta.size,
-      mtimeMs: meta.mtimeMs,
+      mtime: meta.mtimeMs,
       hash,
+      algo: algorithm,
     });
 
     // Auto-save periodically
@@ -224,27 +267,23 @@ export async function createHashCacheNDJSON({ cachePath, namespace, autoSaveInte
    * Get cached remote hash or compute and store it
    */
   async function getRemoteHash(rel, meta, sftp) {
-    const key = remoteKey(rel);
-    const cached = remoteCache.get(key);
+    const cached = remote.get(rel);
 
-    // Cache hit: check if still valid (same size + modifyTime)
-    if (
-      cached &&
-      cached.size === meta.size &&
-      cached.modifyTime === meta.modifyTime
-    ) {
+    // Cache hit: check if still valid (same size + modifyTime + algorithm)
+    if (isRemoteHit(cached, meta)) {
       return cached.hash;
     }
 
     // Cache miss or stale: compute new hash
     const filePath = meta.fullPath || meta.remotePath;
     // Pass file size for dynamic timeout calculation
-    const hash = await hashRemoteFile(sftp, filePath, 60000, meta.size || 0);
+    const hash = await hashRemoteFile(sftp, filePath, 60000, meta.size || 0, bandwidth, algorithm);
 
-    remoteCache.set(key, {
+    remote.set(rel, {
       size: meta.size,
-      modifyTime: meta.modifyTime,
+      mtime: meta.modifyTime,
       hash,
+      algo: algorithm,
     });
 
     // Auto-save periodically
@@ -253,77 +292,143 @@ export async function createHashCacheNDJSON({ cachePath, namespace, autoSaveInte
     return hash;
   }
 
+  function isRemoteHit(cached, meta) {
+    return (
+      cached &&
+      cached.size === meta.size &&
+      cached.mtime === meta.modifyTime &&
+      cached.algo === algorithm
+    );
+  }
+
   /**
-   * Save cache to NDJSON file using streaming writes
+   * Return the cached remote hash if still valid (same size + modifyTime), else null.
+   * Never touches the server.
    */
-  async function save() {
-    const tempPath = cachePath + ".tmp";
-    const writeStream = createWriteStream(tempPath, { encoding: "utf8" });
-
-    // Write local entries
-    for (const [fullKey, value] of localCache) {
-      // Extract relPath from "namespace:relPath"
-      const relPath = fullKey.startsWith(`${ns}:`)
-        ? fullKey.slice(ns.length + 1)
-        : fullKey;
-
-      const line = JSON.stringify({
-        t: "l",
-        p: relPath,
-        s: value.size,
-        m: value.mtimeMs,
-        h: value.hash,
-      });
-      writeStream.write(line + "\n");
-    }
-
-    // Write remote entries
-    for (const [fullKey, value] of remoteCache) {
-      const relPath = fullKey.startsWith(`${ns}:`)
-        ? fullKey.slice(ns.length + 1)
-        : fullKey;
-
-      const line = JSON.stringify({
-        t: "r",
-        p: relPath,
-        s: value.size,
-        m: value.modifyTime,
-        h: value.hash,
-      });
-      writeStream.write(line + "\n");
-    }
+  function peekRemoteHash(rel, meta) {
+    const cached = remote.get(rel);
+    return isRemoteHit(cached, meta) ? cached.hash : null;
+  }
 
-    // Wait for stream to finish
-    await new Promise((resolve, reject) => {
-      writeStream.on("finish", resolve);
-      writeStream.on("error", reject);
-      writeStream.end();
+  /**
+   * Store a remote hash computed elsewhere (e.g. server-side via exec)
+   */
+  async function setRemoteHash(rel, meta, hash) {
+    remote.set(rel, {
+      size: meta.size,
+      mtime: meta.modifyTime,
+      hash,
+      algo: algorithm,
     });
 
-    // Atomic rename
-    await fsp.rename(tempPath, cachePath);
+    // Auto-save periodically
+    await checkAutoSave();
   }
 
   /**
-   * Close the cache (no-op for NDJSON, but keeps API compatible)
+   * Persist the changes since the last save (shared store first: it takes
+   * over the local lines of an old target file)
+   */
+  async function save() {
+    await local.save();
+    await remote.save();
+  }
+
+  /**
+   * Close the cache: compact the files and release the lock
    */
   async function close() {
-    // Nothing to do - Maps are garbage collected
+    try {
+      await local.close();
+    } finally {
+      await remote.close();
+    }
   }
 
   /**
-   * Get cache statistics
+   * Get cache statistics (local: entries below localRoot; fileBytes: target file)
    */
-  function getStats() {
+  async function getStats() {
+    const localEntries = ownLocalKeys().length;
     return {
-      localEntries: localCache.size,
-      remoteEntries: remoteCache.size,
-      totalEntries: localCache.size + remoteCache.size,
+      localEntries,
+      remoteEntries: remote.size,
+      totalEntries: localEntries + remote.size,
+      fileBytes: await remote.fileBytes(),
+      localStorePath,
+      localStoreEntries: local.size,
+      localStoreBytes: await local.fileBytes(),
     };
   }
 
   /**
-   * Remove entries for files that no longer exist
+   * Remove all remote entries (and the target file) and the local entries
+   * below localRoot – other roots in the shared store stay.
+   */
+  async function clear() {
+    await remote.clear();
+    for (const key of ownLocalKeys()) local.delete(key);
+    await local.save();
+    changesSinceLastSave = 0;
+  }
+
+  /**
+   * Re-hash local files whose cache entry is still valid (same size + mtime
+   * + algorithm) and correct wrong hashes. Entries of missing or changed
+   * files are dropped – they would be hashed again anyway.
+   *
+   * @param {string} localRoot
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - (done, total, relPath)
+   * @returns {Promise<{ checked: number, corrected: string[], stale: number, missing: number }>}
+   */
+  async function verifyLocal(localRoot, { onProgress } = {}) {
+    const result = { checked: 0, corrected: [], stale: 0, missing: 0 };
+    const keys = ownLocalKeys();
+    let done = 0;
+
+    for (const key of keys) {
+      const relPath = relOfLocal(key);
+      const cached = local.get(key);
+
+      let stat = null;
+      try {
+        stat = await fsp.stat(key);
+      } catch {
+        // Datei fehlt
+      }
+
+      if (!stat) {
+        local.delete(key);
+        result.missing++;
+      } else if (
+        cached.size !== stat.size ||
+        Math.abs(cached.mtime - stat.mtimeMs) >= 1000 ||
+        cached.algo !== algorithm
+      ) {
+        local.delete(key);
+        result.stale++;
+      } else {
+        const hash = await hashLocalFile(key, algorithm);
+        result.checked++;
+        if (hash !== cached.hash) {
+          local.set(key, { ...cached, hash });
+          result.corrected.push(relPath);
+        }
+      }
+
+      done++;
+      onProgress?.(done, keys.length, relPath);
+    }
+
+    return result;
+  }
+
+  /**
+   * Remove entries for files that no longer exist.
+   * Local entries below localRoot that are not in the scan stay if the file
+   * still exists – another target may include what this one excludes.
+   *
    * @param {Set<string>} currentLocalFiles - Set of current local relative paths
    * @param {Set<string>} currentRemoteFiles - Set of current remote relative paths
    */
@@ -331,19 +436,20 @@ export async function createHashCacheNDJSON({ cachePath, namespace, autoSaveInte
     let deletedCount = 0;
 
     // Clean local entries
-    for (const key of localCache.keys()) {
-      const relPath = key.startsWith(`${ns}:`) ? key.slice(ns.length + 1) : key;
-      if (!currentLocalFiles.has(relPath)) {
-        localCache.delete(key);
+    for (const key of ownLocalKeys()) {
+      if (currentLocalFiles.has(relOfLocal(key))) continue;
+      try {
+        await fsp.access(key);
+      } catch {
+        local.delete(key);
         deletedCount++;
       }
     }
 
     // Clean remote entries
-    for (const key of remoteCache.keys()) {
-      const relPath = key.startsWith(`${ns}:`) ? key.slice(ns.length + 1) : key;
-      if (!currentRemoteFiles.has(relPath)) {
-        remoteCache.delete(key);
+    for (const rel of remote.keys()) {
+      if (!currentRemoteFiles.has(rel)) {
+        remote.delete(rel);
         deletedCount++;
       }
     }
@@ -351,23 +457,66 @@ export async function createHashCacheNDJSON({ cachePath, namespace, autoSaveInte
     return deletedCount;
   }
 
+  /**
+   * All entries (for migrateCache), local ones relative to localRoot
+   * @returns {Iterable<{ type: "local"|"remote", rel: string, size: number, mtime: number, hash: string, algo: string }>}
+   */
+  function* exportEntries() {
+    for (const key of ownLocalKeys()) {
+      const value = local.get(key);
+      yield { type: "local", rel: relOfLocal(key), ...value };
+    }
+    for (const [rel, value] of remote.entries()) {
+      yield { type: "remote", rel, ...value };
+    }
+  }
+
+  /**
+   * Take over entries of another cache (for migrateCache), persisted on save()
+   * @returns {Promise<number>} number of imported entries
+   */
+  async function importEntries(entries) {
+    let count = 0;
+    for await (const e of entries) {
+      const value = { size: e.size, mtime: e.mtime, hash: e.hash, algo: e.algo };
+      if (e.type === "local") {
+        local.set(localKey(e.rel), value);
+      } else {
+        remote.set(e.rel, value);
+      }
+      count++;
+    }
+    return count;
+  }
+
   return {
     getLocalHash,
     getRemoteHash,
+    peekRemoteHash,
+    setRemoteHash,
     save,
     close,
     getStats,
     cleanup,
+    clear,
+    verifyLocal,
+    exportEntries,
+    importEntries,
   };
 }
 
 /**
- * Migrate from old JSON cache to NDJSON
+ * Migrate from old JSON cache to NDJSON: remote entries into the target
+ * file, local entries into the shared local hash store (absolute paths).
+ *
  * @param {string} jsonCachePath - Path to old .sync-cache.json file
  * @param {string} ndjsonPath - Path to new .ndjson file
  * @param {string} namespace - Namespace for keys
+ * @param {Object} options
+ * @param {string} options.localRoot - Absolute local root of the target
+ * @param {string} options.localStorePath - Shared local hash store
  */
-export async function migrateFromJsonCache(jsonCachePath, ndjsonPath, namespace) {
+export async function migrateFromJsonCache(jsonCachePath, ndjsonPath, namespace, { localRoot, localStorePath }) {
   const ns = namespace || "default";
 
   // Check if JSON cache exists
@@ -402,49 +551,35 @@ export async function migrateFromJsonCache(jsonCachePath, ndjsonPath, namespace)
     return { migrated: false, reason: `JSON cache corrupt: ${parseErr.message}` };
   }
 
-  // Write to NDJSON
-  const writeStream = createWriteStream(ndjsonPath, { encoding: "utf8" });
-  let localCount = 0;
-  let remoteCount = 0;
-
-  if (jsonCache.local) {
-    for (const [key, value] of Object.entries(jsonCache.local)) {
-      // Keys in JSON were like "namespace:relPath"
-      const relPath = key.startsWith(`${ns}:`) ? key.slice(ns.length + 1) : key;
-      const line = JSON.stringify({
-        t: "l",
-        p: relPath,
-        s: value.size,
-        m: value.mtimeMs,
-        h: value.hash,
-      });
-      writeStream.write(line + "\n");
-      localCount++;
-    }
-  }
-
-  if (jsonCache.remote) {
-    for (const [key, value] of Object.entries(jsonCache.remote)) {
-      const relPath = key.startsWith(`${ns}:`) ? key.slice(ns.length + 1) : key;
-      const line = JSON.stringify({
-        t: "r",
-        p: relPath,
-        s: value.size,
-        m: value.modifyTime,
-        h: value.hash,
-      });
-      writeStream.write(line + "\n");
-      remoteCount++;
-    }
-  }
-
-  await new Promise((resolve, reject) => {
-    writeStream.on("finish", resolve);
-    writeStream.on("error", reject);
-    writeStream.end();
-  });
-
-  // Rename old cache to .bak
+  // Keys in JSON were like "namespace:relPath"
+  const relOf = (key) => (key.startsWith(`${ns}:`) ? key.slice(ns.length + 1) : key);
+
+  // Local entries: appended to the shared store (other targets may use it already)
+  const localLines = Object.entries(jsonCache.local || {}).map(([key, value]) =>
+    JSON.stringify({
+      t: "l",
+      p: path.join(path.resolve(localRoot), ...relOf(key).split("/")),
+      s: value.size,
+      m: value.mtimeMs,
+      h: value.hash,
+      a: "sha256",
+    })
+  );
+  const remoteLines = Object.entries(jsonCache.remote || {}).map(([key, value]) =>
+    JSON.stringify({
+      t: "r",
+      p: relOf(key),
+      s: value.size,
+      m: value.modifyTime,
+      h: value.hash,
+      a: "sha256",
+    })
+  );
+
+  await writeLines(localStorePath, "a", localLines);
+  await writeLines(ndjsonPath, "w", remoteLines);
+
+  // Rename old cache to .migrated
   try {
     await fsp.rename(jsonCachePath, jsonCachePath + ".migrated");
   } catch {
@@ -453,7 +588,7 @@ export async function migrateFromJsonCache(jsonCachePath, ndjsonPath, namespace)
 
   return {
     migrated: true,
-    localCount,
-    remoteCount,
+    localCount: localLines.length,
+    remoteCount: remoteLines.length,
   };
 }
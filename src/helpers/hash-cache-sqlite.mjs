@@ -0,0 +1,554 @@
+/**
+ * hash-cache-sqlite.mjs
+ *
+ * SQLite-based hash cache for very large sites (300k+ files).
+ * Lookups go through the primary key instead of Maps held in memory, and
+ * save() only commits the rows changed since the last save – the cache
+ * file is never rewritten as a whole.
+ *
+ * Files:
+ *   .sync-cache.<target>.sqlite (remote hashes of one target, locked for the run)
+ *     remote (ns, path, size, mtime, hash, algo)   PRIMARY KEY (ns, path)
+ *   .sync-local-hashes.sqlite (local hashes, shared by all targets)
+ *     local  (path, size, mtime, hash, algo)       PRIMARY KEY (path) – absolute path
+ *
+ * algo: hash algorithm of the row (hash-algorithm.mjs). Rows of older
+ * caches (column added later) are sha256.
+ *
+ * Local rows of an older target file (table local, relative paths) are
+ * moved to the shared store on open.
+ *
+ * Changes to the shared store are kept in memory and written in one short
+ * transaction on save() (or every autoSaveInterval changes) – its write lock
+ * is never held across an await, so runs against other targets only wait
+ * for that flush.
+ *
+ * Driver: node:sqlite (Node.js >= 22.5) or the optional package better-sqlite3.
+ *
+ * @author Carsten Nichte, 2025 / https://carsten-nichte.de/
+ */
+// src/helpers/hash-cache-sqlite.mjs
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import { hashLocalFile, hashRemoteFile } from "./hash-cache-ndjson.mjs";
+import { DEFAULT_HASH_ALGORITHM } from "./hash-algorithm.mjs";
+import { acquireFileLock } from "./file-lock.mjs";
+
+// Shared store: other runs wait up to BUSY_TIMEOUT_MS for the write lock
+const BUSY_TIMEOUT_MS = 10000;
+
+/**
+ * Öffnet die Datenbank mit node:sqlite oder better-sqlite3.
+ * Beide haben dieselbe synchrone API (exec, prepare → get/all/run, close).
+ */
+async function openDatabase(cachePath) {
+  let DatabaseSync = null;
+  try {
+    ({ DatabaseSync } = await import("node:sqlite"));
+  } catch {
+    // Node.js < 22.5 (oder ohne --experimental-sqlite)
+  }
+  if (DatabaseSync) return new DatabaseSync(cachePath);
+
+  let Database;
+  try {
+    ({ default: Database } = await import("better-sqlite3"));
+  } catch (err) {
+    if (err?.code !== "ERR_MODULE_NOT_FOUND") throw err;
+    throw new Error(
+      'cache.backend "sqlite" needs Node.js >= 22.5 (node:sqlite) or the package better-sqlite3 (npm install better-sqlite3).'
+    );
+  }
+  return new Database(cachePath);
+}
+
+/**
+ * Spalte algo für Tabellen aus einer Version ohne sie
+ */
+function ensureAlgoColumn(db, table) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some((c) => c.name === "algo")) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN algo TEXT NOT NULL DEFAULT 'sha256'`);
+  }
+}
+
+/**
+ * Schreibzugriffe in einer offenen Transaktion, Commit alle maxChanges
+ * Änderungen (nur für die gesperrte Ziel-Datei)
+ */
+function createWriter(db, { maxChanges }) {
+  let inTransaction = false;
+  let changes = 0;
+
+  function commit() {
+    if (inTransaction) {
+      db.exec("COMMIT");
+      inTransaction = false;
+    }
+    changes = 0;
+  }
+
+  return {
+    write(statement, ...params) {
+      if (!inTransaction) {
+        db.exec("BEGIN");
+        inTransaction = true;
+      }
+      statement.run(...params);
+      changes++;
+      if (changes >= maxChanges) commit();
+    },
+    commit,
+    rollback() {
+      if (inTransaction) {
+        db.exec("ROLLBACK");
+        inTransaction = false;
+      }
+      changes = 0;
+    },
+  };
+}
+
+/**
+ * Creates an SQLite-based hash cache.
+ *
+ * Changes are collected (target file: in a transaction, shared store: in
+ * memory) and committed on save() or every autoSaveInterval changes.
+ * close() without save() discards the uncommitted changes, like the NDJSON
+ * cache. A lock file (<cachePath>.lock) keeps a second run from writing the
+ * same target cache; the shared local store relies on SQLite's own locking
+ * (WAL, one short transaction per flush).
+ *
+ * @param {Object} options
+ * @param {string} options.cachePath - Path to the database file (e.g., ".sync-cache.prod.sqlite")
+ * @param {string} options.localStorePath - Shared local hash store (e.g., ".sync-local-hashes.sqlite")
+ * @param {string} options.localRoot - Absolute local root (relative paths ↔ store keys)
+ * @param {string} options.namespace - Namespace for keys (e.g., "prod")
+ * @param {number} options.autoSaveInterval - Commit after this many changes (default: 1000)
+ * @param {Function} options.vlog - Optional verbose logging function
+ * @param {Object} options.bandwidth - Optional token bucket for remote hash streaming
+ * @param {string} options.algorithm - Hash algorithm (default: sha256)
+ */
+export async function createHashCacheSQLite({
+  cachePath,
+  localStorePath,
+  localRoot,
+  namespace,
+  autoSaveInterval = 1000,
+  vlog,
+  bandwidth = null,
+  algorithm = DEFAULT_HASH_ALGORITHM,
+}) {
+  const ns = namespace || "default";
+  const rootPrefix = path.resolve(localRoot) + path.sep;
+  // alle Schlüssel unterhalb von localRoot: rootPrefix <= key < rootEnd
+  const rootEnd = rootPrefix.slice(0, -1) + String.fromCharCode(path.sep.charCodeAt(0) + 1);
+
+  if (vlog && !fs.existsSync(cachePath)) {
+    vlog(`   Cache file not found, starting fresh: ${cachePath}`);
+  }
+
+  const lock = acquireFileLock(cachePath);
+  let db;
+  let shared;
+  try {
+    db = await openDatabase(cachePath);
+    shared = await openDatabase(localStorePath);
+  } catch (err) {
+    db?.close();
+    lock.release();
+    throw err;
+  }
+
+  db.exec("PRAGMA synchronous = NORMAL");
+  db.exec(
+    `CREATE TABLE IF NOT EXISTS remote (
+      ns TEXT NOT NULL,
+      path TEXT NOT NULL,
+      size INTEGER,
+      mtime REAL,
+      hash TEXT,
+      algo TEXT NOT NULL DEFAULT 'sha256',
+      PRIMARY KEY (ns, path)
+    ) WITHOUT ROWID`
+  );
+  ensureAlgoColumn(db, "remote");
+
+  shared.exec(`PRAGMA busy_timeout = ${BUSY_TIMEOUT_MS}`);
+  shared.exec("PRAGMA journal_mode = WAL");
+  shared.exec("PRAGMA synchronous = NORMAL");
+  shared.exec(
+    `CREATE TABLE IF NOT EXISTS local (
+      path TEXT NOT NULL PRIMARY KEY,
+      size INTEGER,
+      mtime REAL,
+      hash TEXT,
+      algo TEXT NOT NULL DEFAULT 'sha256'
+    ) WITHOUT ROWID`
+  );
+
+  const stmt = {
+    remote: {
+      get: db.prepare("SELECT size, mtime, hash, algo FROM remote WHERE ns = ? AND path = ?"),
+      put: db.prepare(
+        "INSERT OR REPLACE INTO remote (ns, path, size, mtime, hash, algo) VALUES (?, ?, ?, ?, ?, ?)"
+      ),
+      del: db.prepare("DELETE FROM remote WHERE ns = ? AND path = ?"),
+      all: db.prepare("SELECT path, size, mtime, hash, algo FROM remote WHERE ns = ? ORDER BY path"),
+      count: db.prepare("SELECT COUNT(*) AS n FROM remote WHERE ns = ?"),
+      clear: db.prepare("DELETE FROM remote WHERE ns = ?"),
+    },
+    local: {
+      get: shared.prepare("SELECT size, mtime, hash, algo FROM local WHERE path = ?"),
+      put: shared.prepare(
+        "INSERT OR REPLACE INTO local (path, size, mtime, hash, algo) VALUES (?, ?, ?, ?, ?)"
+      ),
+      del: shared.prepare("DELETE FROM local WHERE path = ?"),
+      all: shared.prepare(
+        "SELECT path, size, mtime, hash, algo FROM local WHERE path >= ? AND path < ? ORDER BY path"
+      ),
+      count: shared.prepare("SELECT COUNT(*) AS n FROM local WHERE path >= ? AND path < ?"),
+      countAll: shared.prepare("SELECT COUNT(*) AS n FROM local"),
+    },
+  };
+
+  const remoteWriter = createWriter(db, { maxChanges: autoSaveInterval });
+  // Änderungen am geteilten Store bis zum nächsten flushLocal(): key → Zeile, null = gelöscht
+  const pendingLocal = new Map();
+  let closed = false;
+
+  /**
+   * Store key of a local file: absolute path
+   */
+  function localKey(relPath) {
+    return path.join(rootPrefix, ...relPath.split("/"));
+  }
+
+  function relOfLocal(key) {
+    return key.slice(rootPrefix.length).split(path.sep).join("/");
+  }
+
+  /**
+   * Write the pending local changes in one transaction. Synchronous – the
+   * write lock of the shared store is released before the next await.
+   */
+  function flushLocal() {
+    if (pendingLocal.size === 0) return;
+    shared.exec("BEGIN IMMEDIATE");
+    try {
+      for (const [key, row] of pendingLocal) {
+        if (row) stmt.local.put.run(key, row.size, row.mtime, row.hash, row.algo);
+        else stmt.local.del.run(key);
+      }
+      shared.exec("COMMIT");
+    } catch (err) {
+      shared.exec("ROLLBACK");
+      throw err;
+    }
+    pendingLocal.clear();
+  }
+
+  function writeLocal(key, row) {
+    pendingLocal.set(key, row);
+    if (pendingLocal.size >= autoSaveInterval) flushLocal();
+  }
+
+  function getLocal(key) {
+    return pendingLocal.has(key) ? pendingLocal.get(key) : stmt.local.get.get(key);
+  }
+
+  /**
+   * Local rows below localRoot, including the pending changes
+   */
+  function ownLocalRows() {
+    const rows = new Map(stmt.local.all.all(rootPrefix, rootEnd).map((row) => [row.path, row]));
+    for (const [key, row] of pendingLocal) {
+      if (key < rootPrefix || key >= rootEnd) continue;
+      if (row) rows.set(key, { path: key, ...row });
+      else rows.delete(key);
+    }
+    return [...rows.values()].sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+  }
+
+  // Alte Ziel-Caches enthalten noch lokale Einträge (relativ zu localRoot)
+  const hasLegacyLocal = db
+    .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'local'")
+    .get();
+  if (hasLegacyLocal) {
+    ensureAlgoColumn(db, "local");
+    const legacy = db.prepare("SELECT path, size, mtime, hash, algo FROM local WHERE ns = ?").all(ns);
+    let moved = 0;
+    for (const row of legacy) {
+      const key = localKey(row.path);
+      if (!getLocal(key)) {
+        pendingLocal.set(key, { size: row.size, mtime: row.mtime, hash: row.hash, algo: row.algo });
+        moved++;
+      }
+    }
+    // erst im geteilten Store sichern, dann aus dem Ziel-Cache entfernen
+    flushLocal();
+    db.prepare("DELETE FROM local WHERE ns = ?").run(ns);
+    if (legacy.length > 0 && vlog) {
+      vlog(`   Moved ${moved} local hashes to the shared store: ${localStorePath}`);
+    }
+  }
+
+  function putLocal(rel, size, mtimeMs, hash, algo = algorithm) {
+    writeLocal(localKey(rel), { size: size ?? null, mtime: mtimeMs ?? null, hash, algo });
+  }
+
+  function putRemote(rel, size, modifyTime, hash, algo = algorithm) {
+    remoteWriter.write(stmt.remote.put, ns, rel, size ?? null, modifyTime ?? null, hash, algo);
+  }
+
+  function isRemoteHit(cached, meta) {
+    return (
+      cached &&
+      cached.size === meta.size &&
+      cached.mtime === meta.modifyTime &&
+      cached.algo === algorithm
+    );
+  }
+
+  /**
+   * Get cached local hash or compute and store it
+   */
+  async function getLocalHash(rel, meta) {
+    const filePath = meta.fullPath || meta.localPath;
+    const key = path.resolve(filePath);
+    const cached = getLocal(key);
+
+    // Cache hit: check if still valid (same size + mtime + algorithm)
+    if (
+      cached &&
+      cached.size === meta.size &&
+      Math.abs(cached.mtime - meta.mtimeMs) < 1000 &&
+      cached.algo === algorithm
+    ) {
+      return cached.hash;
+    }
+
+    const hash = await hashLocalFile(filePath, algorithm);
+    writeLocal(key, { size: meta.size ?? null, mtime: meta.mtimeMs ?? null, hash, algo: algorithm });
+    return hash;
+  }
+
+  /**
+   * Get cached remote hash or compute and store it
+   */
+  async function getRemoteHash(rel, meta, sftp) {
+    const cached = stmt.remote.get.get(ns, rel);
+    if (isRemoteHit(cached, meta)) return cached.hash;
+
+    const filePath = meta.fullPath || meta.remotePath;
+    const hash = await hashRemoteFile(sftp, filePath, 60000, meta.size || 0, bandwidth, algorithm);
+    putRemote(rel, meta.size, meta.modifyTime, hash);
+    return hash;
+  }
+
+  /**
+   * Return the cached remote hash if still valid, else null. Never touches the server.
+   */
+  function peekRemoteHash(rel, meta) {
+    const cached = stmt.remote.get.get(ns, rel);
+    return isRemoteHit(cached, meta) ? cached.hash : null;
+  }
+
+  /**
+   * Store a remote hash computed elsewhere (e.g. server-side via exec)
+   */
+  async function setRemoteHash(rel, meta, hash) {
+    putRemote(rel, meta.size, meta.modifyTime, hash);
+  }
+
+  /**
+   * Commit the changes since the last save
+   */
+  async function save() {
+    if (closed) return;
+    flushLocal();
+    remoteWriter.commit();
+  }
+
+  /**
+   * Close both databases, uncommitted changes are rolled back
+   */
+  async function close() {
+    if (closed) return;
+    closed = true;
+    try {
+      pendingLocal.clear();
+      remoteWriter.rollback();
+      shared.close();
+      db.close();
+    } finally {
+      lock.release();
+    }
+  }
+
+  async function fileSize(filePath) {
+    try {
+      return (await fsp.stat(filePath)).size;
+    } catch {
+      // noch nicht angelegt
+      return 0;
+    }
+  }
+
+  /**
+   * Get cache statistics (local: entries below localRoot; fileBytes: target file)
+   */
+  async function getStats() {
+    const localEntries =
+      pendingLocal.size === 0 ? stmt.local.count.get(rootPrefix, rootEnd).n : ownLocalRows().length;
+    const remoteEntries = stmt.remote.count.get(ns).n;
+    return {
+      localEntries,
+      remoteEntries,
+      totalEntries: localEntries + remoteEntries,
+      fileBytes: await fileSize(cachePath),
+      localStorePath,
+      localStoreEntries: stmt.local.countAll.get().n,
+      localStoreBytes: await fileSize(localStorePath),
+    };
+  }
+
+  /**
+   * Remove the remote entries of the namespace (and shrink the file) and the
+   * local entries below localRoot – other roots in the shared store stay.
+   */
+  async function clear() {
+    remoteWriter.write(stmt.remote.clear, ns);
+    remoteWriter.commit();
+    db.exec("VACUUM");
+    for (const row of ownLocalRows()) pendingLocal.set(row.path, null);
+    flushLocal();
+  }
+
+  /**
+   * Re-hash local files whose cache entry is still valid (same size + mtime
+   * + algorithm) and correct wrong hashes. Entries of missing or changed
+   * files are dropped.
+   *
+   * @param {string} localRoot
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - (done, total, relPath)
+   * @returns {Promise<{ checked: number, corrected: string[], stale: number, missing: number }>}
+   */
+  async function verifyLocal(localRoot, { onProgress } = {}) {
+    const result = { checked: 0, corrected: [], stale: 0, missing: 0 };
+    const rows = ownLocalRows();
+    let done = 0;
+
+    for (const row of rows) {
+      const relPath = relOfLocal(row.path);
+
+      let stat = null;
+      try {
+        stat = await fsp.stat(row.path);
+      } catch {
+        // Datei fehlt
+      }
+
+      if (!stat) {
+        writeLocal(row.path, null);
+        result.missing++;
+      } else if (
+        row.size !== stat.size ||
+        Math.abs(row.mtime - stat.mtimeMs) >= 1000 ||
+        row.algo !== algorithm
+      ) {
+        writeLocal(row.path, null);
+        result.stale++;
+      } else {
+        const hash = await hashLocalFile(row.path, algorithm);
+        result.checked++;
+        if (hash !== row.hash) {
+          writeLocal(row.path, { size: row.size, mtime: row.mtime, hash, algo: algorithm });
+          result.corrected.push(relPath);
+        }
+      }
+
+      done++;
+      onProgress?.(done, rows.length, relPath);
+    }
+
+    return result;
+  }
+
+  /**
+   * Remove entries for files that no longer exist.
+   * Local entries below localRoot that are not in the scan stay if the file
+   * still exists – another target may include what this one excludes.
+   *
+   * @param {Set<string>} currentLocalFiles - Set of current local relative paths
+   * @param {Set<string>} currentRemoteFiles - Set of current remote relative paths
+   */
+  async function cleanup(currentLocalFiles, currentRemoteFiles) {
+    let deletedCount = 0;
+
+    // erst lesen, dann löschen (kein Schreiben während einer offenen Abfrage)
+    for (const row of ownLocalRows()) {
+      if (currentLocalFiles.has(relOfLocal(row.path))) continue;
+      try {
+        await fsp.access(row.path);
+      } catch {
+        writeLocal(row.path, null);
+        deletedCount++;
+      }
+    }
+
+    const staleRemote = stmt.remote.all
+      .all(ns)
+      .map((row) => row.path)
+      .filter((rel) => !currentRemoteFiles.has(rel));
+    for (const rel of staleRemote) {
+      remoteWriter.write(stmt.remote.del, ns, rel);
+      deletedCount++;
+    }
+
+    return deletedCount;
+  }
+
+  /**
+   * All entries (for migrateCache), local ones relative to localRoot
+   */
+  function* exportEntries() {
+    for (const row of ownLocalRows()) {
+      yield { type: "local", rel: relOfLocal(row.path), size: row.size, mtime: row.mtime, hash: row.hash, algo: row.algo };
+    }
+    for (const row of stmt.remote.all.all(ns)) {
+      yield { type: "remote", rel: row.path, size: row.size, mtime: row.mtime, hash: row.hash, algo: row.algo };
+    }
+  }
+
+  /**
+   * Take over entries of another cache (for migrateCache), committed on save()
+   * @returns {Promise<number>} number of imported entries
+   */
+  async function importEntries(entries) {
+    let count = 0;
+    for await (const e of entries) {
+      if (e.type === "local") putLocal(e.rel, e.size, e.mtime, e.hash, e.algo);
+      else putRemote(e.rel, e.size, e.mtime, e.hash, e.algo);
+      count++;
+    }
+    return count;
+  }
+
+  return {
+    getLocalHash,
+    getRemoteHash,
+    peekRemoteHash,
+    setRemoteHash,
+    save,
+    close,
+    getStats,
+    cleanup,
+    clear,
+    verifyLocal,
+    exportEntries,
+    importEntries,
+  };
+}
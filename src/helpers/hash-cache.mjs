@@ -0,0 +1,207 @@
+/**
+ * hash-cache.mjs
+ *
+ * Hash cache backends behind one interface (config: cache.backend):
+ *
+ *   ndjson  .sync-cache.<target>.ndjson – Maps in memory, save() appends changed entries (default);
+ *           local hashes go to .sync-local-hashes.ndjson, shared by all targets
+ *   sqlite  .sync-cache.<target>.sqlite – indexed lookups, save() commits only changed rows;
+ *           local hashes go to .sync-local-hashes.sqlite, shared by all targets
+ *   memory  Maps only, nothing is read or written (the cache lives for one run)
+ *   none    no cache, every hash is computed
+ *
+ * Every backend returns an object with:
+ *
+ *   getLocalHash(rel, meta)          cached or freshly computed hash of a local file
+ *   getRemoteHash(rel, meta, sftp)   same for a remote file (streamed if not cached)
+ *   peekRemoteHash(rel, meta)        cached remote hash or null, never touches the server
+ *   setRemoteHash(rel, meta, hash)   store a hash computed elsewhere (exec, --verify)
+ *   save()                           persist the changes
+ *   close()                          release the store – unsaved changes may be lost
+ *   getStats()                       { localEntries, remoteEntries, totalEntries, fileBytes }
+ *   cleanup(localSet, remoteSet)     drop entries of files that no longer exist → count
+ *   clear()                          remove all entries
+ *   verifyLocal(localRoot, opts)     re-hash cached local files (cache verify)
+ *   exportEntries()                  all entries { type, rel, size, mtime, hash, algo } (for migrateCache)
+ *   importEntries(entries)           take over entries → count, persisted on save()
+ *
+ * Hashes use the configured algorithm (hashAlgorithm, hash-algorithm.mjs).
+ * An entry is valid while size, mtime (local within 1s) and algorithm match.
+ *
+ * @author Carsten Nichte, 2025 / https://carsten-nichte.de/
+ */
+// src/helpers/hash-cache.mjs
+import fsp from "fs/promises";
+import path from "path";
+import {
+  createHashCacheNDJSON,
+  hashLocalFile,
+  hashRemoteFile,
+} from "./hash-cache-ndjson.mjs";
+import { createHashCacheSQLite } from "./hash-cache-sqlite.mjs";
+import { DEFAULT_HASH_ALGORITHM } from "./hash-algorithm.mjs";
+
+export const CACHE_BACKENDS = {
+  ndjson: "NDJSON",
+  sqlite: "SQLite",
+  memory: "memory (not persisted)",
+  none: "off (every hash is computed)",
+};
+
+export const LOCAL_HASH_STORE = ".sync-local-hashes.ndjson";
+export const LOCAL_HASH_STORE_SQLITE = ".sync-local-hashes.sqlite";
+
+/**
+ * Cache-Datei eines Backends (memory / none: keine)
+ */
+export function cacheFileFor(backend, target) {
+  if (backend === "ndjson") return path.resolve(`.sync-cache.${target}.ndjson`);
+  if (backend === "sqlite") return path.resolve(`.sync-cache.${target}.sqlite`);
+  return null;
+}
+
+/**
+ * Geteilter lokaler Hash-Store eines Backends (memory / none: keiner)
+ */
+export function localStoreFor(backend) {
+  if (backend === "ndjson") return path.resolve(LOCAL_HASH_STORE);
+  if (backend === "sqlite") return path.resolve(LOCAL_HASH_STORE_SQLITE);
+  return null;
+}
+
+/**
+ * Backend "none": rechnet jeden Hash, speichert nichts
+ */
+function createNoHashCache({ bandwidth = null, algorithm }) {
+  const empty = { localEntries: 0, remoteEntries: 0, totalEntries: 0, fileBytes: 0 };
+  return {
+    getLocalHash: (rel, meta) => hashLocalFile(meta.fullPath || meta.localPath, algorithm),
+    getRemoteHash: (rel, meta, sftp) =>
+      hashRemoteFile(sftp, meta.fullPath || meta.remotePath, 60000, meta.size || 0, bandwidth, algorithm),
+    peekRemoteHash: () => null,
+    setRemoteHash: async () => {},
+    save: async () => {},
+    close: async () => {},
+    getStats: async () => ({ ...empty }),
+    cleanup: async () => 0,
+    clear: async () => {},
+    verifyLocal: async () => ({ checked: 0, corrected: [], stale: 0, missing: 0 }),
+    exportEntries: () => [],
+    importEntries: async () => 0,
+  };
+}
+
+/**
+ * Creates the hash cache for the configured backend.
+ *
+ * @param {Object} options
+ * @param {string} options.backend - ndjson | sqlite | memory | none
+ * @param {string|null} options.cachePath - from cacheFileFor()
+ * @param {string} options.localRoot - Absolute local root (shared local hash store)
+ * @param {string} options.namespace - Namespace for keys (e.g., "prod")
+ * @param {Function} [options.vlog] - Optional verbose logging function
+ * @param {Object} [options.bandwidth] - Optional token bucket for remote hash streaming
+ * @param {string} [options.algorithm] - Hash algorithm (default: sha256)
+ */
+export async function createHashCache({
+  backend = "ndjson",
+  cachePath,
+  localRoot,
+  namespace,
+  vlog = null,
+  bandwidth = null,
+  algorithm = DEFAULT_HASH_ALGORITHM,
+}) {
+  switch (backend) {
+    case "ndjson":
+      return createHashCacheNDJSON({
+        cachePath,
+        localStorePath: localStoreFor("ndjson"),
+        localRoot,
+        namespace,
+        vlog,
+        bandwidth,
+        algorithm,
+      });
+    case "sqlite":
+      return createHashCacheSQLite({
+        cachePath,
+        localStorePath: localStoreFor("sqlite"),
+        localRoot,
+        namespace,
+        vlog,
+        bandwidth,
+        algorithm,
+      });
+    case "memory":
+      return createHashCacheNDJSON({ cachePath: null, localRoot, namespace, vlog, bandwidth, algorithm });
+    case "none":
+      return createNoHashCache({ bandwidth, algorithm });
+    default:
+      throw new Error(
+        `Unknown cache backend '${backend}' (allowed: ${Object.keys(CACHE_BACKENDS).join(", ")}).`
+      );
+  }
+}
+
+/**
+ * Migrate the cache file of one backend into another, e.g. after
+ * cache.backend was switched from ndjson to sqlite. Like the JSON → NDJSON
+ * migration, the old file is renamed to *.migrated.
+ *
+ * @param {Object} options
+ * @param {string} options.from - backend of the existing file
+ * @param {string} options.to - configured backend
+ * @param {string} options.target - connection name (file names and namespace)
+ * @param {string} options.localRoot - Absolute local root (shared local hash store)
+ */
+export async function migrateCache({ from, to, target, localRoot }) {
+  const fromPath = cacheFileFor(from, target);
+  const toPath = cacheFileFor(to, target);
+  if (!fromPath || !toPath || from === to) {
+    return { migrated: false, reason: "Nothing to migrate" };
+  }
+
+  try {
+    await fsp.access(fromPath);
+  } catch {
+    return { migrated: false, reason: `No ${from} cache found` };
+  }
+
+  // Check if the target cache already exists (don't re-migrate)
+  try {
+    const stats = await fsp.stat(toPath);
+    if (stats.size > 0) {
+      return { migrated: false, reason: `${to} cache already exists` };
+    }
+  } catch {
+    // File doesn't exist - proceed with migration
+  }
+
+  const source = await createHashCache({ backend: from, cachePath: fromPath, localRoot, namespace: target });
+  let dest = null;
+  let count;
+  try {
+    dest = await createHashCache({ backend: to, cachePath: toPath, localRoot, namespace: target });
+    count = await dest.importEntries(source.exportEntries());
+    await dest.save();
+    await dest.close();
+  } catch (err) {
+    // kein halb migrierter Cache – sonst würde der nächste Lauf nicht mehr migrieren
+    if (dest) {
+      await dest.close();
+      await fsp.rm(toPath, { force: true });
+    }
+    throw err;
+  } finally {
+    await source.close();
+  }
+
+  try {
+    await fsp.rename(fromPath, fromPath + ".migrated");
+  } catch {
+    // Ignore rename errors
+  }
+
+  return { migrated: true, count };
+}
@@ -0,0 +1,297 @@
+/**
+ * host-key.mjs
+ *
+ * Host key verification for SFTP connections.
+ *
+ * Sources for trusted keys (per connection in sync.config.json):
+ *   - hostKey:        SHA256 fingerprint ("SHA256:...") or an OpenSSH public key
+ *                     line ("ssh-ed25519 AAAA..."), or an array of these
+ *   - knownHostsFile: file in OpenSSH known_hosts format (hashed hosts supported)
+ *   - hostKeyCheck:   "strict" (default if a key source is set), "tofu" or "off"
+ *
+ * In "tofu" mode (trust on first use) an unknown host is accepted once and
+ * its key is appended to the known_hosts file. A known host with a different
+ * key is always rejected.
+ *
+ * The accepted key is pinned in memory, so reconnects must present the same key.
+ * Every connect attempt gets its own hostVerifier (forConnect()), so the
+ * reason for a rejection belongs to that attempt, also with several
+ * sessions connecting at the same time.
+ *
+ * @author Carsten Nichte, 2025 / https://carsten-nichte.de/
+ */
+// src/helpers/host-key.mjs
+import fsp from "fs/promises";
+import path from "path";
+import { createHash, createHmac } from "crypto";
+import { expandHome } from "./directory.mjs";
+
+export const HOST_KEY_MODES = ["strict", "tofu", "off"];
+
+const DEFAULT_KNOWN_HOSTS = "~/.ssh/known_hosts";
+
+/**
+ * SHA256-Fingerprint im OpenSSH-Format: "SHA256:<base64 ohne Padding>"
+ */
+export function fingerprintSha256(keyBlob) {
+  const digest = createHash("sha256").update(keyBlob).digest("base64");
+  return `SHA256:${digest.replace(/=+$/, "")}`;
+}
+
+/**
+ * Liest den Key-Typ (z.B. "ssh-ed25519") aus einem SSH-Key-Blob
+ */
+export function keyTypeOf(keyBlob) {
+  if (!keyBlob || keyBlob.length < 4) return "unknown";
+  const len = keyBlob.readUInt32BE(0);
+  return keyBlob.subarray(4, 4 + len).toString("ascii");
+}
+
+/**
+ * Host-Bezeichner wie in known_hosts: "host" für Port 22, sonst "[host]:port"
+ */
+export function knownHostsName(host, port = 22) {
+  return Number(port) === 22 ? host : `[${host}]:${port}`;
+}
+
+/**
+ * Parst den Inhalt einer known_hosts-Datei.
+ * Liefert [{ marker, hosts, keyType, keyBlob }]
+ */
+export function parseKnownHosts(text) {
+  const entries = [];
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#")) continue;
+
+    const parts = line.split(/\s+/);
+    let marker = null;
+    if (parts[0].startsWith("@")) {
+      marker = parts.shift();
+    }
+    if (parts.length < 3) continue;
+
+    const [hosts, keyType, keyB64] = parts;
+    entries.push({
+      marker,
+      hosts,
+      keyType,
+      keyBlob: Buffer.from(keyB64, "base64"),
+    });
+  }
+
+  return entries;
+}
+
+/** Einfache Wildcards (* und ?) aus known_hosts in RegExp umwandeln */
+function wildcardToRegExp(pattern) {
+  const escaped = pattern
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*")
+    .replace(/\?/g, ".");
+  return new RegExp(`^${escaped}$`, "i");
+}
+
+/**
+ * Prüft, ob das Host-Feld einer known_hosts-Zeile zu host/port passt.
+ * Unterstützt Listen, Negation (!), Wildcards und gehashte Einträge (|1|salt|hash).
+ */
+export function hostMatches(hostsField, host, port = 22) {
+  const name = knownHostsName(host, port);
+
+  if (hostsField.startsWith("|1|")) {
+    const [, , saltB64, hashB64] = hostsField.split("|");
+    if (!saltB64 || !hashB64) return false;
+    const hmac = createHmac("sha1", Buffer.from(saltB64, "base64"))
+      .update(name)
+      .digest("base64");
+    return hmac === hashB64;
+  }
+
+  let matched = false;
+  for (const pattern of hostsField.split(",")) {
+    const negated = pattern.startsWith("!");
+    const p = negated ? pattern.slice(1) : pattern;
+    if (wildcardToRegExp(p).test(name)) {
+      if (negated) return false;
+      matched = true;
+    }
+  }
+  return matched;
+}
+
+/**
+ * Normalisiert einen konfigurierten hostKey-Eintrag.
+ * Liefert { fingerprint } oder { keyBlob }
+ */
+function parsePinnedKey(value) {
+  const v = String(value).trim();
+  if (v.startsWith("SHA256:")) {
+    return { fingerprint: v.replace(/=+$/, "") };
+  }
+  const parts = v.split(/\s+/);
+  if (parts.length >= 2) {
+    return { keyBlob: Buffer.from(parts[1], "base64") };
+  }
+  throw new Error(
+    `Invalid hostKey '${v}' – expected "SHA256:..." or "<type> <base64-key>".`
+  );
+}
+
+/**
+ * Erzeugt den hostVerifier für ssh2 (wird über buildConnectOptions übergeben).
+ *
+ * @param {Object} options
+ * @param {string} options.host
+ * @param {number} options.port
+ * @param {string|string[]} [options.hostKey] - Gepinnte Keys/Fingerprints
+ * @param {string} [options.knownHostsFile] - Pfad zur known_hosts-Datei
+ * @param {string} [options.mode] - "strict" | "tofu" | "off"
+ * @param {Function} [options.log] - optionales Logging (z.B. bei TOFU)
+ * @returns {Promise<Object|null>} { mode, knownHostsPath, forConnect(), describe() },
+ *   forConnect() → { hostVerifier, getRejection() } für einen Verbindungsversuch
+ */
+export async function createHostKeyVerifier({
+  host,
+  port = 22,
+  hostKey,
+  knownHostsFile,
+  mode,
+  log,
+}) {
+  const pinnedValues =
+    hostKey === undefined ? [] : Array.isArray(hostKey) ? hostKey : [hostKey];
+
+  const effectiveMode =
+    mode ?? (pinnedValues.length > 0 || knownHostsFile ? "strict" : "off");
+
+  if (!HOST_KEY_MODES.includes(effectiveMode)) {
+    throw new Error(
+      `Unknown hostKeyCheck '${effectiveMode}' (allowed: ${HOST_KEY_MODES.join(", ")}).`
+    );
+  }
+  if (effectiveMode === "off") return null;
+
+  const pinned = pinnedValues.map(parsePinnedKey);
+
+  // known_hosts nur verwenden, wenn konfiguriert oder keine Keys gepinnt sind
+  const useKnownHosts =
+    Boolean(knownHostsFile) || pinned.length === 0 || effectiveMode === "tofu";
+  const knownHostsPath = useKnownHosts
+    ? expandHome(knownHostsFile || DEFAULT_KNOWN_HOSTS)
+    : null;
+
+  let knownEntries = [];
+  if (knownHostsPath) {
+    try {
+      const text = await fsp.readFile(knownHostsPath, "utf8");
+      knownEntries = parseKnownHosts(text).filter(
+        (e) => e.marker !== "@cert-authority" && hostMatches(e.hosts, host, port)
+      );
+    } catch (err) {
+      if (err?.code !== "ENOENT") {
+        throw new Error(
+          `Cannot read knownHostsFile '${knownHostsPath}': ${err?.message || err}`
+        );
+      }
+    }
+  }
+
+  // Nach der ersten erfolgreichen Prüfung: Key im Speicher festhalten (für Reconnects)
+  let acceptedKey = null;
+
+  const matchesPinned = (keyBlob, fingerprint) =>
+    pinned.some((p) =>
+      p.fingerprint ? p.fingerprint === fingerprint : p.keyBlob.equals(keyBlob)
+    );
+
+  async function recordKey(keyBlob) {
+    const line = `${knownHostsName(host, port)} ${keyTypeOf(keyBlob)} ${keyBlob.toString("base64")}\n`;
+    await fsp.mkdir(path.dirname(knownHostsPath), { recursive: true });
+    await fsp.appendFile(knownHostsPath, line, { mode: 0o600 });
+  }
+
+  /**
+   * null = Key akzeptiert, sonst { reason, presented, expected? }
+   */
+  async function check(keyBlob) {
+    const fingerprint = fingerprintSha256(keyBlob);
+
+    if (acceptedKey) {
+      if (acceptedKey.equals(keyBlob)) return null;
+      return {
+        reason: "changed since first connect",
+        presented: fingerprint,
+        expected: fingerprintSha256(acceptedKey),
+      };
+    }
+
+    const revoked = knownEntries.some(
+      (e) => e.marker === "@revoked" && e.keyBlob.equals(keyBlob)
+    );
+    if (revoked) {
+      return { reason: "key is marked @revoked", presented: fingerprint };
+    }
+
+    const trusted = knownEntries.filter((e) => e.marker === null);
+    if (matchesPinned(keyBlob, fingerprint) || trusted.some((e) => e.keyBlob.equals(keyBlob))) {
+      acceptedKey = keyBlob;
+      return null;
+    }
+
+    // Host bekannt, aber anderer Key → immer ablehnen (möglicher MITM)
+    if (pinned.length > 0 || trusted.length > 0) {
+      const expected = [
+        ...pinned.map((p) => p.fingerprint ?? fingerprintSha256(p.keyBlob)),
+        ...trusted.map((e) => fingerprintSha256(e.keyBlob)),
+      ];
+      return {
+        reason: "key does not match",
+        presented: fingerprint,
+        expected: expected.join(", "),
+      };
+    }
+
+    if (effectiveMode === "tofu") {
+      try {
+        await recordKey(keyBlob);
+        log?.(`Host key for ${knownHostsName(host, port)} recorded (${fingerprint}) in ${knownHostsPath}`);
+      } catch (err) {
+        log?.(`Could not record host key in ${knownHostsPath}: ${err?.message || err}`);
+      }
+      acceptedKey = keyBlob;
+      return null;
+    }
+
+    return {
+      reason: "host is unknown",
+      presented: fingerprint,
+    };
+  }
+
+  return {
+    mode: effectiveMode,
+    knownHostsPath,
+    // Pro Verbindungsversuch: eigene Ablehnung, keine geteilte zwischen Sessions
+    forConnect: () => {
+      let rejection = null;
+      return {
+        hostVerifier: (keyBlob, verify) => {
+          check(keyBlob).then(
+            (result) => {
+              rejection = result;
+              verify(result === null);
+            },
+            () => verify(false)
+          );
+        },
+        getRejection: () => rejection,
+      };
+    },
+    describe: () =>
+      `${effectiveMode}${
+        pinned.length ? ` (${pinned.length} pinned)` : ""
+      }${knownHostsPath ? ` – ${knownHostsPath}` : ""}`,
+  };
+}
@@ -0,0 +1,120 @@
+/**
+ * journal.mjs
+ *
+ * Run journal for crash-safe resume. Written next to the NDJSON hash cache
+ * while Phase 5 runs:
+ *
+ *   {"v":1,"tool":"sftp-push-sync","target":"prod",...,"changes":{"add":[…],"update":[…],"delete":[…]}}
+ *   {"op":"add","rel":"img/new.png"}
+ *   {"op":"delete","rel":"old.html"}
+ *   {"op":"redo","rel":"img/new.png"}     ← failed verification (--verify)
+ *
+ * The first line is the plan (same entries as the JSON plan) plus the
+ * trash / backup run of the sync, every further line a finished
+ * operation. After a successful run the journal is removed. If the
+ * process dies, `--resume` continues with the operations that are not
+ * in the journal yet.
+ *
+ * @author Carsten Nichte, 2025 / https://carsten-nichte.de/
+ */
+// src/helpers/journal.mjs
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+
+export const JOURNAL_VERSION = 1;
+
+export const JOURNAL_OPS = ["add", "update", "delete"];
+
+export function journalPathFor(target) {
+  return path.resolve(`.sync-journal.${target}.ndjson`);
+}
+
+/**
+ * Liest ein vorhandenes Journal.
+ * Eine abgeschnittene letzte Zeile (Absturz beim Schreiben) wird ignoriert.
+ *
+ * @returns {Promise<null | { header, done: Map<string, string>, total: number }>}
+ *          done: rel → op (ein Pfad steht im Plan nur in einer Liste)
+ */
+export async function readJournal(filePath) {
+  let text;
+  try {
+    text = await fsp.readFile(filePath, "utf8");
+  } catch {
+    return null;
+  }
+
+  const lines = text.split("\n").filter((l) => l.trim());
+  if (lines.length === 0) return null;
+
+  let header;
+  try {
+    header = JSON.parse(lines[0]);
+  } catch {
+    throw new Error(`${filePath} is not a readable sync journal.`);
+  }
+  if (header?.tool !== "sftp-push-sync" || header.v !== JOURNAL_VERSION) {
+    throw new Error(`${filePath}: unsupported journal (version ${header?.v}).`);
+  }
+
+  const done = new Map();
+  for (let i = 1; i < lines.length; i += 1) {
+    try {
+      const { op, rel } = JSON.parse(lines[i]);
+      if (op === "redo") done.delete(rel);
+      else if (JOURNAL_OPS.includes(op)) done.set(rel, op);
+    } catch {
+      // unvollständige letzte Zeile
+    }
+  }
+
+  const { add = [], update = [], delete: del = [] } = header.changes || {};
+  return { header, done, total: add.length + update.length + del.length };
+}
+
+/**
+ * Öffnet das Journal zum Schreiben. Jede Zeile wird sofort geschrieben
+ * (synchron), damit sie einen Absturz übersteht.
+ *
+ * @param {string} filePath
+ * @param {Object|null} header - neuer Lauf (Datei wird ersetzt) oder null (anhängen, --resume)
+ */
+export function openJournal(filePath, header = null) {
+  let fd = fs.openSync(filePath, header ? "w" : "a");
+  if (header) {
+    fs.writeSync(
+      fd,
+      JSON.stringify({ v: JOURNAL_VERSION, tool: "sftp-push-sync", ...header }) + "\n"
+    );
+  }
+
+  const close = () => {
+    if (fd !== null) {
+      fs.closeSync(fd);
+      fd = null;
+    }
+  };
+
+  return {
+    path: filePath,
+
+    /** Operation erledigt (op: add | update | delete) */
+    record(op, rel) {
+      if (fd !== null) fs.writeSync(fd, JSON.stringify({ op, rel }) + "\n");
+    },
+
+    /** Operation doch nicht erledigt (z.B. --verify fehlgeschlagen) */
+    redo(rel) {
+      if (fd !== null) fs.writeSync(fd, JSON.stringify({ op: "redo", rel }) + "\n");
+    },
+
+    close,
+
+    /** Lauf vollständig → Journal entfernen */
+    async remove() {
+      close();
+      await fsp.rm(filePath, { force: true });
+    },
+  };
+}
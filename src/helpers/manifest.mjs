@@ -0,0 +1,150 @@
+/**
+ * manifest.mjs
+ *
+ * Remote manifest: after a successful sync, a list of all synced files
+ * (path, size, hash, modifyTime) is uploaded to remoteRoot.
+ * Later runs trust this manifest instead of scanning and hashing the server.
+ *
+ * File format (NDJSON, first line is a header):
+ *   {"v":1,"tool":"sftp-push-sync","version":"3.0.2","hashAlgorithm":"sha256","created":"2026-...","files":1234}
+ *   {"p":"path/file.js","s":1234,"h":"sha256...","m":1767225600000}
+ *
+ * Where: p=path, s=size, h=hash (header hashAlgorithm, missing in older
+ * manifests = sha256), m=remote modifyTime (ms)
+ *
+ * @author Carsten Nichte, 2025 / https://carsten-nichte.de/
+ */
+// src/helpers/manifest.mjs
+import path from "path";
+
+export const MANIFEST_NAME = ".sftp-push-sync.manifest.ndjson";
+export const MANIFEST_VERSION = 1;
+
+/** Temporärer Name während des Uploads */
+const MANIFEST_TMP_NAME = `${MANIFEST_NAME}.tmp`;
+
+/**
+ * Dateien, die zum Manifest gehören und nie synchronisiert/gelöscht werden
+ */
+export const MANIFEST_FILES = [MANIFEST_NAME, MANIFEST_TMP_NAME];
+
+function manifestPath(remoteRoot) {
+  return path.posix.join(remoteRoot, MANIFEST_NAME);
+}
+
+/**
+ * Parst den Inhalt eines Manifests.
+ * Wirft einen Error bei unbekannter Version oder kaputten Zeilen.
+ *
+ * @returns {{ header: Object, entries: Map<string, { size, hash, modifyTime }> }}
+ */
+export function parseManifest(text) {
+  const lines = text.split("\n").filter((l) => l.trim());
+  if (lines.length === 0) {
+    throw new Error("Manifest is empty");
+  }
+
+  const header = JSON.parse(lines[0]);
+  if (header.v !== MANIFEST_VERSION) {
+    throw new Error(`Unsupported manifest version: ${header.v}`);
+  }
+
+  const entries = new Map();
+  for (let i = 1; i < lines.length; i += 1) {
+    const e = JSON.parse(lines[i]);
+    entries.set(e.p, { size: e.s, hash: e.h, modifyTime: e.m });
+  }
+
+  if (typeof header.files === "number" && header.files !== entries.size) {
+    throw new Error(
+      `Manifest incomplete: header says ${header.files} files, found ${entries.size}`
+    );
+  }
+
+  return { header, entries };
+}
+
+/**
+ * Serialisiert das Manifest.
+ *
+ * @param {Iterable<[string, { size, hash, modifyTime }]>} entries
+ * @param {Object} meta - zusätzliche Header-Felder (z.B. version)
+ */
+export function serializeManifest(entries, meta = {}) {
+  const list = [...entries].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  const header = {
+    v: MANIFEST_VERSION,
+    tool: "sftp-push-sync",
+    ...meta,
+    created: new Date().toISOString(),
+    files: list.length,
+  };
+
+  const out = [JSON.stringify(header)];
+  for (const [rel, e] of list) {
+    out.push(JSON.stringify({ p: rel, s: e.size, h: e.hash, m: e.modifyTime }));
+  }
+  return out.join("\n") + "\n";
+}
+
+/**
+ * Lädt das Manifest vom Server.
+ *
+ * @returns {Promise<{ header, entries } | null>} null, wenn kein Manifest existiert
+ */
+export async function readRemoteManifest(sftp, remoteRoot) {
+  const remotePath = manifestPath(remoteRoot);
+  const exists = await sftp.exists(remotePath);
+  if (!exists) return null;
+
+  const buf = await sftp.get(remotePath);
+  const text = (Buffer.isBuffer(buf) ? buf : Buffer.from(buf)).toString("utf8");
+  return parseManifest(text);
+}
+
+/**
+ * Wandelt die Manifest-Einträge in eine Remote-Map wie von walkRemote,
+ * ergänzt um den (vertrauenswürdigen) Hash.
+ *
+ * @returns {Map<rel, { rel, remotePath, size, modifyTime, hash }>}
+ */
+export function manifestToRemoteMap(manifest, remoteRoot, filterFn) {
+  const result = new Map();
+
+  for (const [rel, e] of manifest.entries) {
+    if (filterFn && !filterFn(rel)) continue;
+    result.set(rel, {
+      rel,
+      remotePath: path.posix.join(remoteRoot, rel),
+      size: e.size,
+      modifyTime: e.modifyTime,
+      hash: e.hash,
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Lädt das Manifest hoch (erst unter temporärem Namen, dann umbenennen).
+ */
+export async function writeRemoteManifest(sftp, remoteRoot, entries, meta) {
+  const content = serializeManifest(entries, meta);
+  const tmpPath = path.posix.join(remoteRoot, MANIFEST_TMP_NAME);
+  const finalPath = manifestPath(remoteRoot);
+
+  await sftp.put(Buffer.from(content, "utf8"), tmpPath);
+  await removeRemoteManifest(sftp, remoteRoot);
+  await sftp.rename(tmpPath, finalPath);
+}
+
+/**
+ * Entfernt das Manifest (z.B. vor Phase 5, damit ein abgebrochener Lauf
+ * kein veraltetes Manifest hinterlässt).
+ */
+export async function removeRemoteManifest(sftp, remoteRoot) {
+  const remotePath = manifestPath(remoteRoot);
+  if (await sftp.exists(remotePath)) {
+    await sftp.delete(remotePath);
+  }
+}
@@ -0,0 +1,286 @@
+/**
+ * ndjson-log.mjs
+ *
+ * One Map of hash entries, persisted as an NDJSON append log:
+ *
+ *   {"t":"r","p":"img/a.png","s":1234,"m":1767225600000,"h":"sha256...","a":"sha256"}
+ *   {"t":"r","p":"old.html","d":1}     ← tombstone: entry removed
+ *
+ * save() appends the entries changed since the last save; a later line for
+ * the same key overrides the earlier one on load. The file is compacted
+ * (one line per entry) on close() and when it holds more than
+ * COMPACT_RATIO lines per live entry.
+ *
+ * exclusive: the file is locked for the whole run (<file>.lock), so two runs
+ * cannot write it at the same time (per-target cache).
+ * shared: several runs may append at once (shared local hash store). A
+ * compaction re-reads the file first and only runs while no other run
+ * compacts – at worst a few hashes are computed again.
+ *
+ * @author Carsten Nichte, 2025 / https://carsten-nichte.de/
+ */
+// src/helpers/ndjson-log.mjs
+import fsp from "fs/promises";
+import { createReadStream, createWriteStream } from "fs";
+import { createInterface } from "readline";
+import { acquireFileLock } from "./file-lock.mjs";
+
+// Compaction: rewrite when the file holds more than COMPACT_RATIO lines per
+// live entry (and at least COMPACT_MIN_LINES lines)
+const COMPACT_RATIO = 2;
+const COMPACT_MIN_LINES = 1000;
+
+/**
+ * Liest ein NDJSON-Log in eine Map (key → { size, mtime, hash, algo }).
+ *
+ * @returns {Promise<{ entries: Map, lines: number, dirty: boolean }>}
+ *          dirty: corrupt/fremde Zeilen oder unvollständige letzte Zeile → neu schreiben
+ */
+async function readLog(filePath, type, onOtherLine) {
+  const entries = new Map();
+  let lines = 0;
+  let dirty = false;
+
+  try {
+    await fsp.access(filePath);
+  } catch {
+    return { entries, lines, dirty, missing: true };
+  }
+
+  const fileStream = createReadStream(filePath, { encoding: "utf8" });
+  const rl = createInterface({ input: fileStream, crlfDelay: Infinity });
+
+  let lineNum = 0;
+  for await (const line of rl) {
+    lineNum++;
+    if (!line.trim()) continue;
+    lines++;
+
+    try {
+      const entry = JSON.parse(line);
+      if (entry.t !== type) {
+        // z.B. lokale Einträge im alten Ziel-Cache
+        onOtherLine?.(entry);
+        dirty = true;
+      } else if (entry.d) {
+        entries.delete(entry.p);
+      } else {
+        // ohne "a": Zeile eines älteren Caches, damals immer SHA-256
+        entries.set(entry.p, { size: entry.s, mtime: entry.m, hash: entry.h, algo: entry.a ?? "sha256" });
+      }
+    } catch (parseErr) {
+      // Skip corrupt lines, log warning
+      console.warn(`  ⚠ Skipping corrupt cache line ${lineNum} in ${filePath}: ${parseErr.message}`);
+      dirty = true;
+    }
+  }
+
+  // Abgebrochenes Anhängen: ohne "\n" am Ende würde die nächste Zeile angeklebt
+  if (!dirty && lines > 0) {
+    const fh = await fsp.open(filePath, "r");
+    try {
+      const { size } = await fh.stat();
+      const { buffer } = await fh.read(Buffer.alloc(1), 0, 1, size - 1);
+      if (buffer[0] !== 0x0a) dirty = true;
+    } finally {
+      await fh.close();
+    }
+  }
+
+  return { entries, lines, dirty, missing: false };
+}
+
+/**
+ * Write lines to the file (flags "a" = append, "w" = new file)
+ */
+export async function writeLines(filePath, flags, lines) {
+  const writeStream = createWriteStream(filePath, { encoding: "utf8", flags });
+  for (const line of lines) {
+    writeStream.write(line + "\n");
+  }
+
+  // Wait for stream to finish
+  await new Promise((resolve, reject) => {
+    writeStream.on("finish", resolve);
+    writeStream.on("error", reject);
+    writeStream.end();
+  });
+}
+
+/**
+ * Opens (or creates) an NDJSON log.
+ *
+ * @param {Object} options
+ * @param {string|null} options.filePath - NDJSON file, null = memory only
+ * @param {string} options.type - value of "t" in each line ("l" local, "r" remote)
+ * @param {boolean} [options.shared] - several runs may write the file (no run lock)
+ * @param {Function} [options.vlog] - Optional verbose logging function
+ * @param {Function} [options.onOtherLine] - called with lines of another type (migration)
+ */
+export async function openNdjsonLog({ filePath, type, shared = false, vlog = null, onOtherLine = null }) {
+  const lock = filePath && !shared ? acquireFileLock(filePath) : null;
+
+  let loaded;
+  try {
+    loaded = filePath
+      ? await readLog(filePath, type, onOtherLine)
+      : { entries: new Map(), lines: 0, dirty: false, missing: false };
+  } catch (err) {
+    lock?.release();
+    throw err;
+  }
+  if (loaded.missing && vlog) {
+    vlog(`   Cache file not found, starting fresh: ${filePath}`);
+  }
+
+  let entries = loaded.entries;
+  // Lines in the file, including overridden ones
+  let fileLines = loaded.lines;
+  // Corrupt, foreign or unterminated lines → next save() rewrites the file
+  let needsCompaction = loaded.dirty;
+  // Changed keys since the last save (missing in the Map → tombstone line)
+  const dirty = new Set();
+  // save() calls run one after another (append must not overlap a compaction)
+  let saveQueue = Promise.resolve();
+
+  function line(key) {
+    const value = entries.get(key);
+    return JSON.stringify(
+      value
+        ? { t: type, p: key, s: value.size, m: value.mtime, h: value.hash, a: value.algo }
+        : { t: type, p: key, d: 1 }
+    );
+  }
+
+  /**
+   * Rewrite the file with one line per entry (temp file + atomic rename).
+   * Shared: merge what other runs appended meanwhile, skip if another run compacts.
+   */
+  async function compact() {
+    let compactLock = null;
+    if (shared) {
+      try {
+        compactLock = acquireFileLock(filePath);
+      } catch {
+        return;
+      }
+    }
+
+    try {
+      if (shared) {
+        const current = await readLog(filePath, type, null);
+        for (const key of dirty) {
+          if (entries.has(key)) current.entries.set(key, entries.get(key));
+          else current.entries.delete(key);
+        }
+        entries = current.entries;
+      }
+      dirty.clear();
+
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await writeLines(tempPath, "w", [...entries.keys()].map(line));
+      await fsp.rename(tempPath, filePath);
+      fileLines = entries.size;
+      needsCompaction = false;
+    } finally {
+      compactLock?.release();
+    }
+  }
+
+  /**
+   * Append the changed entries, compact when the file grew too much
+   */
+  async function flush() {
+    if (dirty.size === 0 && !needsCompaction) return;
+
+    const lines = fileLines + dirty.size;
+    if (needsCompaction || (lines > COMPACT_MIN_LINES && lines > entries.size * COMPACT_RATIO)) {
+      await compact();
+      if (dirty.size === 0) return;
+    }
+
+    // Zeilen jetzt bilden: Änderungen während des Schreibens gehen in den nächsten save()
+    const changed = [...dirty].map(line);
+    dirty.clear();
+
+    await writeLines(filePath, "a", changed);
+    fileLines += changed.length;
+  }
+
+  return {
+    path: filePath,
+
+    get: (key) => entries.get(key),
+
+    has: (key) => entries.has(key),
+
+    keys: () => [...entries.keys()],
+
+    entries: () => entries.entries(),
+
+    get size() {
+      return entries.size;
+    },
+
+    set(key, value) {
+      entries.set(key, value);
+      if (filePath) dirty.add(key);
+    },
+
+    delete(key) {
+      if (entries.delete(key) && filePath) dirty.add(key);
+    },
+
+    /**
+     * Persist the changes since the last save (lines appended)
+     */
+    async save() {
+      if (!filePath) return;
+
+      const run = saveQueue.then(flush);
+      saveQueue = run.catch(() => {});
+      await run;
+    },
+
+    /**
+     * Compact the file and release the lock. Compacts only when everything
+     * is saved – unsaved changes (e.g. --dry-run) are not written.
+     */
+    async close() {
+      if (!filePath) return;
+
+      try {
+        await saveQueue;
+        const overridden = fileLines > entries.size;
+        if (dirty.size === 0 && fileLines > 0 && (overridden || needsCompaction)) {
+          await compact();
+        }
+      } finally {
+        lock?.release();
+      }
+    },
+
+    /**
+     * Remove all entries and the file
+     */
+    async clear() {
+      await saveQueue;
+      entries.clear();
+      dirty.clear();
+      fileLines = 0;
+      needsCompaction = false;
+      if (filePath) await fsp.rm(filePath, { force: true });
+    },
+
+    /**
+     * Size of the file (0 if not saved yet)
+     */
+    async fileBytes() {
+      try {
+        return filePath ? (await fsp.stat(filePath)).size : 0;
+      } catch {
+        return 0;
+      }
+    },
+  };
+}
@@ -0,0 +1,237 @@
+/**
+ * plan.mjs
+ *
+ * Machine-readable sync plan (--plan-json <file>, --format json).
+ * Lists every add/update/delete with the reason from analyseDifferences,
+ * the directories that will be created or removed, and totals.
+ * CI scripts can gate a deploy on it, e.g. "no deletes under downloads/",
+ * and --apply-plan <file> runs exactly these operations later.
+ *
+ * @author Carsten Nichte, 2025 / https://carsten-nichte.de/
+ */
+// src/helpers/plan.mjs
+import fsp from "fs/promises";
+import path from "path";
+
+export const PLAN_VERSION = 1;
+
+/**
+ * Zeitstempel (ms) → ISO-String, unbekannt → null
+ */
+function isoTime(ms) {
+  const n = Number(ms);
+  return n ? new Date(n).toISOString() : null;
+}
+
+/**
+ * Alle Eltern-Verzeichnisse eines relativen Pfads ("a/b/c.txt" → a, a/b)
+ */
+function parentDirs(rel) {
+  const dirs = [];
+  let dir = path.posix.dirname(rel);
+  while (dir && dir !== ".") {
+    dirs.push(dir);
+    dir = path.posix.dirname(dir);
+  }
+  return dirs;
+}
+
+function dirSet(rels) {
+  const dirs = new Set();
+  for (const rel of rels) {
+    for (const dir of parentDirs(rel)) dirs.add(dir);
+  }
+  return dirs;
+}
+
+const byPath = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+/**
+ * Verzeichnisse, die angelegt bzw. (durch cleanupEmptyDirs) entfernt werden.
+ * Grundlage sind die Dateilisten: Verzeichnisse ohne Dateien kennt der Plan nicht.
+ *
+ * @param {Object} options
+ * @param {Map} options.local - lokale Dateien (Zustand nach dem Sync)
+ * @param {Map} options.remote - Remote-Dateien vor dem Sync
+ * @param {Array} options.toDelete
+ * @param {boolean} options.freshTarget - Ziel ist leer (neues Release)
+ * @param {boolean} options.cleanupEmptyDirs
+ * @param {Array} [options.kept] - Remote-Dateien, die bleiben, obwohl lokal nicht vorhanden (protect)
+ */
+export function planDirectories({ local, remote, toDelete, freshTarget, cleanupEmptyDirs, kept = [] }) {
+  const after = dirSet([...local.keys(), ...(freshTarget ? [] : kept.map((t) => t.rel))]);
+  const before = freshTarget ? new Set() : dirSet(remote.keys());
+
+  const create = [...after].filter((d) => !before.has(d)).sort(byPath);
+  const remove =
+    cleanupEmptyDirs && !freshTarget
+      ? [...dirSet(toDelete.map((t) => t.rel))]
+          .filter((d) => !after.has(d))
+          .sort(byPath)
+      : [];
+
+  return { create, remove };
+}
+
+/**
+ * Plan-Einträge (changes.add/update/delete) aus den Items von
+ * analyseDifferences / computeRemoteDeletes – auch für das Run-Journal.
+ *
+ * @param {Map<string, string>} [localHashes] - Hashes (hashAlgorithm) der hochzuladenden Dateien (für --apply-plan)
+ */
+export function planChanges({ toAdd, toUpdate, toDelete, localHashes = null }) {
+  const add = toAdd
+    .map((t) => ({
+      rel: t.rel,
+      reason: t.reason,
+      localSize: t.local.size,
+      localMtime: isoTime(t.local.mtimeMs),
+      localHash: localHashes?.get(t.rel) ?? null,
+    }))
+    .sort((a, b) => byPath(a.rel, b.rel));
+
+  const update = toUpdate
+    .map((t) => ({
+      rel: t.rel,
+      reason: t.reason,
+      localSize: t.local.size,
+      remoteSize: t.remote?.size ?? null,
+      localMtime: isoTime(t.local.mtimeMs),
+      remoteMtime: isoTime(t.remote?.modifyTime),
+      localHash: localHashes?.get(t.rel) ?? null,
+    }))
+    .sort((a, b) => byPath(a.rel, b.rel));
+
+  const del = toDelete
+    .map((t) => ({
+      rel: t.rel,
+      reason: t.reason,
+      remoteSize: t.remote?.size ?? null,
+      remoteMtime: isoTime(t.remote?.modifyTime),
+    }))
+    .sort((a, b) => byPath(a.rel, b.rel));
+
+  return { add, update, delete: del };
+}
+
+/**
+ * Baut den Plan aus dem Ergebnis von Phase 3 + 4.
+ *
+ * @param {Object} options
+ * @param {Object} options.meta - target, dryRun, localRoot, remoteRoot, compareMode, ...
+ * @param {Array} options.toAdd / toUpdate / toDelete - wie von analyseDifferences / computeRemoteDeletes
+ * @param {Map<string, string>} [options.localHashes] - Hashes (hashAlgorithm) der hochzuladenden Dateien (für --apply-plan)
+ * @param {{ create: string[], remove: string[] }} options.directories
+ */
+export function buildPlan({ meta, toAdd, toUpdate, toDelete, localHashes = null, directories }) {
+  const { add, update, delete: del } = planChanges({ toAdd, toUpdate, toDelete, localHashes });
+
+  const sum = (list, field) => list.reduce((acc, e) => acc + (e[field] ?? 0), 0);
+
+  return {
+    version: PLAN_VERSION,
+    tool: "sftp-push-sync",
+    ...meta,
+    created: new Date().toISOString(),
+    changes: { add, update, delete: del },
+    directories,
+    totals: {
+      add: add.length,
+      update: update.length,
+      delete: del.length,
+      uploadBytes: sum(add, "localSize") + sum(update, "localSize"),
+      deleteBytes: sum(del, "remoteSize"),
+      createDirs: directories.create.length,
+      removeDirs: directories.remove.length,
+    },
+  };
+}
+
+/**
+ * Schreibt den Plan als JSON-Datei (Verzeichnis wird angelegt)
+ */
+export async function writePlanFile(filePath, plan) {
+  await fsp.mkdir(path.dirname(filePath), { recursive: true });
+  await fsp.writeFile(filePath, JSON.stringify(plan, null, 2) + "\n", "utf8");
+}
+
+/**
+ * Liest einen gespeicherten Plan (--apply-plan) und prüft das Format.
+ * Wirft einen Error bei fremden/kaputten Dateien.
+ */
+export async function readPlanFile(filePath) {
+  let plan;
+  try {
+    plan = JSON.parse(await fsp.readFile(filePath, "utf8"));
+  } catch (err) {
+    throw new Error(`Cannot read plan ${filePath}: ${err?.message || err}`);
+  }
+
+  if (plan?.tool !== "sftp-push-sync") {
+    throw new Error(`${filePath} is not an sftp-push-sync plan.`);
+  }
+  if (plan.version !== PLAN_VERSION) {
+    throw new Error(`Unsupported plan version: ${plan.version}`);
+  }
+  const { add, update, delete: del } = plan.changes || {};
+  if (![add, update, del].every(Array.isArray)) {
+    throw new Error(`${filePath}: plan has no changes.add/update/delete lists.`);
+  }
+
+  return plan;
+}
+
+/**
+ * Baut aus den Plan-Einträgen (changes.add/update/delete) wieder die
+ * Items wie von analyseDifferences / computeRemoteDeletes.
+ * Wirft bei Pfaden, die aus localRoot/remoteRoot herausführen.
+ *
+ * @returns {{ toAdd: Array, toUpdate: Array, toDelete: Array }}
+ */
+export function planToChanges(changes, { localRoot, remoteRoot }) {
+  const { add = [], update = [], delete: del = [] } = changes;
+
+  // findIndex statt find: auch ein fehlendes rel (undefined) ist ungültig
+  const rels = [...add, ...update, ...del].map((e) => e?.rel);
+  const bad = rels.findIndex(
+    (rel) => typeof rel !== "string" || rel.startsWith("/") || rel.split("/").includes("..")
+  );
+  if (bad !== -1) {
+    throw new Error(`Plan contains an invalid path: ${rels[bad]}`);
+  }
+
+  const toLocal = (e) => ({
+    rel: e.rel,
+    localPath: path.join(localRoot, ...e.rel.split("/")),
+    size: e.localSize,
+    mtimeMs: Date.parse(e.localMtime) || 0,
+  });
+  const toRemote = (e) => ({
+    rel: e.rel,
+    remotePath: path.posix.join(remoteRoot, e.rel),
+    size: e.remoteSize,
+    modifyTime: Date.parse(e.remoteMtime) || 0,
+  });
+
+  return {
+    toAdd: add.map((e) => ({
+      rel: e.rel,
+      local: toLocal(e),
+      remotePath: path.posix.join(remoteRoot, e.rel),
+      reason: e.reason,
+      localHash: e.localHash,
+    })),
+    toUpdate: update.map((e) => ({
+      rel: e.rel,
+      local: toLocal(e),
+      remote: toRemote(e),
+      remotePath: path.posix.join(remoteRoot, e.rel),
+      reason: e.reason,
+      localHash: e.localHash,
+    })),
+    toDelete: del.map((e) => {
+      const remote = toRemote(e);
+      return { rel: e.rel, remote, remotePath: remote.remotePath, reason: e.reason };
+    }),
+  };
+}
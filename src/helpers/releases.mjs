@@ -0,0 +1,173 @@
+/**
+ * releases.mjs
+ *
+ * Blue/green deployment with release directories:
+ *
+ *   <remoteRoot>/releases/20261019-112233/   ← one directory per deploy
+ *   <remoteRoot>/releases/20261020-080000/
+ *   <remoteRoot>/current → releases/20261020-080000   (symlink, web server docroot)
+ *
+ * A deploy uploads into a fresh release directory, seeds unchanged files
+ * server-side from the previous release (hardlinks), and then atomically
+ * repoints the `current` symlink. Old releases are pruned, rollback
+ * repoints `current` to an older release.
+ *
+ * @author Carsten Nichte, 2025 / https://carsten-nichte.de/
+ */
+// src/helpers/releases.mjs
+import path from "path";
+import { tempPathFor, renameOver } from "./atomic-upload.mjs";
+
+export const DEPLOY_STRATEGIES = ["mirror", "releases"];
+
+const RELEASE_ID_RE = /^\d{8}-\d{6}$/;
+
+/**
+ * Liest die Deploy-Konfiguration einer Connection.
+ *
+ * "deploy": { "strategy": "releases", "keepReleases": 5,
+ *             "releasesDir": "releases", "currentLink": "current" }
+ */
+export function readDeployConfig(deployCfg = {}) {
+  const strategy = deployCfg.strategy ?? "mirror";
+  if (!DEPLOY_STRATEGIES.includes(strategy)) {
+    throw new Error(
+      `Unknown deploy.strategy '${strategy}' (allowed: ${DEPLOY_STRATEGIES.join(", ")}).`
+    );
+  }
+
+  const keepReleases = deployCfg.keepReleases ?? 5;
+  if (!Number.isInteger(keepReleases) || keepReleases < 1) {
+    throw new Error("deploy.keepReleases must be an integer >= 1.");
+  }
+
+  return {
+    strategy,
+    keepReleases,
+    releasesDir: deployCfg.releasesDir ?? "releases",
+    currentLink: deployCfg.currentLink ?? "current",
+  };
+}
+
+/**
+ * Release-ID aus Datum: YYYYMMDD-HHMMSS (UTC, sortierbar)
+ */
+export function createReleaseId(date = new Date()) {
+  return date.toISOString().replace(/[-:]/g, "").replace("T", "-").slice(0, 15);
+}
+
+export function isReleaseId(name) {
+  return RELEASE_ID_RE.test(name);
+}
+
+/**
+ * Absolute Pfade für releases/ und current
+ */
+export function releaseLayout(remoteRoot, { releasesDir, currentLink }) {
+  return {
+    releasesRoot: path.posix.join(remoteRoot, releasesDir),
+    currentPath: path.posix.join(remoteRoot, currentLink),
+    releasePath: (id) => path.posix.join(remoteRoot, releasesDir, id),
+    // relatives Link-Ziel, funktioniert auch in chroot-Umgebungen
+    linkTarget: (id) => path.posix.join(releasesDir, id),
+  };
+}
+
+/**
+ * Alle Releases, aufsteigend sortiert (ältestes zuerst)
+ */
+export async function listReleases(sftp, releasesRoot) {
+  if (!(await sftp.exists(releasesRoot))) return [];
+  const items = await sftp.list(releasesRoot);
+  return items
+    .filter((item) => item.type === "d" && isReleaseId(item.name))
+    .map((item) => item.name)
+    .sort();
+}
+
+function readlink(sftp, remotePath) {
+  return new Promise((resolve, reject) => {
+    sftp.sftp.readlink(remotePath, (err, target) =>
+      err ? reject(err) : resolve(target)
+    );
+  });
+}
+
+function symlink(sftp, targetPath, linkPath) {
+  return new Promise((resolve, reject) => {
+    sftp.sftp.symlink(targetPath, linkPath, (err) =>
+      err ? reject(err) : resolve()
+    );
+  });
+}
+
+/**
+ * Aktives Release (Ziel des current-Symlinks) oder null.
+ * Wirft, wenn `current` existiert, aber kein Symlink ist.
+ */
+export async function readCurrentRelease(sftp, currentPath) {
+  const type = await sftp.exists(currentPath);
+  if (!type) return null;
+  if (type !== "l") {
+    throw new Error(
+      `${currentPath} exists but is not a symlink – move it away before using deploy.strategy "releases".`
+    );
+  }
+  const target = await readlink(sftp, currentPath);
+  const id = path.posix.basename(target.replace(/\/+$/, ""));
+  return isReleaseId(id) ? id : null;
+}
+
+/**
+ * Setzt current atomar auf das Release (neuer Symlink unter Temp-Name + Rename)
+ */
+export async function switchCurrentRelease(sftp, layout, releaseId, renameState = {}) {
+  const tmpLink = tempPathFor(layout.currentPath);
+  await symlink(sftp, layout.linkTarget(releaseId), tmpLink);
+  try {
+    await renameOver(sftp, tmpLink, layout.currentPath, renameState);
+  } catch (err) {
+    try {
+      await sftp.delete(tmpLink);
+    } catch {
+      // ignore
+    }
+    throw err;
+  }
+}
+
+/**
+ * Serverseitiger Hardlink (hardlink@openssh.com).
+ * Wirft "does not support ..." wenn der Server die Extension nicht kennt.
+ */
+export function hardlinkFile(sftp, fromPath, toPath) {
+  return new Promise((resolve, reject) => {
+    try {
+      sftp.sftp.ext_openssh_hardlink(fromPath, toPath, (err) =>
+        err ? reject(err) : resolve()
+      );
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+/**
+ * Löscht die ältesten Releases, sodass maximal `keep` übrig bleiben.
+ * Das aktive Release wird nie gelöscht.
+ *
+ * @returns {Promise<string[]>} gelöschte Release-IDs
+ */
+export async function pruneReleases(sftp, layout, keep, currentId, log) {
+  const releases = await listReleases(sftp, layout.releasesRoot);
+  const removable = releases.filter((id) => id !== currentId);
+  const excess = releases.length - keep;
+  const toRemove = excess > 0 ? removable.slice(0, excess) : [];
+
+  for (const id of toRemove) {
+    await sftp.rmdir(layout.releasePath(id), true);
+    log?.(id);
+  }
+
+  return toRemove;
+}
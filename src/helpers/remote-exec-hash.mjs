@@ -0,0 +1,267 @@
+/**
+ * remote-exec-hash.mjs
+ *
+ * Remote-side hashing via `sha256sum` / `shasum -a 256` over an SSH exec channel.
+ * Instead of streaming every file over SFTP, the server hashes the files
+ * itself and only the hash lines are transferred. Other hashAlgorithm
+ * values use their own commands (md5sum, b3sum, xxh64sum, … – see
+ * hash-algorithm.mjs).
+ *
+ * Opt-in via "remoteHash": "exec". If the server denies exec (no shell
+ * access, restricted SFTP-only account), the hasher disables itself and the
+ * caller falls back to streaming (hashRemoteFile).
+ *
+ * @author Carsten Nichte, 2025 / https://carsten-nichte.de/
+ */
+// src/helpers/remote-exec-hash.mjs
+import {
+  DEFAULT_HASH_ALGORITHM,
+  HASH_ALGORITHMS,
+  hashData,
+} from "./hash-algorithm.mjs";
+
+export const REMOTE_HASH_MODES = ["stream", "exec"];
+
+/** Eingabe der Probe: ihr lokal berechneter Hash zeigt, ob das Kommando korrekt arbeitet */
+const PROBE_INPUT = "x";
+
+/** Max. Länge einer Kommandozeile (konservativ, ARG_MAX ist meist viel größer) */
+const MAX_COMMAND_LENGTH = 32 * 1024;
+
+/**
+ * Quoting für POSIX-Shells: 'abc' → 'abc', it's → 'it'\''s'
+ */
+export function shellQuote(value) {
+  return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Führt ein Kommando über einen SSH exec channel aus.
+ * Idle-Timeout: Abbruch, wenn für idleTimeoutMs keine Ausgabe mehr kommt.
+ *
+ * @returns {Promise<{ code: number, stdout: string, stderr: string }>}
+ */
+export function execRemote(sftp, command, idleTimeoutMs = 120000) {
+  return new Promise((resolve, reject) => {
+    const client = sftp?.client;
+    if (!client || typeof client.exec !== "function") {
+      reject(new Error("No SSH client available for exec"));
+      return;
+    }
+
+    client.exec(command, (err, stream) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      let stdout = "";
+      let stderr = "";
+      let timer = null;
+
+      const resetTimer = () => {
+        if (timer) clearTimeout(timer);
+        timer = setTimeout(() => {
+          stream.close();
+          reject(
+            new Error(`Idle timeout (${Math.round(idleTimeoutMs / 1000)}s no output) for remote exec`)
+          );
+        }, idleTimeoutMs);
+      };
+      resetTimer();
+
+      stream.on("data", (chunk) => {
+        stdout += chunk.toString("utf8");
+        resetTimer();
+      });
+      stream.stderr.on("data", (chunk) => {
+        stderr += chunk.toString("utf8");
+        resetTimer();
+      });
+      stream.on("close", (code) => {
+        if (timer) clearTimeout(timer);
+        resolve({ code: code ?? 0, stdout, stderr });
+      });
+      stream.on("error", (streamErr) => {
+        if (timer) clearTimeout(timer);
+        reject(streamErr);
+      });
+    });
+  });
+}
+
+/**
+ * Parst die Ausgabe von sha256sum / shasum (und md5sum, b3sum, … im selben Format).
+ *
+ * Format: "<hash>  <path>" oder "<hash> *<path>" (binary mode).
+ * Pfade mit "\" oder Zeilenumbruch werden escaped, die Zeile beginnt dann mit "\".
+ *
+ * @returns {Map<string, string>} remotePath → hash
+ */
+export function parseHashOutput(output) {
+  const result = new Map();
+
+  for (const rawLine of output.split("\n")) {
+    if (!rawLine) continue;
+
+    let line = rawLine;
+    const escaped = line.startsWith("\\");
+    if (escaped) line = line.slice(1);
+
+    const match = /^([0-9a-fA-F]+) [ *](.*)$/.exec(line);
+    if (!match) continue;
+
+    let filePath = match[2];
+    if (escaped) {
+      filePath = filePath.replace(/\\(\\|n|r)/g, (_, c) =>
+        c === "n" ? "\n" : c === "r" ? "\r" : "\\"
+      );
+    }
+    result.set(filePath, match[1].toLowerCase());
+  }
+
+  return result;
+}
+
+/**
+ * Teilt Pfade in Batches, begrenzt durch Anzahl UND Länge der Kommandozeile.
+ */
+function toBatches(command, remotePaths, batchSize) {
+  const batches = [];
+  let current = [];
+  let length = command.length;
+
+  for (const p of remotePaths) {
+    const quoted = shellQuote(p);
+    if (
+      current.length > 0 &&
+      (current.length >= batchSize || length + quoted.length + 1 > MAX_COMMAND_LENGTH)
+    ) {
+      batches.push(current);
+      current = [];
+      length = command.length;
+    }
+    current.push(p);
+    length += quoted.length + 1;
+  }
+  if (current.length > 0) batches.push(current);
+
+  return batches;
+}
+
+/**
+ * Erzeugt einen Remote-Hasher.
+ *
+ * @param {Object} options
+ * @param {Object} options.sftp - ssh2-sftp-client Instanz
+ * @param {number} options.batchSize - Dateien pro exec-Aufruf (default: 100)
+ * @param {Function} options.log - optionales Logging (Erkennung, Fallback)
+ * @param {string} options.algorithm - Hash-Algorithmus (default: sha256)
+ * @returns {Object} { hashFiles(remotePaths, onProgress), hashPrefix(remotePath, length), isAvailable(), getCommand() }
+ */
+export function createRemoteExecHasher({ sftp, batchSize = 100, log, algorithm = DEFAULT_HASH_ALGORITHM }) {
+  const candidates = HASH_ALGORITHMS[algorithm]?.commands ?? [];
+  let command = null;
+  let detected = false;
+  let disabled = false;
+
+  /**
+   * Ermittelt das erste funktionierende Hash-Kommando auf dem Server.
+   */
+  async function detect() {
+    if (detected) return command;
+    detected = true;
+
+    const probeHash = await hashData(PROBE_INPUT, algorithm);
+    for (const candidate of candidates) {
+      try {
+        const { code, stdout } = await execRemote(
+          sftp,
+          `printf ${PROBE_INPUT} | ${candidate}`,
+          30000
+        );
+        if (code === 0 && stdout.startsWith(probeHash)) {
+          command = candidate;
+          log?.(`Remote hashing via exec: ${candidate}`);
+          return command;
+        }
+      } catch (err) {
+        // exec verweigert (z.B. SFTP-only Account) → keine weiteren Versuche
+        disabled = true;
+        log?.(`Remote exec not available (${err?.message || err}) – falling back to streaming.`);
+        return null;
+      }
+    }
+
+    disabled = true;
+    log?.(`No ${candidates.join("/")} on the server – falling back to streaming.`);
+    return null;
+  }
+
+  /**
+   * Hasht die Dateien serverseitig.
+   * Dateien ohne Ergebnis (fehlend, keine Rechte, exec-Fehler) fehlen in der Map,
+   * der Aufrufer nutzt für diese den Streaming-Pfad.
+   *
+   * @param {string[]} remotePaths
+   * @param {Function} onProgress - optional (done, total, lastPath) nach jedem Batch
+   * @returns {Promise<Map<string, string>>} remotePath → hash
+   */
+  async function hashFiles(remotePaths, onProgress) {
+    const hashes = new Map();
+    if (disabled || remotePaths.length === 0) return hashes;
+
+    const cmd = await detect();
+    if (!cmd) return hashes;
+
+    let done = 0;
+    for (const batch of toBatches(cmd, remotePaths, batchSize)) {
+      const line = `${cmd} -- ${batch.map(shellQuote).join(" ")}`;
+      try {
+        // Exit-Code != 0 bei einzelnen fehlenden Dateien → trotzdem stdout auswerten
+        const { stdout } = await execRemote(sftp, line);
+        for (const [p, h] of parseHashOutput(stdout)) {
+          hashes.set(p, h);
+        }
+      } catch (err) {
+        log?.(`Remote exec hashing failed for a batch of ${batch.length} files: ${err?.message || err}`);
+      }
+      done += batch.length;
+      onProgress?.(done, remotePaths.length, batch[batch.length - 1]);
+    }
+
+    return hashes;
+  }
+
+  /**
+   * Hash der ersten `length` Bytes einer Datei (head -c | sha256sum),
+   * z.B. zur Prüfung eines teilweise hochgeladenen Files.
+   *
+   * @returns {Promise<string|null>} null, wenn exec nicht verfügbar ist oder fehlschlägt
+   */
+  async function hashPrefix(remotePath, length) {
+    if (disabled) return null;
+
+    const cmd = await detect();
+    if (!cmd) return null;
+
+    try {
+      const { code, stdout } = await execRemote(
+        sftp,
+        `head -c ${Number(length)} -- ${shellQuote(remotePath)} | ${cmd}`
+      );
+      const match = /^([0-9a-fA-F]+) /.exec(stdout);
+      return code === 0 && match ? match[1].toLowerCase() : null;
+    } catch (err) {
+      log?.(`Remote prefix hashing failed for ${remotePath}: ${err?.message || err}`);
+      return null;
+    }
+  }
+
+  return {
+    hashFiles,
+    hashPrefix,
+    isAvailable: () => !disabled,
+    getCommand: () => command,
+  };
+}
@@ -0,0 +1,161 @@
+/**
+ * resumable-upload.mjs
+ *
+ * Resumable uploads for large files. The file is written to a partial file
+ * next to the target (see partPathFor). If the connection drops, the next
+ * attempt - in the same run or in the next one - continues at the size of
+ * the partial file instead of starting at byte 0.
+ *
+ * Before resuming, the already uploaded prefix is checked:
+ *  - with a remote exec hasher: hash of the whole prefix on the server
+ *    (hashAlgorithm, default SHA-256)
+ *  - otherwise: the last MB before the resume offset is compared byte by byte
+ * If the check fails, the upload starts over.
+ *
+ * @author Carsten Nichte, 2025 / https://carsten-nichte.de/
+ */
+// src/helpers/resumable-upload.mjs
+import fs from "fs";
+import fsp from "fs/promises";
+import { throttledReadStream } from "./bandwidth.mjs";
+import { createHasher, DEFAULT_HASH_ALGORITHM } from "./hash-algorithm.mjs";
+
+/** Anzahl Bytes vor dem Offset, die ohne exec verglichen werden */
+export const TAIL_CHECK_BYTES = 1024 * 1024;
+
+/**
+ * Hash der ersten `length` Bytes einer lokalen Datei
+ */
+async function hashLocalPrefix(localPath, length, algorithm) {
+  const hash = await createHasher(algorithm);
+  return new Promise((resolve, reject) => {
+    const stream = fs.createReadStream(localPath, { start: 0, end: length - 1 });
+    stream.on("error", reject);
+    stream.on("data", (chunk) => hash.update(chunk));
+    stream.on("end", () => resolve(hash.digest()));
+  });
+}
+
+async function readLocalRange(localPath, start, length) {
+  const handle = await fsp.open(localPath, "r");
+  try {
+    const buf = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buf, 0, length, start);
+    return buf.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+function readRemoteRange(sftp, remotePath, start, length) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const stream = sftp.createReadStream(remotePath, {
+      start,
+      end: start + length - 1,
+    });
+    stream.on("error", reject);
+    stream.on("data", (chunk) => chunks.push(chunk));
+    stream.on("end", () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+/**
+ * Prüft, ob der Anfang des Partial-Files zur lokalen Datei passt.
+ *
+ * @param {Function|null} hashPrefix - (remotePath, length) → hash | null
+ * @param {string} hashAlgorithm - algorithm of hashPrefix (default: sha256)
+ * @returns {Promise<{ ok: boolean, method: string }>} method: the algorithm or "tail"
+ */
+export async function verifyPartialUpload({
+  sftp,
+  localPath,
+  partPath,
+  offset,
+  hashPrefix,
+  hashAlgorithm = DEFAULT_HASH_ALGORITHM,
+}) {
+  if (hashPrefix) {
+    const remoteHash = await hashPrefix(partPath, offset);
+    if (remoteHash) {
+      const localHash = await hashLocalPrefix(localPath, offset, hashAlgorithm);
+      return { ok: remoteHash === localHash, method: hashAlgorithm };
+    }
+  }
+
+  const length = Math.min(offset, TAIL_CHECK_BYTES);
+  const start = offset - length;
+  const [remoteBuf, localBuf] = await Promise.all([
+    readRemoteRange(sftp, partPath, start, length),
+    readLocalRange(localPath, start, length),
+  ]);
+  return { ok: remoteBuf.length === length && remoteBuf.equals(localBuf), method: "tail" };
+}
+
+/**
+ * Lädt localPath nach partPath hoch und setzt ein vorhandenes Partial-File fort.
+ * Das Umbenennen auf das Ziel übernimmt der Aufrufer.
+ *
+ * @param {Object} options
+ * @param {Object} options.sftp - ssh2-sftp-client Instanz
+ * @param {string} options.localPath
+ * @param {string} options.partPath - Partial-File auf dem Server
+ * @param {number} options.size - Größe der lokalen Datei
+ * @param {Function} options.hashPrefix - optional, serverseitiger Prefix-Hash
+ * @param {string} options.hashAlgorithm - Algorithmus von hashPrefix (default: sha256)
+ * @param {Object} options.bandwidth - optional Token-Bucket (bandwidth.mjs)
+ * @param {Function} options.onResume - optional (offset, ok, method) nach der Prüfung
+ * @param {Function} options.onProgress - optional (transferred, total), inkl. fortgesetzter Bytes
+ * @returns {Promise<{ resumedFrom: number }>}
+ */
+export async function uploadResumable({
+  sftp,
+  localPath,
+  partPath,
+  size,
+  hashPrefix = null,
+  hashAlgorithm = DEFAULT_HASH_ALGORITHM,
+  bandwidth = null,
+  onResume,
+  onProgress,
+}) {
+  let offset = 0;
+  if ((await sftp.exists(partPath)) === "-") {
+    offset = (await sftp.stat(partPath)).size;
+  }
+  if (offset > size) offset = 0;
+
+  if (offset > 0) {
+    const { ok, method } = await verifyPartialUpload({
+      sftp,
+      localPath,
+      partPath,
+      offset,
+      hashPrefix,
+      hashAlgorithm,
+    });
+    onResume?.(offset, ok, method);
+    if (!ok) offset = 0;
+  }
+
+  // Bereits vollständig übertragen (Abbruch vor dem Rename)
+  if (offset === size) {
+    onProgress?.(size, size);
+    return { resumedFrom: offset };
+  }
+
+  let transferred = offset;
+  const reader = bandwidth
+    ? throttledReadStream(localPath, bandwidth, { start: offset })
+    : fs.createReadStream(localPath, { start: offset });
+  reader.on("data", (chunk) => {
+    transferred += chunk.length;
+    onProgress?.(transferred, size);
+  });
+
+  await sftp.put(reader, partPath, {
+    writeStreamOptions: { flags: offset > 0 ? "r+" : "w", start: offset },
+  });
+
+  return { resumedFrom: offset };
+}
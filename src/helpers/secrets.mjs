@@ -0,0 +1,118 @@
+/**
+ * secrets.mjs
+ *
+ * Resolves secret references in a connection profile, so that
+ * sync.config.json does not need to contain plaintext credentials.
+ *
+ * Instead of a plain string, a secret field can hold a reference:
+ *   { "env": "PROD_SFTP_PW" }                - environment variable
+ *   { "file": "~/.secrets/prod" }            - file content (trailing newline removed)
+ *   { "command": "pass show deploy/prod" }   - stdout of a shell command
+ *
+ * @author Carsten Nichte, 2025 / https://carsten-nichte.de/
+ */
+// src/helpers/secrets.mjs
+import fsp from "fs/promises";
+import { exec } from "child_process";
+import { expandHome } from "./directory.mjs";
+
+/** Felder eines Connection-Profils, die Referenzen enthalten dürfen */
+export const SECRET_FIELDS = [
+  "host",
+  "user",
+  "password",
+  "passphrase",
+  "privateKey",
+  "hostKey",
+];
+
+const SECRET_SOURCES = ["env", "file", "command"];
+
+/** Timeout für credential commands (ms) */
+const COMMAND_TIMEOUT = 30000;
+
+function stripTrailingNewline(text) {
+  return text.replace(/\r?\n$/, "");
+}
+
+function runCommand(command) {
+  return new Promise((resolve, reject) => {
+    exec(
+      command,
+      { timeout: COMMAND_TIMEOUT, windowsHide: true },
+      (err, stdout, stderr) => {
+        if (err) {
+          const detail = (stderr || "").trim() || err.message.trim();
+          reject(new Error(detail));
+          return;
+        }
+        resolve(stdout);
+      }
+    );
+  });
+}
+
+/**
+ * Prüft, ob ein Wert eine Secret-Referenz ist ({ env } / { file } / { command })
+ */
+export function isSecretReference(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return false;
+  const keys = Object.keys(value);
+  return keys.length === 1 && SECRET_SOURCES.includes(keys[0]);
+}
+
+/**
+ * Löst einen einzelnen Wert auf. Nicht-Referenzen werden unverändert zurückgegeben.
+ *
+ * @param {*} value - String oder { env } / { file } / { command }
+ * @param {string} fieldName - Name des Feldes (nur für Fehlermeldungen)
+ */
+export async function resolveSecret(value, fieldName) {
+  if (value && typeof value === "object" && !Array.isArray(value) && !isSecretReference(value)) {
+    throw new Error(
+      `${fieldName}: invalid secret reference – use exactly one of ${SECRET_SOURCES.map((s) => `{ "${s}": … }`).join(", ")}.`
+    );
+  }
+  if (!isSecretReference(value)) return value;
+
+  if (value.env !== undefined) {
+    const resolved = process.env[value.env];
+    if (resolved === undefined) {
+      throw new Error(`${fieldName}: environment variable '${value.env}' is not set.`);
+    }
+    return resolved;
+  }
+
+  if (value.file !== undefined) {
+    const filePath = expandHome(value.file);
+    try {
+      return stripTrailingNewline(await fsp.readFile(filePath, "utf8"));
+    } catch (err) {
+      throw new Error(`${fieldName}: cannot read secret file '${filePath}': ${err?.message || err}`);
+    }
+  }
+
+  try {
+    return stripTrailingNewline(await runCommand(value.command));
+  } catch (err) {
+    // Kommando nennen, aber niemals dessen Ausgabe
+    throw new Error(`${fieldName}: credentials command '${value.command}' failed: ${err?.message || err}`);
+  }
+}
+
+/**
+ * Löst alle Secret-Felder eines Connection-Profils auf.
+ * Liefert eine Kopie, das Original bleibt unverändert.
+ *
+ * @param {Object} targetConfig - Connection-Eintrag aus sync.config.json
+ */
+export async function resolveConnectionSecrets(targetConfig) {
+  const resolved = { ...targetConfig };
+
+  for (const field of SECRET_FIELDS) {
+    if (resolved[field] === undefined) continue;
+    resolved[field] = await resolveSecret(resolved[field], field);
+  }
+
+  return resolved;
+}
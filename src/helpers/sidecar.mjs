@@ -9,6 +9,7 @@ import fs from "fs";
 import fsp from "fs/promises";
 import path from "path";
 import { walkLocalPlain, walkRemotePlain } from "./walkers.mjs";
+import { limitedPut, limitedGet } from "./bandwidth.mjs";
 
 /** minimales Pattern-Matching à la minimatch (einfach: exakte Strings oder simple "*" am Ende) */
 function matchesAny(patterns, relPath) {
@@ -84,9 +85,11 @@ export async function collectDownloadTargets({
  *  - connection: { sidecarLocalRoot, sidecarRemoteRoot, workers }
  *  - uploadList, downloadList: String-Arrays
  *  - options: { dryRun, runUploadList, runDownloadList }
- *  - runTasks: Workerpool-Funktion (items, workerCount, handler, label)
+ *  - runTasks: Workerpool-Funktion (items, workerCount, handler, label),
+ *              handler(item, session) bekommt die SFTP-Session des Workers
  *  - log, vlog, elog: Logging-Funktionen
  *  - symbols: { ADD, CHA, tab_a } → damit du deine bestehenden Symbole weiter nutzen kannst
+ *  - bandwidth: optionaler Token-Bucket (bandwidth.mjs) für das Bandbreitenlimit
  */
 export async function performBypassOnly({
   sftp,
@@ -99,6 +102,7 @@ export async function performBypassOnly({
   vlog,
   elog,
   symbols,
+  bandwidth = null,
 }) {
   const { dryRun, runUploadList, runDownloadList } = options;
   const { sidecarLocalRoot, sidecarRemoteRoot, workers } = connection;
@@ -130,14 +134,14 @@ export async function performBypassOnly({
       await runTasks(
         targets,
         workers,
-        async ({ localPath, remotePath, rel }) => {
+        async ({ localPath, remotePath, rel }, session = sftp) => {
           const remoteDir = path.posix.dirname(remotePath);
           try {
-            await sftp.mkdir(remoteDir, true);
+            await session.mkdir(remoteDir, true);
           } catch {
             // Directory may already exist
           }
-          await sftp.put(localPath, remotePath);
+          await limitedPut(session, localPath, remotePath, bandwidth);
           vlog && vlog(`${tab_a}${ADD} Uploaded (bypass): ${rel}`);
         },
         "Bypass Uploads"
@@ -165,10 +169,10 @@ export async function performBypassOnly({
       await runTasks(
         targets,
         workers,
-        async ({ remotePath, localPath, rel }) => {
+        async ({ remotePath, localPath, rel }, session = sftp) => {
           const localDir = path.dirname(localPath);
           await fsp.mkdir(localDir, { recursive: true });
-          await sftp.get(remotePath, localPath);
+          await limitedGet(session, remotePath, localPath, bandwidth);
           vlog && vlog(`${tab_a}${CHA} Downloaded (bypass): ${rel}`);
         },
         "Bypass Downloads"
@@ -0,0 +1,94 @@
+/**
+ * text-diff.mjs
+ *
+ * Unified diffs of changed text files (--show-diff, config: showDiff).
+ * The remote file is the old side, the local file the new one:
+ *
+ *   --- a/index.html	remote
+ *   +++ b/index.html	local
+ *   @@ -3,7 +3,7 @@
+ *
+ * On the console each file is cut after maxLines lines, the patch file
+ * (patchFile) holds the complete diffs and can be applied with
+ * `git apply` / `patch -p1` to a copy of the remote tree.
+ *
+ * @author Carsten Nichte, 2025 / https://carsten-nichte.de/
+ */
+// src/helpers/text-diff.mjs
+import { structuredPatch, formatPatch } from "diff";
+import pc from "picocolors";
+
+export const DEFAULT_DIFF_MAX_LINES = 200;
+
+/** Größere Dateien bekommen keinen Diff (Laufzeit, Lesbarkeit) */
+export const MAX_DIFF_BYTES = 1024 * 1024;
+
+/**
+ * Normalisiert die Config (Connection > global):
+ *
+ *   true | "glob" | ["glob", …] | { files, maxLines, patchFile }
+ *
+ * @returns {{ files: string[], maxLines: number, patchFile: string|null } | null} null = aus
+ */
+export function resolveShowDiff(value) {
+  if (value === undefined || value === null || value === false) return null;
+
+  const options =
+    value === true
+      ? {}
+      : typeof value === "string" || Array.isArray(value)
+        ? { files: value }
+        : value;
+
+  if (typeof options !== "object") {
+    throw new Error(`showDiff must be true, a glob, a list of globs or an object (got ${JSON.stringify(value)}).`);
+  }
+
+  const files = options.files === undefined ? [] : [].concat(options.files);
+  if (files.some((f) => typeof f !== "string" || !f)) {
+    throw new Error("showDiff.files must be a glob or a list of globs.");
+  }
+
+  const maxLines = options.maxLines ?? DEFAULT_DIFF_MAX_LINES;
+  if (!Number.isInteger(maxLines) || maxLines < 1) {
+    throw new Error(`showDiff.maxLines must be a positive integer (got ${JSON.stringify(maxLines)}).`);
+  }
+
+  return { files, maxLines, patchFile: options.patchFile ?? null };
+}
+
+/**
+ * Unified Diff remote → lokal, null wenn der Text gleich ist
+ * (z.B. --size-and-mtime: nur die Änderungszeit ist neuer)
+ */
+export function createTextPatch(rel, remoteText, localText) {
+  if (remoteText === localText) return null;
+  const patch = structuredPatch(`a/${rel}`, `b/${rel}`, remoteText, localText, "remote", "local");
+  return patch.hunks.length > 0 ? formatPatch(patch) : null;
+}
+
+function colorLine(line) {
+  if (line.startsWith("+++") || line.startsWith("---")) return pc.bold(line);
+  if (line.startsWith("@@")) return pc.cyan(line);
+  if (line.startsWith("+")) return pc.green(line);
+  if (line.startsWith("-")) return pc.red(line);
+  if (line.startsWith("\\")) return pc.dim(line);
+  return line;
+}
+
+/**
+ * Farbige Zeilen für die Konsole, höchstens maxLines Diff-Zeilen
+ * (ohne die "====="-Trennlinie von jsdiff)
+ */
+export function formatPatchLines(patch, maxLines = DEFAULT_DIFF_MAX_LINES) {
+  const lines = patch
+    .replace(/\n$/, "")
+    .split("\n")
+    .filter((line) => !/^=+$/.test(line));
+
+  const shown = lines.slice(0, maxLines).map(colorLine);
+  if (lines.length > maxLines) {
+    shown.push(pc.dim(`… ${lines.length - maxLines} more lines (showDiff.maxLines: ${maxLines})`));
+  }
+  return shown;
+}
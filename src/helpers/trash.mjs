@@ -0,0 +1,171 @@
+/**
+ * trash.mjs
+ *
+ * Remote trash (soft delete): instead of deleting or overwriting remote
+ * files, the old versions are moved into a folder per run:
+ *
+ *   <trash>/20261019-112233/
+ *     .trash-run.json          ← which files were added / updated / deleted
+ *     css/site.css             ← old version (update)
+ *     downloads/old.zip        ← orphaned file (delete)
+ *
+ * `--restore <run-id>` moves them back. Old runs are purged by count
+ * (keepRuns) and age (maxAgeDays).
+ *
+ * @author Carsten Nichte, 2025 / https://carsten-nichte.de/
+ */
+// src/helpers/trash.mjs
+import path from "path";
+import { createReleaseId as createRunId, isReleaseId as isRunId } from "./releases.mjs";
+
+export { createRunId };
+
+export const TRASH_INFO_NAME = ".trash-run.json";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Aufbewahrung: keepRuns (Anzahl) + maxAgeDays (null = unbegrenzt)
+ *
+ * @param {string} label - Config-Schlüssel für Fehlermeldungen
+ */
+export function readRetention(cfg, label) {
+  const keepRuns = cfg.keepRuns ?? 10;
+  if (!Number.isInteger(keepRuns) || keepRuns < 1) {
+    throw new Error(`${label}.keepRuns must be an integer >= 1.`);
+  }
+
+  const maxAgeDays = cfg.maxAgeDays === undefined ? 30 : cfg.maxAgeDays;
+  if (maxAgeDays !== null && (typeof maxAgeDays !== "number" || maxAgeDays <= 0)) {
+    throw new Error(`${label}.maxAgeDays must be a number > 0 (or null).`);
+  }
+
+  return { keepRuns, maxAgeDays };
+}
+
+/**
+ * Liest die Trash-Konfiguration einer Connection.
+ *
+ * "remoteTrash": true
+ * "remoteTrash": { "path": ".sftp-trash", "keepRuns": 10, "maxAgeDays": 30 }
+ *
+ * Relativer path → unterhalb von remoteRoot (wird beim Sync ausgeblendet),
+ * absoluter path → z.B. außerhalb der Document Root.
+ *
+ * @returns {null | { root, rel, keepRuns, maxAgeDays }} rel: Pfad relativ zu remoteRoot oder null
+ */
+export function readTrashConfig(trashCfg, remoteRoot, label = "remoteTrash") {
+  if (!trashCfg) return null;
+  const cfg = trashCfg === true ? {} : trashCfg;
+  if (typeof cfg !== "object") {
+    throw new Error(`${label} must be true or an object.`);
+  }
+
+  const trashPath = cfg.path ?? ".sftp-trash";
+  if (typeof trashPath !== "string" || !trashPath.trim()) {
+    throw new Error(`${label}.path must be a non-empty string.`);
+  }
+
+  const { keepRuns, maxAgeDays } = readRetention(cfg, label);
+
+  const root = path.posix.isAbsolute(trashPath)
+    ? path.posix.normalize(trashPath)
+    : path.posix.join(remoteRoot, trashPath);
+  const rel = path.posix.relative(remoteRoot, root);
+  if (rel === "") {
+    throw new Error(`${label}.path must not be the remoteRoot itself.`);
+  }
+
+  return {
+    root,
+    // nur gesetzt, wenn der Trash innerhalb von remoteRoot liegt
+    rel: rel.startsWith("..") ? null : rel,
+    keepRuns,
+    maxAgeDays,
+  };
+}
+
+/**
+ * Liegt relPath (relativ zu remoteRoot) im Trash?
+ */
+export function isTrashPath(trash, relPath) {
+  if (!trash?.rel) return false;
+  return relPath === trash.rel || relPath.startsWith(`${trash.rel}/`);
+}
+
+export function trashRunPath(trash, runId) {
+  return path.posix.join(trash.root, runId);
+}
+
+/**
+ * Alle Trash-Runs, aufsteigend sortiert (ältester zuerst)
+ */
+export async function listTrashRuns(sftp, trash) {
+  if (!(await sftp.exists(trash.root))) return [];
+  const items = await sftp.list(trash.root);
+  return items
+    .filter((item) => item.type === "d" && isRunId(item.name))
+    .map((item) => item.name)
+    .sort();
+}
+
+/**
+ * Run-ID (YYYYMMDD-HHMMSS, UTC) → Zeitpunkt in ms
+ */
+export function runIdTime(runId) {
+  const m = /^(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})$/.exec(runId);
+  if (!m) return NaN;
+  const [, y, mo, d, h, mi, s] = m.map(Number);
+  return Date.UTC(y, mo - 1, d, h, mi, s);
+}
+
+/**
+ * Runs, die gelöscht werden: mehr als keepRuns oder älter als maxAgeDays.
+ *
+ * @param {string[]} runs - aufsteigend sortiert
+ */
+export function selectExpiredRuns(runs, { keepRuns, maxAgeDays }, now = Date.now()) {
+  const excess = Math.max(0, runs.length - keepRuns);
+  return runs.filter((id, index) => {
+    if (index < excess) return true;
+    return maxAgeDays !== null && now - runIdTime(id) > maxAgeDays * DAY_MS;
+  });
+}
+
+/**
+ * Löscht abgelaufene Runs (außer `keep`, z.B. dem aktuellen Run).
+ *
+ * @returns {Promise<string[]>} gelöschte Run-IDs
+ */
+export async function purgeTrash(sftp, trash, { keep = [], log } = {}) {
+  const runs = await listTrashRuns(sftp, trash);
+  const expired = selectExpiredRuns(runs, trash).filter((id) => !keep.includes(id));
+
+  for (const id of expired) {
+    await sftp.rmdir(trashRunPath(trash, id), true);
+    log?.(id);
+  }
+  return expired;
+}
+
+/**
+ * Schreibt die Run-Info (welche Dateien der Run hinzugefügt / ersetzt / gelöscht hat)
+ */
+export async function writeTrashRunInfo(sftp, trash, runId, info) {
+  const content = JSON.stringify({ id: runId, ...info }, null, 2) + "\n";
+  await sftp.mkdir(trashRunPath(trash, runId), true);
+  await sftp.put(
+    Buffer.from(content, "utf8"),
+    path.posix.join(trashRunPath(trash, runId), TRASH_INFO_NAME)
+  );
+}
+
+/**
+ * Liest die Run-Info oder null (z.B. bei abgebrochenem Lauf)
+ */
+export async function readTrashRunInfo(sftp, trash, runId) {
+  const infoPath = path.posix.join(trashRunPath(trash, runId), TRASH_INFO_NAME);
+  if (!(await sftp.exists(infoPath))) return null;
+  const buf = await sftp.get(infoPath);
+  return JSON.parse((Buffer.isBuffer(buf) ? buf : Buffer.from(buf)).toString("utf8"));
+}
@@ -0,0 +1,107 @@
+/**
+ * file-lock.test.mjs
+ *
+ * Lock files of the cache: held, released, taken over when stale and
+ * never taken over when unreadable.
+ *
+ * @author Carsten Nichte, 2025 / https://carsten-nichte.de/
+ */
+// test/file-lock.test.mjs
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { acquireFileLock } from "../src/helpers/file-lock.mjs";
+
+let dir;
+let filePath;
+let lockPath;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "file-lock-"));
+  filePath = path.join(dir, ".sync-cache.test.ndjson");
+  lockPath = `${filePath}.lock`;
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function writeLock(holder) {
+  fs.writeFileSync(lockPath, JSON.stringify({ since: "2025-06-01T10:00:00.000Z", ...holder }) + "\n");
+}
+
+/** pid eines beendeten Prozesses */
+function deadPid() {
+  return spawnSync(process.execPath, ["-e", ""]).pid;
+}
+
+test("acquire writes the lock file, release removes it", () => {
+  const lock = acquireFileLock(filePath);
+  assert.equal(lock.path, lockPath);
+
+  const holder = JSON.parse(fs.readFileSync(lockPath, "utf8"));
+  assert.equal(holder.pid, process.pid);
+  assert.equal(holder.host, os.hostname());
+
+  lock.release();
+  assert.equal(fs.existsSync(lockPath), false);
+});
+
+test("a second acquire fails while the lock is held", () => {
+  const lock = acquireFileLock(filePath);
+  try {
+    assert.throws(() => acquireFileLock(filePath), /is locked by another run/);
+  } finally {
+    lock.release();
+  }
+});
+
+test("a stale lock of a dead process on this host is taken over", () => {
+  writeLock({ pid: deadPid(), host: os.hostname() });
+
+  const lock = acquireFileLock(filePath);
+  try {
+    assert.equal(JSON.parse(fs.readFileSync(lockPath, "utf8")).pid, process.pid);
+    // keine umbenannten oder temporären Lock-Dateien übrig
+    assert.deepEqual(fs.readdirSync(dir), [path.basename(lockPath)]);
+  } finally {
+    lock.release();
+  }
+});
+
+test("an unreadable lock file counts as held", () => {
+  fs.writeFileSync(lockPath, "{");
+  assert.throws(() => acquireFileLock(filePath), /is locked \(unreadable lock file\)/);
+  assert.equal(fs.readFileSync(lockPath, "utf8"), "{");
+
+  // leer: evtl. gerade erst angelegt
+  fs.writeFileSync(lockPath, "");
+  assert.throws(() => acquireFileLock(filePath), /is locked/);
+  assert.equal(fs.existsSync(lockPath), true);
+});
+
+test("a lock of another host is never taken over", () => {
+  writeLock({ pid: deadPid(), host: `${os.hostname()}-other` });
+
+  assert.throws(() => acquireFileLock(filePath), /is locked by another run/);
+  assert.equal(fs.existsSync(lockPath), true);
+});
+
+test("release leaves a lock that another process took over", () => {
+  const lock = acquireFileLock(filePath);
+  writeLock({ pid: deadPid(), host: os.hostname() });
+
+  lock.release();
+  assert.equal(fs.existsSync(lockPath), true);
+});
+
+test("release leaves a lock with the same pid on another host", () => {
+  const lock = acquireFileLock(filePath);
+  writeLock({ pid: process.pid, host: `${os.hostname()}-other` });
+
+  lock.release();
+  assert.equal(fs.existsSync(lockPath), true);
+});
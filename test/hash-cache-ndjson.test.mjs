@@ -0,0 +1,172 @@
+/**
+ * hash-cache-ndjson.test.mjs
+ *
+ * The NDJSON cache as an append log: replay, append on save(), tombstones,
+ * truncated last line, compaction on close() and the run lock.
+ *
+ * @author Carsten Nichte, 2025 / https://carsten-nichte.de/
+ */
+// test/hash-cache-ndjson.test.mjs
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createHashCacheNDJSON } from "../src/helpers/hash-cache-ndjson.mjs";
+
+let dir;
+let cachePath;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "hash-cache-ndjson-"));
+  cachePath = path.join(dir, ".sync-cache.test.ndjson");
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function openCache() {
+  return createHashCacheNDJSON({ cachePath, localRoot: dir, namespace: "test" });
+}
+
+/** Zeilen der Datei, nur die Felder, um die es hier geht */
+function readLines() {
+  return fs
+    .readFileSync(cachePath, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((l) => {
+      const { t, p, h, d } = JSON.parse(l);
+      return d ? { t, p, d } : { t, p, h };
+    });
+}
+
+function remoteLine(p, h, s = 10, m = 1000) {
+  return JSON.stringify({ t: "r", p, s, m, h }) + "\n";
+}
+
+const meta = { size: 10, modifyTime: 1000 };
+
+test("replays lines in order: later lines override, tombstones remove", async () => {
+  fs.writeFileSync(
+    cachePath,
+    remoteLine("a.html", "old") +
+      remoteLine("b.css", "b1") +
+      remoteLine("a.html", "new") +
+      JSON.stringify({ t: "r", p: "b.css", d: 1 }) +
+      "\n"
+  );
+
+  const cache = await openCache();
+  try {
+    assert.equal(cache.peekRemoteHash("a.html", meta), "new");
+    assert.equal(cache.peekRemoteHash("b.css", meta), null);
+    assert.equal((await cache.getStats()).remoteEntries, 1);
+  } finally {
+    await cache.close();
+  }
+});
+
+test("save() appends changed entries and tombstones instead of rewriting", async () => {
+  const cache = await openCache();
+  try {
+    await cache.setRemoteHash("a.html", meta, "h1");
+    await cache.setRemoteHash("b.css", meta, "h2");
+    await cache.save();
+    assert.equal(readLines().length, 2);
+
+    await cache.setRemoteHash("a.html", meta, "h3");
+    await cache.cleanup(new Set(), new Set(["a.html"]));
+    await cache.save();
+
+    assert.deepEqual(readLines(), [
+      { t: "r", p: "a.html", h: "h1" },
+      { t: "r", p: "b.css", h: "h2" },
+      { t: "r", p: "a.html", h: "h3" },
+      { t: "r", p: "b.css", d: 1 },
+    ]);
+  } finally {
+    await cache.close();
+  }
+});
+
+test("close() compacts the file to one line per entry", async () => {
+  const cache = await openCache();
+  await cache.setRemoteHash("a.html", meta, "h1");
+  await cache.setRemoteHash("b.css", meta, "h2");
+  await cache.save();
+  await cache.setRemoteHash("a.html", meta, "h3");
+  await cache.cleanup(new Set(), new Set(["a.html"]));
+  await cache.save();
+  await cache.close();
+
+  assert.deepEqual(readLines(), [{ t: "r", p: "a.html", h: "h3" }]);
+
+  const reopened = await openCache();
+  try {
+    assert.equal(reopened.peekRemoteHash("a.html", meta), "h3");
+  } finally {
+    await reopened.close();
+  }
+});
+
+test("close() does not write unsaved changes", async () => {
+  const cache = await openCache();
+  await cache.setRemoteHash("a.html", meta, "h1");
+  await cache.save();
+  await cache.setRemoteHash("a.html", meta, "h2");
+  await cache.close();
+
+  assert.deepEqual(readLines(), [{ t: "r", p: "a.html", h: "h1" }]);
+});
+
+test("a truncated last line is skipped and the file is rewritten on save()", async (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  fs.writeFileSync(cachePath, remoteLine("a.html", "h1") + '{"t":"r","p":"b.css","s":10');
+
+  const cache = await openCache();
+  try {
+    assert.equal(warn.mock.callCount(), 1);
+    assert.equal(cache.peekRemoteHash("a.html", meta), "h1");
+    assert.equal(cache.peekRemoteHash("b.css", meta), null);
+
+    await cache.setRemoteHash("c.js", meta, "h3");
+    await cache.save();
+
+    // keine an das Bruchstück angeklebte Zeile
+    assert.deepEqual(readLines(), [
+      { t: "r", p: "a.html", h: "h1" },
+      { t: "r", p: "c.js", h: "h3" },
+    ]);
+  } finally {
+    await cache.close();
+  }
+});
+
+test("a last line without newline is terminated before the next append", async () => {
+  fs.writeFileSync(cachePath, remoteLine("a.html", "h1").trimEnd());
+
+  const cache = await openCache();
+  try {
+    assert.equal(cache.peekRemoteHash("a.html", meta), "h1");
+    await cache.setRemoteHash("b.css", meta, "h2");
+    await cache.save();
+    assert.deepEqual(readLines(), [
+      { t: "r", p: "a.html", h: "h1" },
+      { t: "r", p: "b.css", h: "h2" },
+    ]);
+  } finally {
+    await cache.close();
+  }
+});
+
+test("a second run cannot open the same cache while it is locked", async () => {
+  const cache = await openCache();
+  try {
+    await assert.rejects(openCache(), /is locked by another run/);
+  } finally {
+    await cache.close();
+  }
+  assert.equal(fs.existsSync(`${cachePath}.lock`), false);
+});
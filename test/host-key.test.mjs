@@ -0,0 +1,61 @@
+/**
+ * host-key.test.mjs
+ *
+ * Host key verification: pinned keys, the key pinned in memory after the
+ * first connect, and one rejection per connect attempt.
+ *
+ * @author Carsten Nichte, 2025 / https://carsten-nichte.de/
+ */
+// test/host-key.test.mjs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createHostKeyVerifier, fingerprintSha256 } from "../src/helpers/host-key.mjs";
+
+const goodKey = Buffer.from("good-host-key");
+const badKey = Buffer.from("bad-host-key");
+
+function pinnedVerifier() {
+  return createHostKeyVerifier({
+    host: "example.org",
+    hostKey: fingerprintSha256(goodKey),
+    mode: "strict",
+  });
+}
+
+/** hostVerifier wie von ssh2 aufgerufen → Promise<boolean> */
+function verify(attempt, keyBlob) {
+  return new Promise((resolve) => attempt.hostVerifier(keyBlob, resolve));
+}
+
+test("accepts the pinned key, rejects another one with the reason", async () => {
+  const verifier = await pinnedVerifier();
+
+  const ok = verifier.forConnect();
+  assert.equal(await verify(ok, goodKey), true);
+  assert.equal(ok.getRejection(), null);
+
+  const bad = verifier.forConnect();
+  assert.equal(await verify(bad, badKey), false);
+  assert.deepEqual(bad.getRejection(), {
+    reason: "changed since first connect",
+    presented: fingerprintSha256(badKey),
+    expected: fingerprintSha256(goodKey),
+  });
+});
+
+test("a rejection belongs to its connect attempt only", async () => {
+  const verifier = await pinnedVerifier();
+  const rejected = verifier.forConnect();
+  const accepted = verifier.forConnect();
+
+  // zwei Sessions gleichzeitig: die spätere, erfolgreiche Prüfung löscht
+  // die Ablehnung der anderen nicht
+  const results = await Promise.all([verify(rejected, badKey), verify(accepted, goodKey)]);
+  assert.deepEqual(results, [false, true]);
+  assert.equal(rejected.getRejection().reason, "key does not match");
+  assert.equal(accepted.getRejection(), null);
+});
+
+test("mode off gives no verifier", async () => {
+  assert.equal(await createHostKeyVerifier({ host: "example.org", mode: "off" }), null);
+});
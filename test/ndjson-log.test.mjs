@@ -0,0 +1,223 @@
+/**
+ * ndjson-log.test.mjs
+ *
+ * Replay, append, truncated last line and compaction of the NDJSON log,
+ * exclusive (per-target cache) and shared (local hash store).
+ *
+ * @author Carsten Nichte, 2025 / https://carsten-nichte.de/
+ */
+// test/ndjson-log.test.mjs
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { openNdjsonLog } from "../src/helpers/ndjson-log.mjs";
+import { acquireFileLock } from "../src/helpers/file-lock.mjs";
+
+let dir;
+let filePath;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "ndjson-log-"));
+  filePath = path.join(dir, ".sync-cache.test.ndjson");
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/** Zeilen der Datei, nur die Felder, um die es hier geht */
+function readLines() {
+  return fs
+    .readFileSync(filePath, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((l) => {
+      const { t, p, h, d } = JSON.parse(l);
+      return d ? { t, p, d } : { t, p, h };
+    });
+}
+
+function entry(hash, algo = "sha256") {
+  return { size: 10, mtime: 1000, hash, algo };
+}
+
+test("replays lines in order: later lines override, tombstones remove", async () => {
+  fs.writeFileSync(
+    filePath,
+    [
+      { t: "r", p: "a.html", s: 1, m: 1, h: "old" },
+      { t: "r", p: "b.css", s: 2, m: 2, h: "b1" },
+      { t: "r", p: "a.html", s: 3, m: 3, h: "new" },
+      { t: "r", p: "b.css", d: 1 },
+      { t: "r", p: "c.js", s: 4, m: 4, h: "c1", a: "md5" },
+    ]
+      .map((l) => JSON.stringify(l) + "\n")
+      .join("")
+  );
+
+  const log = await openNdjsonLog({ filePath, type: "r" });
+  try {
+    assert.equal(log.get("a.html").hash, "new");
+    assert.equal(log.get("a.html").size, 3);
+    assert.equal(log.has("b.css"), false);
+    assert.deepEqual(log.keys(), ["a.html", "c.js"]);
+    // ohne "a": älterer Cache → sha256
+    assert.equal(log.get("a.html").algo, "sha256");
+    assert.equal(log.get("c.js").algo, "md5");
+  } finally {
+    await log.close();
+  }
+});
+
+test("lines of another type are handed to onOtherLine and dropped on save()", async () => {
+  fs.writeFileSync(
+    filePath,
+    JSON.stringify({ t: "l", p: "a.html", s: 1, m: 1, h: "local" }) +
+      "\n" +
+      JSON.stringify({ t: "r", p: "a.html", s: 1, m: 1, h: "remote" }) +
+      "\n"
+  );
+
+  const other = [];
+  const log = await openNdjsonLog({ filePath, type: "r", onOtherLine: (e) => other.push(e.h) });
+  try {
+    assert.deepEqual(other, ["local"]);
+    await log.save();
+    assert.deepEqual(readLines(), [{ t: "r", p: "a.html", h: "remote" }]);
+  } finally {
+    await log.close();
+  }
+});
+
+test("save() appends changed entries and tombstones instead of rewriting", async () => {
+  const log = await openNdjsonLog({ filePath, type: "r" });
+  try {
+    log.set("a.html", entry("h1"));
+    log.set("b.css", entry("h2"));
+    await log.save();
+    assert.equal(readLines().length, 2);
+
+    log.set("a.html", entry("h3"));
+    log.delete("b.css");
+    await log.save();
+
+    assert.deepEqual(readLines(), [
+      { t: "r", p: "a.html", h: "h1" },
+      { t: "r", p: "b.css", h: "h2" },
+      { t: "r", p: "a.html", h: "h3" },
+      { t: "r", p: "b.css", d: 1 },
+    ]);
+  } finally {
+    await log.close();
+  }
+});
+
+test("close() compacts the file to one line per entry", async () => {
+  const log = await openNdjsonLog({ filePath, type: "r" });
+  log.set("a.html", entry("h1"));
+  log.set("b.css", entry("h2"));
+  await log.save();
+  log.set("a.html", entry("h3"));
+  log.delete("b.css");
+  await log.save();
+  await log.close();
+
+  assert.deepEqual(readLines(), [{ t: "r", p: "a.html", h: "h3" }]);
+  assert.equal(fs.existsSync(`${filePath}.lock`), false);
+
+  const reopened = await openNdjsonLog({ filePath, type: "r" });
+  try {
+    assert.deepEqual(reopened.keys(), ["a.html"]);
+    assert.deepEqual(reopened.get("a.html"), entry("h3"));
+  } finally {
+    await reopened.close();
+  }
+});
+
+test("close() does not write unsaved changes", async () => {
+  const log = await openNdjsonLog({ filePath, type: "r" });
+  log.set("a.html", entry("h1"));
+  await log.save();
+  log.set("a.html", entry("h2"));
+  await log.close();
+
+  assert.deepEqual(readLines(), [{ t: "r", p: "a.html", h: "h1" }]);
+});
+
+test("a truncated last line is skipped and the file is rewritten on save()", async (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  fs.writeFileSync(
+    filePath,
+    JSON.stringify({ t: "r", p: "a.html", s: 1, m: 1, h: "h1" }) + "\n" + '{"t":"r","p":"b.css","s":2'
+  );
+
+  const log = await openNdjsonLog({ filePath, type: "r" });
+  try {
+    assert.equal(warn.mock.callCount(), 1);
+    assert.deepEqual(log.keys(), ["a.html"]);
+
+    log.set("c.js", entry("h3"));
+    await log.save();
+
+    // keine an das Bruchstück angeklebte Zeile
+    assert.deepEqual(readLines(), [
+      { t: "r", p: "a.html", h: "h1" },
+      { t: "r", p: "c.js", h: "h3" },
+    ]);
+  } finally {
+    await log.close();
+  }
+});
+
+test("shared: compaction merges what other runs appended meanwhile", async () => {
+  const first = await openNdjsonLog({ filePath, type: "l", shared: true });
+  first.set("/site/a.html", entry("a1"));
+  first.set("/site/b.css", entry("b1"));
+  await first.save();
+
+  // zweiter Lauf startet jetzt, seine Änderungen kennt der erste nicht
+  const second = await openNdjsonLog({ filePath, type: "l", shared: true });
+  second.set("/site/c.js", entry("c1"));
+  second.delete("/site/b.css");
+  await second.save();
+
+  first.set("/site/a.html", entry("a2"));
+  await first.save();
+  await first.close();
+
+  assert.deepEqual(readLines(), [
+    { t: "l", p: "/site/a.html", h: "a2" },
+    { t: "l", p: "/site/c.js", h: "c1" },
+  ]);
+
+  await second.close();
+  const reopened = await openNdjsonLog({ filePath, type: "l", shared: true });
+  try {
+    assert.deepEqual(reopened.keys().sort(), ["/site/a.html", "/site/c.js"]);
+    assert.equal(reopened.get("/site/a.html").hash, "a2");
+  } finally {
+    await reopened.close();
+  }
+});
+
+test("shared: compaction is skipped while another run compacts", async () => {
+  const log = await openNdjsonLog({ filePath, type: "l", shared: true });
+  log.set("/site/a.html", entry("a1"));
+  await log.save();
+  log.set("/site/a.html", entry("a2"));
+  await log.save();
+
+  const other = acquireFileLock(filePath);
+  try {
+    await log.close();
+    // beide Zeilen bleiben, die spätere gilt
+    assert.deepEqual(readLines(), [
+      { t: "l", p: "/site/a.html", h: "a1" },
+      { t: "l", p: "/site/a.html", h: "a2" },
+    ]);
+  } finally {
+    other.release();
+  }
+});
@@ -0,0 +1,61 @@
+/**
+ * plan.test.mjs
+ *
+ * planToChanges (--apply-plan): items with local and remote paths, and
+ * the guard against paths that lead out of localRoot / remoteRoot.
+ *
+ * @author Carsten Nichte, 2025 / https://carsten-nichte.de/
+ */
+// test/plan.test.mjs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { planToChanges } from "../src/helpers/plan.mjs";
+
+const roots = { localRoot: "/site/public", remoteRoot: "/var/www/html" };
+
+function changes({ add = [], update = [], del = [] } = {}) {
+  const entry = (rel) => ({ rel, localSize: 10, remoteSize: 10, reason: "test" });
+  return { add: add.map(entry), update: update.map(entry), delete: del.map(entry) };
+}
+
+test("builds add/update/delete items below localRoot and remoteRoot", () => {
+  const { toAdd, toUpdate, toDelete } = planToChanges(
+    changes({ add: ["img/new.png"], update: ["index.html"], del: ["old/page.html"] }),
+    roots
+  );
+
+  assert.equal(toAdd[0].local.localPath, path.join("/site/public", "img", "new.png"));
+  assert.equal(toAdd[0].remotePath, "/var/www/html/img/new.png");
+  assert.equal(toUpdate[0].remote.remotePath, "/var/www/html/index.html");
+  assert.equal(toDelete[0].remotePath, "/var/www/html/old/page.html");
+});
+
+test("a name that only contains dots is not a traversal", () => {
+  const { toAdd } = planToChanges(changes({ add: ["a/..b/c..txt"] }), roots);
+  assert.equal(toAdd[0].remotePath, "/var/www/html/a/..b/c..txt");
+});
+
+test("rejects paths with ..", () => {
+  for (const rel of ["../etc/passwd", "a/../../b.txt", "a/.."]) {
+    assert.throws(() => planToChanges(changes({ add: [rel] }), roots), /invalid path/, rel);
+  }
+  // auch in update und delete
+  assert.throws(() => planToChanges(changes({ update: ["../x.html"] }), roots), /invalid path/);
+  assert.throws(() => planToChanges(changes({ del: ["../../x.html"] }), roots), /invalid path/);
+});
+
+test("rejects absolute paths", () => {
+  assert.throws(() => planToChanges(changes({ add: ["/etc/passwd"] }), roots), /invalid path: \/etc\/passwd/);
+  assert.throws(() => planToChanges(changes({ del: ["/var/www/other.html"] }), roots), /invalid path/);
+});
+
+test("rejects entries without a string rel", () => {
+  for (const rel of [undefined, null, 42, ["a.html"]]) {
+    assert.throws(() => planToChanges(changes({ update: [rel] }), roots), /invalid path/, String(rel));
+  }
+});
+
+test("an empty plan gives empty lists", () => {
+  assert.deepEqual(planToChanges({}, roots), { toAdd: [], toUpdate: [], toDelete: [] });
+});